@@ -1,11 +1,10 @@
 import { GoogleGenAI } from "@google/genai";
 import express from 'express';
 import cors from 'cors';
-import { exec } from "child_process";
-import { promisify } from "util";
 import os from 'os';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import fetch from 'node-fetch';
 import dotenv from 'dotenv';
@@ -22,18 +21,37 @@ console.log('🔑 JWT_SECRET loaded:', process.env.JWT_SECRET ? 'YES (' + proces
 console.log('🔍 All env vars loaded:', Object.keys(process.env).filter(k => k.includes('JWT') || k.includes('SECRET')).join(', '));
 
 // Import routes and middleware
+import User from './models/User.js';
 import Project from './models/Project.js';
-import { authenticate, optionalAuth } from './middleware/auth.js';
+import ProjectVersion from './models/ProjectVersion.js';
+import Deployment from './models/Deployment.js';
+import ToolAuditLog from './models/ToolAuditLog.js';
+import { authenticate, authenticateWithScope, authenticateOrShareLink, requireRole, requireVerified, optionalAuth } from './middleware/auth.js';
+import { rateLimit, sendTooManyRequests } from './middleware/rateLimit.js';
+import Workspace from './models/Workspace.js';
+import ShareLink from './models/ShareLink.js';
+import { loadProject, loadWorkspace, resolveWorkspace, requestedWorkspaceId } from './services/projectAccess.js';
+import { DEPLOY_PROVIDERS, defaultDeployProvider, getDeployProvider } from './services/deployment.js';
 // Note: `authRoutes` are imported dynamically later after dotenv has loaded
 
 // Storage service will be imported dynamically after env vars are loaded
 let storage;
+let storageFor;
+let versionHistory;
+let githubSync;
+let conversationStore;
+let usageMeter;
+let jobQueue;
+let ProjectToolset;
+let enqueueJob;
+let projectToolDeclarations;
+let deleteProjectCompletely;
+let projectImport;
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const platform = os.platform();
-const asyncExecute = promisify(exec);
 const app = express();
 
 // Validate required environment variables
@@ -61,37 +79,21 @@ const MONGODB_URI = process.env.MONGODB_URI;
 const SESSION_SECRET = process.env.SESSION_SECRET;
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const UNSPLASH_ACCESS_KEY = process.env.UNSPLASH_ACCESS_KEY;
-const VERCEL_TOKEN = process.env.VERCEL_TOKEN;
-const VERCEL_PROJECT_ID = process.env.VERCEL_PROJECT_ID; // Shared project for all user deployments
-const VERCEL_TEAM_ID = process.env.VERCEL_TEAM_ID; // Optional: if using Vercel team
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-const NETLIFY_TOKEN = process.env.NETLIFY_TOKEN;
+// Deployment tokens (VERCEL_TOKEN, NETLIFY_TOKEN) are read by the providers in services/deployment.js,
+// GITHUB_TOKEN by services/githubSync.js
 
 // Connect to MongoDB
 mongoose.connect(MONGODB_URI)
-.then(() => console.log('✅ MongoDB Connected Successfully'))
+.then(async () => {
+    console.log('✅ MongoDB Connected Successfully');
+    await Project.dropLegacyIndexes()
+        .catch(error => console.error('Project index migration error:', error));
+})
 .catch(err => {
     console.error('❌ MongoDB Connection Error:', err);
     process.exit(1);
 });
 
-// Helper: convert project files to Vercel format (now uses storage service)
-async function folderToVercelFiles(projectName, userId = null) {
-  try {
-    const files = [];
-    const projectFiles = await storage.readAllProjectFiles(projectName, userId);
-    
-    for (const [fileName, content] of Object.entries(projectFiles)) {
-      files.push({ file: fileName, data: content });
-    }
-    
-    return files;
-  } catch (error) {
-    console.error('Error reading project files for Vercel:', error);
-    return [];
-  }
-}
-
 // Middleware
 // CORS Configuration - Allow frontend to connect from different domain
 app.use(cors({
@@ -99,9 +101,15 @@ app.use(cors({
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
-    exposedHeaders: ['Content-Length', 'Content-Type']
+    exposedHeaders: ['Content-Length', 'Content-Type', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }));
 
+// Behind a load balancer, trust its X-Forwarded-For so rate limits see the real client IP
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY, 10);
+    app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 app.use(express.json());
 // Remove static file serving - frontend will be deployed separately
 // app.use(express.static(path.join(__dirname, '../frontend/public')));
@@ -116,7 +124,7 @@ const upload = multer({
     },
     fileFilter: (req, file, cb) => {
         // Allow common web file types
-        const allowedTypes = /html|htm|css|js|json|jpg|jpeg|png|gif|svg|webp|ico|txt|md|xml/;
+        const allowedTypes = /html|htm|css|js|json|jpg|jpeg|png|gif|svg|webp|avif|ico|txt|md|xml|woff|woff2|ttf|otf|eot/;
         const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
         
         if (extname) {
@@ -156,9 +164,89 @@ let storageReady = false;
         app.use('/api/auth', authRoutes);
         
         // Import storage service AFTER environment variables are loaded
-        const storageModule = await import('./services/supabaseStorage.js');
+        const storageModule = await import('./services/storage.js');
         storage = storageModule.default;
+        storageFor = storageModule.storageFor;
         storageReady = true;
+
+        // The local driver has no CDN, so serve its files from the API. They are
+        // user content on the API's origin, so sandbox them like shared previews
+        if (storage.provider === 'local') {
+            app.use('/storage', express.static(storage.rootDir, {
+                setHeaders: (res) => {
+                    res.set('Content-Security-Policy', 'sandbox allow-scripts allow-forms allow-popups');
+                    res.set('X-Content-Type-Options', 'nosniff');
+                }
+            }));
+        }
+
+        // The agent's project-scoped file tools depend on the storage service
+        const toolsetModule = await import('./services/projectToolset.js');
+        ProjectToolset = toolsetModule.default;
+        projectToolDeclarations = toolsetModule.projectToolDeclarations;
+
+        // Version history depends on the storage service
+        const versionHistoryModule = await import('./services/versionHistory.js');
+        versionHistory = versionHistoryModule.default;
+        const versionRoutes = (await import('./routes/versions.js')).default;
+        app.use('/api/projects', versionRoutes);
+
+        // Pushing project versions to GitHub builds on version history
+        githubSync = (await import('./services/githubSync.js')).default;
+        const githubRoutes = (await import('./routes/github.js')).default;
+        app.use('/api/projects', githubRoutes);
+
+        // Deployment history of a project
+        const deploymentRoutes = (await import('./routes/deployments.js')).default;
+        app.use('/api/projects', deploymentRoutes);
+
+        // ZIP downloads of a project or one of its versions
+        const exportRoutes = (await import('./routes/exports.js')).default;
+        app.use('/api/projects', exportRoutes);
+
+        // Chat and agent history, persisted per user and project
+        conversationStore = (await import('./services/conversationStore.js')).default;
+        const historyRoutes = (await import('./routes/history.js')).default;
+        app.use('/api/projects', historyRoutes);
+
+        // Project collaborators and read-only share links
+        const collaboratorRoutes = (await import('./routes/collaborators.js')).default;
+        app.use('/api/projects', collaboratorRoutes);
+
+        // AI token usage per user and project, with plan quotas
+        usageMeter = (await import('./services/usageMeter.js')).default;
+        const usageRoutes = (await import('./routes/usage.js')).default;
+        app.use('/api/usage', usageRoutes);
+
+        // Background jobs for builds, updates, deployments and git imports
+        jobQueue = (await import('./services/jobQueue.js')).default;
+        registerJobHandlers();
+        const jobsModule = await import('./routes/jobs.js');
+        enqueueJob = jobsModule.enqueueJob;
+        registerJobRetryChecks(jobsModule.registerRetryChecks);
+        app.use('/api/jobs', jobsModule.default);
+
+        // Removing a project touches storage, history and jobs
+        deleteProjectCompletely = (await import('./services/projectCleanup.js')).default;
+
+        // Creating projects from uploads, ZIP archives and git repositories
+        projectImport = (await import('./services/projectImport.js')).default;
+        const importRoutes = (await import('./routes/imports.js')).default;
+        app.use('/api/import', importRoutes);
+
+        // Profile and account management
+        const accountRoutes = (await import('./routes/account.js')).default;
+        app.use('/api/account', accountRoutes);
+
+        // Team workspaces and their members
+        const workspaceRoutes = (await import('./routes/workspaces.js')).default;
+        app.use('/api/workspaces', workspaceRoutes);
+
+        // Admin API
+        const adminRoutes = (await import('./routes/admin.js')).default;
+        app.use('/api/admin', adminRoutes);
+
+        await jobQueue.start();
         console.log('📦 Storage service loaded and ready!');
     } catch (e) {
         console.error('Failed to load modules:', e);
@@ -166,41 +254,25 @@ let storageReady = false;
     }
 })();
 
-// Enhanced History Management with Project Context
-const ProjectHistory = new Map(); // Store history per project
-const ChatHistory = new Map(); // Store chat history per session
 const ai = new GoogleGenAI({ apiKey: GEMINI_API_KEY });
 
-// Enhanced tool to execute shell commands
-async function executeCommand({ command }) {
-    try {
-        const { stdout, stderr } = await asyncExecute(command);
-        if (stderr) return `Error: ${stderr}`;
-        return `Success: ${stdout || 'Task executed completely'}`;
-    } catch (error) {
-        return `Error: ${error}`;
-    }
+// Every Gemini call goes through here so its token usage is metered against the user and project
+async function generateContent(request, { userId = null, projectName = null, feature }) {
+    const response = await ai.models.generateContent(request);
+    usageMeter.record({ userId, projectName, feature, model: request.model, usageMetadata: response.usageMetadata });
+    return response;
 }
 
+// Agent tools take (args, { userId, storageRoot, project, toolset }) - the user
+// running the agent, the storage folder of the project's workspace, the project
+// and its ProjectToolset. Tools that write go through the toolset, so they get
+// its file type, size and file count limits.
+
 // Enhanced tool to write content to a file (now uses storage service)
-async function writeToFile({ filePath, content }, userId = null) {
+async function writeToFile({ filePath, content }, { userId = null, toolset } = {}) {
     try {
-        // Wait for storage to be initialized
-        if (!storage || !storageReady) {
-            console.log('⚠️ Storage not ready, waiting...');
-            // Wait up to 5 seconds for storage to be ready
-            for (let i = 0; i < 50; i++) {
-                await new Promise(resolve => setTimeout(resolve, 100));
-                if (storage && storageReady) break;
-            }
-            
-            if (!storage || !storageReady) {
-                throw new Error('Storage service not initialized. Please restart the server.');
-            }
-        }
-
-        // Extract project name and file name from path
-        // Expected format: projects/projectName/fileName
+        // Extract project name and file path from path
+        // Expected format: projects/projectName/fileName (fileName may contain folders, e.g. assets/app.js)
         const pathParts = filePath.split(/[\\/]/);
         const projectsIndex = pathParts.findIndex(part => part === 'projects');
         
@@ -209,24 +281,23 @@ async function writeToFile({ filePath, content }, userId = null) {
         }
 
         const projectName = pathParts[projectsIndex + 1];
-        const fileName = pathParts[projectsIndex + 2];
+        const fileName = pathParts.slice(projectsIndex + 2).join('/');
 
         console.log(`📝 Writing file: ${projectName}/${fileName} for user: ${userId || 'anonymous'}`);
 
-        // Use storage service (Supabase only) with userId
-        const result = await storage.saveFile(projectName, fileName, content, userId);
-        console.log(`✅ File saved to Supabase: ${projectName}/${fileName}`);
-        return `Success: Content written to ${fileName} in project ${projectName}`;
+        const written = await toolset.writeFile({ filePath: fileName, content });
+        console.log(`✅ File saved to ${toolset.storage.provider} storage: ${projectName}/${written.filePath}`);
+        return `Success: Content written to ${written.filePath} in project ${projectName}`;
     } catch (error) {
         console.error('❌ Error in writeToFile:', error);
         return `Error: ${error.message}`;
     }
 }
 
-// New tool to list projects (now uses storage service)
-async function listProjects() {
+// New tool to list projects (now uses storage service, scoped to the workspace when given)
+async function listProjects(args = {}, { storageRoot = null } = {}) {
     try {
-        const projects = await storage.listProjects();
+        const projects = await storage.listProjects(storageRoot);
         return projects;
     } catch (error) {
         console.error('Error listing projects:', error);
@@ -235,14 +306,21 @@ async function listProjects() {
 }
 
 // Enhanced tool to read project files (now uses storage service)
-async function readProjectFiles({ projectName }, userId = null) {
+async function readProjectFiles({ projectName }, { storageRoot = null, project = null } = {}) {
     try {
-        const files = await storage.readAllProjectFiles(projectName, userId);
+        const files = await storageFor(project).readAllProjectFiles(projectName, storageRoot);
         
         if (Object.keys(files).length === 0) {
             return `Error: Project ${projectName} not found or has no files`;
         }
 
+        // The model can only work with text - describe binary assets instead of sending bytes
+        for (const [fileName, content] of Object.entries(files)) {
+            if (Buffer.isBuffer(content)) {
+                files[fileName] = `[binary file: ${storage.getContentType(fileName)}, ${content.length} bytes]`;
+            }
+        }
+
         return files;
     } catch (error) {
         return `Error: ${error.message}`;
@@ -250,18 +328,18 @@ async function readProjectFiles({ projectName }, userId = null) {
 }
 
 // New tool to update existing project files (now uses storage service)
-async function updateProjectFiles({ projectName, updates }, userId = null) {
+async function updateProjectFiles({ projectName, updates }, { toolset } = {}) {
     try {
         // Check if project exists
-        const exists = await storage.projectExists(projectName, userId);
-        if (!exists) {
+        const { files } = await toolset.listFiles();
+        if (files.length === 0) {
             return `Error: Project ${projectName} not found`;
         }
 
         const results = {};
-        for (const [fileType, content] of Object.entries(updates)) {
+        for (const [fileType, content] of Object.entries(updates || {})) {
             try {
-                await storage.saveFile(projectName, fileType, content, userId);
+                await toolset.writeFile({ filePath: fileType, content });
                 results[fileType] = 'Updated successfully';
             } catch (err) {
                 results[fileType] = `Failed: ${err.message}`;
@@ -274,369 +352,112 @@ async function updateProjectFiles({ projectName, updates }, userId = null) {
     }
 }
 
-// New tool to deploy project to Vercel (now uses storage service)
-async function deployProject({ projectName, siteName = null }, userId = null) {
-    try {
-        console.log(`🚀 Starting deployment for project: ${projectName}, user: ${userId}`);
-        
-        // Check if project exists in storage with userId
-        const exists = await storage.projectExists(projectName, userId);
-        if (!exists) {
-            console.error(`❌ Project ${projectName} not found for user ${userId}`);
-            return `Error: Project ${projectName} not found`;
-        }
-
-        // Check if Vercel token is available
-        if (!VERCEL_TOKEN) {
-            console.error('❌ VERCEL_TOKEN not set in environment variables');
-            return `Error: VERCEL_TOKEN environment variable is required for deployment. Please set your Vercel token.`;
-        }
+// sha256 over every path and content hash, in path order - identical files give identical hashes
+function computeManifestHash(files) {
+    const manifest = Object.keys(files).sort().map(filePath => {
+        const content = files[filePath];
+        const contentHash = crypto.createHash('sha256').update(Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8')).digest('hex');
+        return `${filePath}\t${contentHash}`;
+    });
+    return crypto.createHash('sha256').update(manifest.join('\n')).digest('hex');
+}
 
-        // Deploy project using Vercel API with userId
-        console.log(`📦 Reading project files for: ${projectName}`);
-        const files = await folderToVercelFiles(projectName, userId);
-        
-        if (files.length === 0) {
-            console.error(`❌ No files found in project ${projectName}`);
-            return `Error: No files found in project ${projectName}`;
-        }
+/**
+ * Tool to deploy a project with a deployment provider (Vercel by default, or Netlify).
+ * Every attempt is recorded as a Deployment that follows the provider's status
+ * until it is READY or ERROR; the project's deploymentUrl is updated on success.
+ * Resolves to { success, deployment } or { success: false, error, deployment }.
+ */
+async function deployProject({ projectName, siteName = null, provider = null }, { userId = null, storageRoot = null, project = null, jobId = null, onProgress = null } = {}) {
+    let deployer;
+    try {
+        deployer = getDeployProvider(provider || defaultDeployProvider());
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
 
-        console.log(`✅ Found ${files.length} files to deploy:`, files.map(f => f.file).join(', '));
+    // Deployments are recorded against the project, so it has to be saved first
+    if (!project || project.isNew) {
+        return { success: false, error: `Project ${projectName} has to finish building before it can be deployed` };
+    }
+    if (!deployer.isConfigured()) {
+        console.error(`❌ ${deployer.tokenEnv} not set in environment variables`);
+        return { success: false, error: `${deployer.tokenEnv} environment variable is required to deploy to ${deployer.label}` };
+    }
 
-        // Determine which deployment mode to use
-        let vercelProjectName;
-        let useSharedProject = false;
-        
-        if (VERCEL_PROJECT_ID) {
-            // MODE 1: Use shared project container (recommended)
-            console.log(`📦 Using shared Vercel project container: ${VERCEL_PROJECT_ID}`);
-            vercelProjectName = VERCEL_PROJECT_ID;
-            useSharedProject = true;
-            
-            // Ensure the shared project is configured for public access
-            try {
-                const updateUrl = VERCEL_TEAM_ID 
-                    ? `https://api.vercel.com/v9/projects/${VERCEL_PROJECT_ID}?teamId=${VERCEL_TEAM_ID}`
-                    : `https://api.vercel.com/v9/projects/${VERCEL_PROJECT_ID}`;
-                    
-                await fetch(updateUrl, {
-                    method: "PATCH",
-                    headers: {
-                        Authorization: `Bearer ${VERCEL_TOKEN}`,
-                        "Content-Type": "application/json"
-                    },
-                    body: JSON.stringify({
-                        passwordProtection: null,
-                        ssoProtection: null,
-                        optionsAllowlist: null
-                    })
-                });
-                console.log(`✅ Ensured shared project is publicly accessible`);
-            } catch (error) {
-                console.log(`⚠️ Could not update shared project settings:`, error.message);
-            }
-        } else {
-            // MODE 2: Create individual project per upload (legacy mode)
-            console.log(`⚠️ VERCEL_PROJECT_ID not set, using legacy mode (individual projects)`);
-            console.log(`� TIP: Set VERCEL_PROJECT_ID for better management and public access`);
-            
-            // Create a clean, short project name
-            const cleanProjectName = projectName
-                .toLowerCase()
-                .replace(/[^a-z0-9-]/g, '-')
-                .replace(/--+/g, '-')
-                .replace(/^-|-$/g, '')
-                .substring(0, 50);
-            
-            console.log(`📝 Clean project name for Vercel: ${cleanProjectName}`);
-            vercelProjectName = cleanProjectName;
-            let projectCreated = false;
-        
-        try {
-            console.log(`🔍 Checking if Vercel project exists: ${cleanProjectName}`);
-            
-            // Try to create a Vercel project (this gives us a permanent short URL)
-            const projectResponse = await fetch("https://api.vercel.com/v9/projects", {
-                method: "POST",
-                headers: {
-                    Authorization: `Bearer ${VERCEL_TOKEN}`,
-                    "Content-Type": "application/json"
-                },
-                body: JSON.stringify({
-                    name: cleanProjectName,
-                    framework: null,
-                    publicSource: true,  // Make project source public
-                    passwordProtection: null,  // Disable password protection
-                    ssoProtection: null,  // Disable SSO protection
-                    optionsAllowlist: null  // No IP restrictions
-                })
-            });
+    console.log(`🚀 Starting ${deployer.label} deployment for project: ${projectName}, user: ${userId}`);
+    const files = await storageFor(project).readAllProjectFiles(projectName, storageRoot || project.getStorageRoot());
+    if (Object.keys(files).length === 0) {
+        return { success: false, error: `No files found in project ${projectName}` };
+    }
 
-            const projectResult = await projectResponse.json();
-            
-            if (projectResponse.ok) {
-                console.log(`✅ Created new Vercel project: ${cleanProjectName}`);
-                vercelProjectName = projectResult.name || projectResult.id;
-                projectCreated = true;
-                
-                // Update project settings to ensure it's public
-                try {
-                    await fetch(`https://api.vercel.com/v9/projects/${vercelProjectName}`, {
-                        method: "PATCH",
-                        headers: {
-                            Authorization: `Bearer ${VERCEL_TOKEN}`,
-                            "Content-Type": "application/json"
-                        },
-                        body: JSON.stringify({
-                            passwordProtection: null,  // No password protection
-                            ssoProtection: null,  // No SSO protection
-                            optionsAllowlist: null  // No IP restrictions
-                        })
-                    });
-                    console.log(`✅ Updated project settings to public`);
-                } catch (updateError) {
-                    console.log(`⚠️ Could not update project settings:`, updateError.message);
-                }
-            } else if (projectResult.error?.code === 'project_already_exists') {
-                console.log(`✅ Using existing Vercel project: ${cleanProjectName}`);
-                vercelProjectName = cleanProjectName;
-                
-                // Update existing project to ensure it's public
-                try {
-                    await fetch(`https://api.vercel.com/v9/projects/${vercelProjectName}`, {
-                        method: "PATCH",
-                        headers: {
-                            Authorization: `Bearer ${VERCEL_TOKEN}`,
-                            "Content-Type": "application/json"
-                        },
-                        body: JSON.stringify({
-                            passwordProtection: null,
-                            ssoProtection: null,
-                            optionsAllowlist: null
-                        })
-                    });
-                    console.log(`✅ Updated existing project to public`);
-                } catch (updateError) {
-                    console.log(`⚠️ Could not update existing project:`, updateError.message);
-                }
-            } else {
-                console.log(`⚠️ Could not create project, using deployment-only mode:`, projectResult.error?.message);
-            }
-        } catch (error) {
-            console.log(`⚠️ Project creation skipped:`, error.message);
-        }
-        }
+    const [latestVersion, user] = await Promise.all([
+        ProjectVersion.findOne({ projectId: project._id }, 'version').sort({ version: -1 }),
+        userId ? User.findById(userId, 'email') : null
+    ]);
+
+    const deployment = await Deployment.create({
+        projectId: project._id,
+        projectName,
+        workspaceId: project.workspaceId,
+        provider: deployer.name,
+        status: 'BUILDING',
+        manifestHash: computeManifestHash(files),
+        fileCount: Object.keys(files).length,
+        version: latestVersion ? latestVersion.version : null,
+        triggeredBy: { userId: userId || undefined, email: user?.email },
+        jobId
+    });
 
-        // Prepare deployment payload
-        const deploymentPayload = {
-            name: vercelProjectName,  // Use the project name or ID
-            project: vercelProjectName,  // Link to the project for short URLs
-            files: files,
-            projectSettings: {
-                framework: null,
-                buildCommand: null,
-                devCommand: null,
-                installCommand: null,
-                outputDirectory: null
-            },
-            target: 'production',
-            gitMetadata: {
-                remoteUrl: `https://nexo.ai/project/${projectName}`,
-                commitRef: 'main',
-                commitSha: Date.now().toString(36)
-            }
-        };
+    // Keep the record in step with the provider while it builds. These writes
+    // aren't awaited, so one landing late must not undo the final READY or ERROR.
+    const trackProgress = (event, data) => {
+        const update = event === 'deploy_created'
+            ? { providerDeploymentId: data.deploymentId }
+            : { status: data.status };
+        Deployment.updateOne({ _id: deployment._id, status: { $in: ['QUEUED', 'BUILDING'] } }, { $set: update })
+            .catch(error => console.error('Failed to update deployment record:', error.message));
+        onProgress?.(event, { ...data, id: deployment._id });
+    };
 
-        console.log(`📤 Sending deployment request to Vercel...`);
-        console.log(`Mode: ${useSharedProject ? 'Shared Project Container' : 'Individual Project'}`);
-        console.log(`Project: ${deploymentPayload.name}`);
-        
-        // Add team ID to URL if present
-        const apiEndpoint = VERCEL_TEAM_ID 
-            ? `https://api.vercel.com/v13/deployments?teamId=${VERCEL_TEAM_ID}`
-            : `https://api.vercel.com/v13/deployments`;
-        
-        const response = await fetch(apiEndpoint, {
-            method: "POST",
-            headers: {
-                Authorization: `Bearer ${VERCEL_TOKEN}`,
-                "Content-Type": "application/json"
-            },
-            body: JSON.stringify(deploymentPayload)
+    try {
+        // Projects pushed to GitHub deploy with their real commit as git metadata
+        const git = githubSync.getCommitInfo(project);
+        const result = await deployer.deploy({ projectName, siteName, files, git }, { onProgress: trackProgress });
+
+        Object.assign(deployment, {
+            providerDeploymentId: result.deploymentId,
+            siteId: result.siteId,
+            url: result.url,
+            alias: result.alias,
+            status: 'READY',
+            readyAt: new Date(),
+            finishedAt: new Date()
         });
+        await deployment.save();
 
-        const responseText = await response.text();
-        console.log(`📥 Vercel API Response Status: ${response.status}`);
-        console.log(`📥 Vercel API Response: ${responseText}`);
-
-        let result;
-        try {
-            result = JSON.parse(responseText);
-        } catch (e) {
-            console.error('❌ Failed to parse Vercel response:', e);
-            return `Error: Invalid response from Vercel API: ${responseText.substring(0, 200)}`;
-        }
-
-        // Check for errors in response
-        if (!response.ok) {
-            console.error('❌ Vercel API returned error:', result);
-            const errorMessage = result.error?.message || result.message || 'Unknown error';
-            return `Error: Vercel deployment failed - ${errorMessage}`;
-        }
-
-        if (result.error) {
-            console.error('❌ Deployment error:', result.error);
-            return `Error: ${result.error.message || JSON.stringify(result.error)}`;
-        }
-
-        // Verify we got a URL back
-        if (!result.url) {
-            console.error('❌ No URL in Vercel response:', result);
-            return `Error: Deployment completed but no URL was returned. Response: ${JSON.stringify(result).substring(0, 200)}`;
-        }
-
-        // Get the best URL - prefer deployment-specific URL for shared projects
-        let deploymentUrl = result.url;
-        
-        if (useSharedProject) {
-            // For shared projects, ALWAYS use the unique deployment URL
-            // This ensures each deployment gets its own URL (e.g., project-abc123.vercel.app)
-            console.log(`✅ Using unique deployment URL: ${deploymentUrl}`);
-            
-            // Optionally create a custom alias based on project name
-            const customAlias = projectName
-                .toLowerCase()
-                .replace(/[^a-z0-9-]/g, '-')
-                .replace(/--+/g, '-')
-                .replace(/^-|-$/g, '')
-                .substring(0, 50);
-            
-            // Try to assign a custom alias (this will fail if alias already exists, which is fine)
-            try {
-                const aliasUrl = VERCEL_TEAM_ID 
-                    ? `https://api.vercel.com/v2/deployments/${result.id}/aliases?teamId=${VERCEL_TEAM_ID}`
-                    : `https://api.vercel.com/v2/deployments/${result.id}/aliases`;
-                
-                const aliasResponse = await fetch(aliasUrl, {
-                    method: "POST",
-                    headers: {
-                        Authorization: `Bearer ${VERCEL_TOKEN}`,
-                        "Content-Type": "application/json"
-                    },
-                    body: JSON.stringify({
-                        alias: `${customAlias}.vercel.app`
-                    })
-                });
-                
-                const aliasResult = await aliasResponse.json();
-                if (aliasResponse.ok && aliasResult.alias) {
-                    deploymentUrl = aliasResult.alias;
-                    console.log(`✅ Assigned custom alias: ${aliasResult.alias}`);
-                } else {
-                    console.log(`ℹ️ Custom alias not available (may already exist), using deployment URL`);
-                }
-            } catch (aliasError) {
-                console.log(`ℹ️ Could not assign custom alias:`, aliasError.message);
-            }
-        } else {
-            // For individual projects, check if there's a production alias
-            if (result.alias && result.alias.length > 0) {
-                // Use the shortest alias (usually the production one)
-                const shortestAlias = result.alias.sort((a, b) => a.length - b.length)[0];
-                deploymentUrl = shortestAlias;
-                console.log(`✅ Using production alias: ${shortestAlias}`);
-            } else if (vercelProjectName) {
-                // Construct the expected production URL
-                deploymentUrl = `${vercelProjectName}.vercel.app`;
-                console.log(`✅ Using project URL: ${deploymentUrl}`);
-            }
-        }
-
-        console.log(`✅ Deployment successful! URL: https://${deploymentUrl}`);
-        console.log(`Deployment ID: ${result.id || 'N/A'}`);
-
-        // Create a README with Vercel deployment instructions
-        const deploymentReadme = `# 🚀 Vercel Deployment Guide
-
-## Your website "${projectName}" has been deployed to Vercel!
-
-### 🌐 Live URL: https://${deploymentUrl}
-
-### 📊 Deployment Details:
-- **Deployment ID**: ${result.id || 'N/A'}
-- **Deployed At**: ${new Date().toLocaleString()}
-- **Status**: ${result.readyState || 'READY'}
-
-### 📁 Project Files:
-- ✅ index.html (main page)
-- ✅ style.css (styling)
-- ✅ script.js (functionality)
-- ✅ README.md (this file)
-
-### 🔧 How to Update Your Site:
-1. Edit files in the "${projectName}" folder
-2. Use the update feature in the website builder
-3. Redeploy to see changes live
-
-### 📱 Features:
-- ✅ Responsive design
-- ✅ Modern animations
-- ✅ SEO optimized
-- ✅ Fast loading
-- ✅ Mobile-friendly
-- ✅ Global CDN
-- ✅ Automatic HTTPS
-
-### 🎯 Vercel Benefits:
-- **Lightning Fast**: Global CDN for instant loading
-- **Automatic HTTPS**: Secure by default
-- **Zero Configuration**: Works out of the box
-- **Custom Domains**: Add your own domain anytime
-- **Analytics**: Built-in performance monitoring
-
-### 🚀 Next Steps:
-1. Your site is already live at the URL above
-2. Bookmark the URL to access your site anytime
-3. Share the URL with others
-4. Add a custom domain in Vercel dashboard if desired
-
-Happy deploying! 🎉
-`;
-
-        // Save README to storage with userId
-        await storage.saveFile(projectName, 'README.md', deploymentReadme, userId);
-        console.log(`✅ README.md saved to project`);
-
-        return `Success: Project "${projectName}" deployed to Vercel!
-
-🌐 Live URL: https://${deploymentUrl}
-
-� Deployment Details:
-- Deployment ID: ${result.id || 'N/A'}
-- Status: ${result.readyState || 'READY'}
-
-📁 Files deployed:
-- index.html
-- style.css
-- script.js
-- README.md (deployment guide)
-
-🚀 Your website is now live and accessible worldwide!
-- Global CDN for fast loading
-- Automatic HTTPS
-- Zero configuration required
-- Ready for custom domains
-
-Visit your website: https://${deploymentUrl} 🌐`;
+        project.deploymentUrl = result.alias || result.url;
+        project.isDeployed = true;
+        await project.save();
 
+        console.log(`✅ Deployment successful! URL: ${project.deploymentUrl}`);
+        return { success: true, deployment: deployment.summarize() };
     } catch (error) {
+        const cancelled = error.name === 'JobCancelledError';
+        deployment.status = cancelled ? 'CANCELED' : 'ERROR';
+        deployment.error = cancelled ? null : error.message;
+        deployment.finishedAt = new Date();
+        await deployment.save();
+
+        // A cancelled deploy job must surface as a cancellation, not a failure
+        if (cancelled) throw error;
         console.error('❌ Deployment error:', error);
-        return `Error: Deployment failed - ${error.message}`;
+        return { success: false, error: `Deployment failed - ${error.message}`, deployment: deployment.summarize() };
     }
 }
 
 // Multi-language Translation Tool for Indian Languages
-async function translateContent({ text, targetLanguage, context = 'website' }) {
+async function translateContent({ text, targetLanguage, context = 'website' }, { userId = null } = {}) {
     try {
         // Supported Indian languages
         const supportedLanguages = {
@@ -673,10 +494,10 @@ ${text}
 
 Translated ${supportedLanguages[langKey]} text:`;
 
-        const response = await ai.models.generateContent({
+        const response = await generateContent({
             model: "gemini-2.5-flash",
             contents: [{ role: 'user', parts: [{ text: translationPrompt }] }]
-        });
+        }, { userId, feature: 'translate' });
 
         const translatedText = extractResponseText(response);
         
@@ -699,24 +520,9 @@ Translated ${supportedLanguages[langKey]} text:`;
 }
 
 // Tool declarations
-const executeCommandDeclaration = {
-    name: "executeCommand",
-    description: "Execute a single terminal/shell command",
-    parameters: {
-        type: 'OBJECT',
-        properties: {
-            command: {
-                type: 'STRING',
-                description: 'Terminal command to execute'
-            },
-        },
-        required: ['command']
-    }
-};
-
 const writeToFileDeclaration = {
     name: "writeToFile",
-    description: `Write content into a file. IMPORTANT: filePath must be in format "projects/PROJECT_NAME/FILENAME" where PROJECT_NAME is the exact project name provided and FILENAME is one of: index.html, style.css, or script.js`,
+    description: `Write content into a file. IMPORTANT: filePath must be in format "projects/PROJECT_NAME/FILENAME" where PROJECT_NAME is the exact project name provided and FILENAME is a path relative to the project root, e.g. index.html, style.css, script.js, about.html or assets/js/gallery.js`,
     parameters: {
         type: 'OBJECT',
         properties: {
@@ -764,7 +570,7 @@ const updateProjectFilesDeclaration = {
             projectName: { type: 'STRING', description: 'Name of the project to update' },
             updates: {
                 type: 'OBJECT',
-                description: 'Object with file types as keys and new content as values (e.g., {"index.html": "new content", "style.css": "new styles"})'
+                description: 'Object with relative file paths as keys and new content as values (e.g., {"index.html": "new content", "assets/css/theme.css": "new styles"})'
             }
         },
         required: ['projectName', 'updates']
@@ -773,12 +579,13 @@ const updateProjectFilesDeclaration = {
 
 const deployProjectDeclaration = {
     name: "deployProject",
-    description: "Deploy a project to Vercel with automatic configuration",
+    description: "Deploy a project to Vercel or Netlify and wait until it is live",
     parameters: {
         type: 'OBJECT',
         properties: {
             projectName: { type: 'STRING', description: 'Name of the project to deploy' },
-            siteName: { type: 'STRING', description: 'Optional custom site name for Vercel (will generate unique name if not provided)' }
+            siteName: { type: 'STRING', description: 'Optional custom site name (defaults to the project name)' },
+            provider: { type: 'STRING', description: 'Optional deployment provider: vercel or netlify (defaults to the server setting)' }
         },
         required: ['projectName']
     }
@@ -798,7 +605,75 @@ const translateContentDeclaration = {
     }
 };
 
-const availableTools = { executeCommand, writeToFile, listProjects, readProjectFiles, updateProjectFiles, deployProject, translateContent };
+const availableTools = { writeToFile, listProjects, readProjectFiles, updateProjectFiles, deployProject, translateContent };
+
+// Only these tools may be invoked by the model; anything else is rejected and audited
+const AGENT_TOOL_ALLOWLIST = [
+    ...Object.keys(availableTools),
+    'listFiles', 'readFile', 'writeFile', 'editFile', 'deleteFile', 'renameFile'
+];
+
+// Tools that may run while updating an existing project
+const UPDATE_TOOL_ALLOWLIST = ['editFile', 'updateProjectFiles', 'readProjectFiles', 'listProjects', 'listFiles', 'readFile', 'writeFile', 'deleteFile', 'renameFile'];
+
+// Record a tool invocation in the audit log (never blocks or fails the agent)
+function auditToolCall({ userId, projectName, tool, args, allowed, outcome, message = null, startedAt = Date.now() }) {
+    ToolAuditLog.create({
+        userId: userId || undefined,
+        projectName,
+        tool,
+        args: summarizeForProgress(args || {}),
+        allowed,
+        outcome,
+        message: message ? String(message).substring(0, 500) : null,
+        durationMs: Date.now() - startedAt
+    }).catch(error => console.error('Failed to write tool audit log:', error.message));
+}
+
+// Run a tool requested by the model, scoped to the project the agent is working on
+async function invokeAgentTool(name, args = {}, { userId, storageRoot, project, projectName, toolset }) {
+    const startedAt = Date.now();
+
+    if (!AGENT_TOOL_ALLOWLIST.includes(name)) {
+        auditToolCall({ userId, projectName, tool: name, args, allowed: false, outcome: 'rejected', message: 'Tool not in allowlist', startedAt });
+        return `Error: Tool "${name}" is not available`;
+    }
+
+    // Legacy tools take a project name - it must be the project this agent was started for
+    const targetProject = name === 'writeToFile'
+        ? String(args.filePath || '').split(/[\\/]/).find((part, i, parts) => parts[i - 1] === 'projects')
+        : args.projectName;
+
+    if (targetProject && projectName && targetProject !== projectName) {
+        auditToolCall({ userId, projectName, tool: name, args, allowed: false, outcome: 'rejected', message: `Out of scope project: ${targetProject}`, startedAt });
+        return `Error: You can only work on project "${projectName}"`;
+    }
+
+    // Deploying needs a verified email, same as the /api/deploy route
+    if (name === 'deployProject') {
+        const user = userId ? await User.findById(userId, 'isVerified') : null;
+        if (!user?.isVerified) {
+            auditToolCall({ userId, projectName, tool: name, args, allowed: false, outcome: 'rejected', message: 'Email not verified', startedAt });
+            return 'Error: Deployment requires a verified email address. Ask the user to verify their email first.';
+        }
+    }
+
+    try {
+        const result = projectToolDeclarations[name]
+            ? await toolset[name](args)
+            : await availableTools[name](args, { userId, storageRoot, project, toolset });
+
+        // Tools report failure with an "Error: ..." string, or { success: false, error } (deployProject)
+        const failure = typeof result === 'string' && result.startsWith('Error:')
+            ? result
+            : (result?.success === false ? result.error : null);
+        auditToolCall({ userId, projectName, tool: name, args, allowed: true, outcome: failure ? 'error' : 'success', message: failure, startedAt });
+        return result;
+    } catch (error) {
+        auditToolCall({ userId, projectName, tool: name, args, allowed: true, outcome: 'error', message: error.message, startedAt });
+        return `Error: ${error.message}`;
+    }
+}
 
 // Helper function to extract text from Gemini API response
 function extractResponseText(response) {
@@ -843,7 +718,7 @@ function extractResponseText(response) {
 }
 
 // Retry function with exponential backoff
-async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
+async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000, onRetry = null) {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
             return await fn();
@@ -856,6 +731,7 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
             if (error.message && error.message.includes('503')) {
                 const delay = baseDelay * Math.pow(2, attempt - 1);
                 console.log(`Attempt ${attempt} failed with 503 error. Retrying in ${delay}ms...`);
+                onRetry?.({ attempt, maxRetries, delay, error: error.message });
                 await new Promise(resolve => setTimeout(resolve, delay));
             } else {
                 throw error; // Don't retry for other errors
@@ -864,26 +740,44 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
     }
 }
 
-// Enhanced AI agent function with better context management
-async function runAgent(userProblem, projectName = null, isUpdate = false, userId = null) {
-    // Get or create project history
-    if (!ProjectHistory.has(projectName)) {
-        ProjectHistory.set(projectName, []);
+// Shorten long strings (file contents) so progress events stay small
+function summarizeForProgress(value, maxLength = 200) {
+    if (typeof value === 'string') {
+        return value.length > maxLength ? `${value.substring(0, maxLength)}… [${value.length} chars]` : value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => summarizeForProgress(item, maxLength));
+    }
+    // Dates and ObjectIds (e.g. in a deployment record) go out as their JSON strings
+    if (value instanceof Date || value instanceof mongoose.Types.ObjectId) {
+        return value.toJSON();
     }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [key, summarizeForProgress(item, maxLength)])
+        );
+    }
+    return value;
+}
 
-    const projectHistory = ProjectHistory.get(projectName);
-    const currentHistory = [...projectHistory];
+// Enhanced AI agent function with better context management
+// onProgress(event, data) is called for each model turn, tool call and retry
+// storageRoot is the folder of the project's workspace (Project#getStorageRoot)
+// project is the Project document - not saved yet while a new project is built
+async function runAgent(userProblem, projectName = null, isUpdate = false, { userId = null, storageRoot = null, project = null } = {}, onProgress = () => {}) {
+    // Load the persisted history of this project
+    const currentHistory = await conversationStore.getAgentHistory(userId, project);
 
     // If this is an update, read existing project files first
     if (isUpdate && projectName) {
         try {
-            const existingFiles = await readProjectFiles({ projectName }, userId);
+            const existingFiles = await readProjectFiles({ projectName }, { storageRoot, project });
             if (typeof existingFiles === 'object' && !existingFiles.error) {
                 // Add context about existing files to help AI understand what to update
                 currentHistory.push({
                     role: 'user',
                     parts: [{
-                        text: `🚨 UPDATE CONTEXT: I want to update the existing project "${projectName}". Here are the current files:\n\nHTML: ${existingFiles['index.html'] ? 'Present' : 'Missing'}\nCSS: ${existingFiles['style.css'] ? 'Present' : 'Missing'}\nJavaScript: ${existingFiles['script.js'] ? 'Present' : 'Missing'}\n\nIMPORTANT: You MUST use the updateProjectFiles tool to modify these existing files. DO NOT use writeToFile. Make ONLY the requested changes while preserving everything else.`
+                        text: `🚨 UPDATE CONTEXT: I want to update the existing project "${projectName}". Here are the current files:\n\nHTML: ${existingFiles['index.html'] ? 'Present' : 'Missing'}\nCSS: ${existingFiles['style.css'] ? 'Present' : 'Missing'}\nJavaScript: ${existingFiles['script.js'] ? 'Present' : 'Missing'}\nAll files: ${Object.keys(existingFiles).join(', ')}\n\nIMPORTANT: Use the editFile tool for targeted changes (search/replace blocks or a unified diff). Only use updateProjectFiles when most of a file must be rewritten. DO NOT use writeToFile. Make ONLY the requested changes while preserving everything else.`
                     }]
                 });
 
@@ -905,10 +799,17 @@ async function runAgent(userProblem, projectName = null, isUpdate = false, userI
     // Add user request to history
     currentHistory.push({ role: 'user', parts: [{ text: userProblem }] });
 
+    // File tools can only touch this project, inside its workspace folder
+    const toolset = new ProjectToolset({ projectName, storageRoot, storage: storageFor(project) });
+
+    let turn = 0;
     while (true) {
+        turn++;
+        onProgress('turn', { turn, projectName });
+
         const response = await retryWithBackoff(async () => {
             // Always use gemini-2.5-flash ONLY
-            return await ai.models.generateContent({
+            return await generateContent({
                 model: "gemini-2.5-flash",
                 contents: currentHistory,
             config: {
@@ -1098,7 +999,7 @@ When user requests:
 
 Current OS: ${platform}
                 
-                ${isUpdate ? `🚨 CRITICAL UPDATE MODE: This is an UPDATE operation for existing project "${projectName}". You MUST use the updateProjectFiles tool to modify existing files. DO NOT use writeToFile.` : ''}
+                ${isUpdate ? `🚨 CRITICAL UPDATE MODE: This is an UPDATE operation for existing project "${projectName}". Use the editFile tool for targeted changes and updateProjectFiles only for large rewrites. DO NOT use writeToFile.` : ''}
                 
                 CORE REQUIREMENTS FOR PROFESSIONAL WEBSITES:
                 1. MODERN DESIGN: Use contemporary design trends, beautiful gradients, shadows, and animations
@@ -1143,7 +1044,9 @@ Current OS: ${platform}
                 
                 ${isUpdate ? `🚨 UPDATE OPERATION RULES (CRITICAL):
                 - This is an UPDATE operation for existing project "${projectName}"
-                - You MUST use updateProjectFiles tool to modify existing files
+                - Use editFile for targeted changes: pass search/replace blocks copied EXACTLY from the current file
+                - Use updateProjectFiles only when most of a file has to be rewritten
+                - If editFile reports conflicts, read the file again and resend corrected edits
                 - DO NOT use writeToFile tool for updates
                 - Read the existing files first to understand current structure
                 - Make ONLY the requested changes while preserving everything else
@@ -1164,12 +1067,15 @@ Current OS: ${platform}
                 - Preserve existing design patterns, colors, and layout structure unless specifically requested to change`}
                 
                 AVAILABLE TOOLS:
-                - executeCommand: Run shell commands
                 - writeToFile: Write content to files ${isUpdate ? '(FORBIDDEN for updates)' : '(use for NEW projects only)'}
                 - listProjects: List existing projects
                 - readProjectFiles: Read current project files
-                - updateProjectFiles: Update existing project files ${isUpdate ? '(MANDATORY for updates)' : '(use for UPDATES only)'}
-                - deployProject: Deploy projects to Vercel with automatic configuration
+                - editFile: Targeted search/replace or unified diff edits ${isUpdate ? '(PREFERRED for updates)' : '(use for UPDATES only)'}
+                - updateProjectFiles: Replace whole project files ${isUpdate ? '(only for large rewrites)' : '(use for UPDATES only)'}
+                - listFiles / readFile: List and read individual files of the current project
+                - writeFile / deleteFile / renameFile: Add extra pages or assets, remove or move files inside the current project
+                - There is NO shell access - only these file tools are available, and only for project "${projectName}"
+                - deployProject: Deploy projects to Vercel or Netlify with automatic configuration
                 - translateContent: Translate website content to Indian languages (Hindi, Bengali, Telugu, Marathi, Tamil, Gujarati, Kannada)
                 
                 MULTI-LANGUAGE SUPPORT:
@@ -1196,32 +1102,32 @@ Current OS: ${platform}
                 Creative: 1517694712202, 1550745645, 1558618666, 1587440459, 1523050854612
                 
                 TOOL SELECTION RULES:
-                ${isUpdate ? `- For UPDATES: ALWAYS use updateProjectFiles tool
+                ${isUpdate ? `- For UPDATES: use editFile for small changes, updateProjectFiles only for large rewrites
                 - For UPDATES: NEVER use writeToFile tool
-                - First read existing files with readProjectFiles
-                - Then update specific parts with updateProjectFiles` : `- For NEW projects: Use writeToFile to create files in projects/[projectName]/
+                - First read existing files with readProjectFiles or readFile
+                - Then change only the specific parts with editFile` : `- For NEW projects: Use writeToFile to create files in projects/[projectName]/
                 - For UPDATES: Use updateProjectFiles to modify existing files in projects/[projectName]/
-                - For DEPLOYMENT: Use deployProject to deploy projects to Vercel
+                - For DEPLOYMENT: Use deployProject to deploy projects to Vercel or Netlify
                 - Always check if project exists before deciding which tool to use`}
                 
-                ${isUpdate ? `🚨 IMPORTANT: This is an UPDATE operation. You must modify existing files, not create new ones. Use updateProjectFiles tool only.` : 'IMPORTANT: Always create websites that are visually stunning, professionally designed, and engaging. Focus on user experience, modern aesthetics, and technical excellence.'}`,
+                ${isUpdate ? `🚨 IMPORTANT: This is an UPDATE operation. You must modify existing files, not create new ones. Use editFile (or updateProjectFiles for large rewrites).` : 'IMPORTANT: Always create websites that are visually stunning, professionally designed, and engaging. Focus on user experience, modern aesthetics, and technical excellence.'}`,
                 tools: [{
                     functionDeclarations: [
-                        executeCommandDeclaration,
                         writeToFileDeclaration,
                         listProjectsDeclaration,
                         readProjectFilesDeclaration,
                         updateProjectFilesDeclaration,
                         deployProjectDeclaration,
-                        translateContentDeclaration
+                        translateContentDeclaration,
+                        ...Object.values(projectToolDeclarations)
                     ]
                 }],
                 temperature: 0.9,
                 maxOutputTokens: 8000,
             },
-        });
+        }, { userId, projectName, feature: isUpdate ? 'update' : 'build' });
             // No fallback, only use gemini-2.5-flash
-        });
+        }, 3, 1000, (retry) => onProgress('retry', { turn, ...retry }));
 
         // Check for malformed function call
         if (response.candidates && response.candidates[0] && 
@@ -1242,35 +1148,35 @@ Current OS: ${platform}
 Please try again with the correct format.`;
             
             currentHistory.push({ role: "user", parts: [{ text: errorMessage }] });
+            onProgress('tool_rejected', { turn, reason: 'Malformed function call' });
             continue;
         }
 
         if (response.functionCalls && response.functionCalls.length > 0) {
             const { name, args } = response.functionCalls[0];
+            onProgress('tool_call', { turn, name, args: summarizeForProgress(args) });
 
             // Prevent using writeToFile for updates
             if (isUpdate && name === 'writeToFile') {
-                const errorMessage = `🚨 ERROR: You cannot use writeToFile tool for updates. You MUST use updateProjectFiles tool to modify existing files in project "${projectName}". Please try again with the correct tool.`;
+                auditToolCall({ userId, projectName, tool: name, args, allowed: false, outcome: 'rejected', message: 'Not allowed for updates' });
+                const errorMessage = `🚨 ERROR: You cannot use writeToFile tool for updates. Use editFile (or updateProjectFiles for large rewrites) to modify existing files in project "${projectName}". Please try again with the correct tool.`;
                 currentHistory.push({ role: "user", parts: [{ text: errorMessage }] });
+                onProgress('tool_rejected', { turn, name, reason: 'writeToFile is not allowed for updates' });
                 continue;
             }
 
-            // Ensure updates use updateProjectFiles tool
-            if (isUpdate && name !== 'updateProjectFiles' && name !== 'readProjectFiles' && name !== 'listProjects') {
-                const errorMessage = `🚨 ERROR: For updates, you should use updateProjectFiles tool to modify files. You used ${name} which is not appropriate for updates. Please use updateProjectFiles to make the requested changes.`;
+            // Ensure updates only use file editing tools
+            if (isUpdate && !UPDATE_TOOL_ALLOWLIST.includes(name)) {
+                auditToolCall({ userId, projectName, tool: name, args, allowed: false, outcome: 'rejected', message: 'Not allowed for updates' });
+                const errorMessage = `🚨 ERROR: For updates, you should use editFile or updateProjectFiles to modify files. You used ${name} which is not appropriate for updates. Please use editFile to make the requested changes.`;
                 currentHistory.push({ role: "user", parts: [{ text: errorMessage }] });
+                onProgress('tool_rejected', { turn, name, reason: `${name} is not allowed for updates` });
                 continue;
             }
 
-            const funCall = availableTools[name];
-            
-            // Pass userId for file operations and deployment
-            let result;
-            if (name === 'writeToFile' || name === 'readProjectFiles' || name === 'updateProjectFiles' || name === 'deployProject') {
-                result = await funCall(args, userId);
-            } else {
-                result = await funCall(args);
-            }
+            // Every tool call goes through the allowlist, project scope check and audit log
+            const result = await invokeAgentTool(name, args, { userId, storageRoot, project, projectName, toolset });
+            onProgress('tool_result', { turn, name, result: summarizeForProgress(result) });
 
             const functionResponsePart = { name, response: { result } };
             currentHistory.push({ role: "model", parts: [{ functionCall: response.functionCalls[0] }] });
@@ -1281,8 +1187,9 @@ Please try again with the correct format.`;
             currentHistory.push({ role: 'model', parts: [{ text: responseText }] });
 
             // Update project history for future context
-            ProjectHistory.set(projectName, currentHistory);
+            await conversationStore.saveAgentHistory(userId, project, currentHistory);
 
+            onProgress('summary', { turn, text: responseText });
             return responseText;
         }
     }
@@ -1320,7 +1227,7 @@ function extractProjectName(message, availableProjects) {
 }
 
 // Function to enhance user prompts to professional level
-async function enhanceUserPrompt(prompt, type = 'build') {
+async function enhanceUserPrompt(prompt, type = 'build', userId = null) {
     try {
         const systemInstruction = `You are a prompt enhancement specialist. Your ONLY job is to rewrite website requests in a natural, first-person conversational style.
 
@@ -1343,7 +1250,7 @@ Remember: First person only ("I want..."). No headings. One flowing paragraph. N
 
         console.log('🔍 Enhancing prompt:', prompt);
         
-        const response = await ai.models.generateContent({
+        const response = await generateContent({
             model: "gemini-2.5-flash",
             contents: [
                 { role: 'user', parts: [{ text: systemInstruction + "\n\n" + userPrompt }] }
@@ -1352,7 +1259,7 @@ Remember: First person only ("I want..."). No headings. One flowing paragraph. N
                 temperature: 0.9,
                 maxOutputTokens: 600,
             },
-        });
+        }, { userId, feature: 'enhance-prompt' });
         
         console.log('📦 Raw AI response:', JSON.stringify(response, null, 2));
         
@@ -1375,8 +1282,14 @@ Remember: First person only ("I want..."). No headings. One flowing paragraph. N
     }
 }
 
+// Per-route limits for endpoints that spend Gemini quota
+const chatLimit = rateLimit({ name: 'chat', max: 30, windowMs: 60 * 1000, keyBy: 'user' });
+const buildLimit = rateLimit({ name: 'build', max: 20, windowMs: 60 * 60 * 1000, keyBy: 'user', message: 'Build limit reached. Please wait before starting another build.' });
+const updateLimit = rateLimit({ name: 'update', max: 40, windowMs: 60 * 60 * 1000, keyBy: 'user', message: 'Update limit reached. Please wait before requesting more changes.' });
+const enhancePromptLimit = rateLimit({ name: 'enhance-prompt', max: 20, windowMs: 10 * 60 * 1000, keyBy: 'user' });
+
 // Chat API endpoint
-app.post('/api/chat', authenticate, async (req, res) => {
+app.post('/api/chat', authenticate, chatLimit, async (req, res) => {
     try {
         const { message, chatHistory, currentProject } = req.body;
 
@@ -1387,38 +1300,51 @@ app.post('/api/chat', authenticate, async (req, res) => {
             });
         }
 
-        // Get or create chat history for this user (user-based instead of IP-based)
         const userId = req.userId.toString(); // Use authenticated user ID
-        let sessionHistory = ChatHistory.get(userId) || [];
 
-        // Add current message to history
-        sessionHistory.push({ role: 'user', content: message });
+        // Get the projects of the workspace the user is working in
+        const access = await resolveWorkspace(req.user, requestedWorkspaceId(req));
+        if (!access) {
+            return res.status(404).json({
+                success: false,
+                error: 'Workspace not found or you are not a member of it'
+            });
+        }
 
-        // Get available projects for this user
-        let availableProjects = [];
+        let projects = [];
         try {
-            const projects = await Project.find({ userEmail: req.userEmail });
-            availableProjects = projects.map(p => p.projectName);
+            projects = await Project.findByWorkspace(access.workspace._id);
         } catch (error) {
             console.error('Error getting projects:', error);
         }
+        const availableProjects = projects.map(p => p.projectName);
 
         // Check if user mentioned a specific project name
         const mentionedProject = extractProjectName(message, availableProjects);
 
+        // Chat history is kept per project (or general when no project is in focus)
+        const historyProjectName = [mentionedProject, currentProject].find(name => name && availableProjects.includes(name));
+        const historyProject = projects.find(p => p.projectName === historyProjectName) || null;
+        const sessionHistory = await conversationStore.getChatHistory(userId, historyProject);
+
+        // Add current message to history
+        sessionHistory.push({ role: 'user', content: message });
+
         // Prepare context for AI
         const context = {
             message,
             chatHistory: sessionHistory,
             currentProject: mentionedProject || currentProject,
             availableProjects,
-            projectFiles: null
+            projectFiles: null,
+            userId
         };
 
-        // Get current project files if available (user-specific)
+        // Get current project files if available
         if (context.currentProject && availableProjects.includes(context.currentProject)) {
             try {
-                context.projectFiles = await storage.getProjectFiles(context.currentProject, userId);
+                const project = projects.find(p => p.projectName === context.currentProject);
+                context.projectFiles = await storageFor(project).readAllProjectFiles(project.projectName, project.getStorageRoot());
             } catch (error) {
                 console.error('Error reading project files:', error);
             }
@@ -1435,15 +1361,11 @@ app.post('/api/chat', authenticate, async (req, res) => {
 
         const response = await handleChatMessage(context);
 
-        // Add AI response to history
-        sessionHistory.push({ role: 'model', content: response.text });
-
-        // Keep only last 20 messages to prevent context overflow
-        if (sessionHistory.length > 20) {
-            sessionHistory = sessionHistory.slice(-20);
-        }
-
-        ChatHistory.set(userId, sessionHistory);
+        // Save the exchange (the store keeps only the most recent messages)
+        await conversationStore.appendChatMessages(userId, historyProject, [
+            { role: 'user', content: message },
+            { role: 'model', content: response.text }
+        ]);
 
         res.json({
             success: true,
@@ -1477,9 +1399,20 @@ app.post('/api/chat', authenticate, async (req, res) => {
 app.post('/api/chat/clear', authenticate, async (req, res) => {
     try {
         const userId = req.userId.toString();
-        
-        // Clear chat history for this user
-        ChatHistory.delete(userId);
+
+        // Clear chat history for one project (in the current workspace), or every conversation of this user
+        let project;
+        if (req.body?.projectName) {
+            const access = await resolveWorkspace(req.user, requestedWorkspaceId(req));
+            project = access ? await Project.findOne({ workspaceId: access.workspace._id, projectName: req.body.projectName }) : null;
+            if (!project) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Project ${req.body.projectName} not found`
+                });
+            }
+        }
+        await conversationStore.clearChatHistory(userId, project);
         
         res.json({
             success: true,
@@ -1496,7 +1429,7 @@ app.post('/api/chat/clear', authenticate, async (req, res) => {
 
 // Handle chat messages with context awareness
 async function handleChatMessage(context) {
-    const { message, chatHistory, currentProject, availableProjects, projectFiles } = context;
+    const { message, chatHistory, currentProject, availableProjects, projectFiles, userId } = context;
 
     // Convert chat history to AI format with correct roles
     const aiHistory = chatHistory.map(msg => ({
@@ -1546,14 +1479,14 @@ You're a web development expert who happens to have access to an amazing AI webs
     ];
 
     try {
-        const response = await ai.models.generateContent({
+        const response = await generateContent({
             model: "gemini-2.5-flash",
             contents: currentHistory,
             config: {
                 temperature: 0.9, // Higher for more creative, natural responses
                 maxOutputTokens: 1500, // Allow for fuller responses like a normal LLM
             },
-        });
+        }, { userId, projectName: availableProjects.includes(currentProject) ? currentProject : null, feature: 'chat' });
 
         const responseText = extractResponseText(response);
 
@@ -1595,7 +1528,7 @@ You're a web development expert who happens to have access to an amazing AI webs
         // Deployment intents
         else if (lowerMessage.includes('deploy') || lowerMessage.includes('publish') ||
             lowerMessage.includes('go live') || lowerMessage.includes('put online') ||
-            lowerMessage.includes('vercel') || lowerMessage.includes('host') ||
+            lowerMessage.includes('vercel') || lowerMessage.includes('netlify') || lowerMessage.includes('host') ||
             lowerMessage.includes('upload') || lowerMessage.includes('make live')) {
             action = 'deploy_project';
         }
@@ -1630,19 +1563,26 @@ You're a web development expert who happens to have access to an amazing AI webs
 }
 
 // API Routes
-app.get('/api/projects', authenticate, async (req, res) => {
+app.get('/api/projects', authenticateWithScope('projects:read'), async (req, res) => {
     try {
         console.log('API: /api/projects called for user:', req.userEmail);
         
-        // Get projects from database for this user
-        const userProjects = await Project.findByUserEmail(req.userEmail);
+        // Get projects of the requested workspace (the user's personal one by default)
+        const workspace = await loadWorkspace(req, res, 'read');
+        if (!workspace) return;
+
+        const workspaceProjects = await Project.findByWorkspace(workspace._id);
         
         // Extract project names
-        const projectNames = userProjects.map(p => p.projectName);
+        const projectNames = workspaceProjects.map(p => p.projectName);
         
-        console.log(`API: Found ${projectNames.length} projects for user ${req.userEmail}`);
+        console.log(`API: Found ${projectNames.length} projects in workspace ${workspace._id}`);
         
-        res.json({ success: true, projects: projectNames });
+        res.json({
+            success: true,
+            projects: projectNames,
+            workspace: { id: workspace._id, name: workspace.name, role: req.workspaceRole }
+        });
     } catch (error) {
         console.error('API: /api/projects error:', error);
         res.status(500).json({ success: false, error: error.message });
@@ -1650,7 +1590,7 @@ app.get('/api/projects', authenticate, async (req, res) => {
 });
 
 // Delete project endpoint
-app.delete('/api/projects/:projectName', authenticate, async (req, res) => {
+app.delete('/api/projects/:projectName', authenticateWithScope('projects:write'), async (req, res) => {
     try {
         const { projectName } = req.params;
         
@@ -1663,18 +1603,9 @@ app.delete('/api/projects/:projectName', authenticate, async (req, res) => {
 
         console.log(`🗑️ Deleting project: ${projectName} for user: ${req.userEmail}`);
         
-        // Check if project belongs to user
-        const project = await Project.findOne({ 
-            projectName, 
-            userEmail: req.userEmail 
-        });
-        
-        if (!project) {
-            return res.status(404).json({
-                success: false,
-                error: 'Project not found or you do not have permission to delete it'
-            });
-        }
+        // Only owners may delete projects
+        const project = await loadProject(req, res, 'delete');
+        if (!project) return;
         
         // Wait for storage to be initialized
         if (!storage || !storageReady) {
@@ -1684,24 +1615,9 @@ app.delete('/api/projects/:projectName', authenticate, async (req, res) => {
             });
         }
         
-        // Delete project using storage service with userId
-        const result = await storage.deleteProject(projectName, req.userId.toString());
-        
-        if (!result.success) {
-            throw new Error(result.message || 'Failed to delete project');
-        }
-        
-        console.log(`✅ Deleted project from storage: ${projectName}`);
-        
-        // Delete from database
-        await Project.deleteOne({ _id: project._id });
-        console.log(`✅ Deleted project from database: ${projectName}`);
-        
-        // Clear project history from memory
-        if (ProjectHistory.has(projectName)) {
-            ProjectHistory.delete(projectName);
-            console.log(`✅ Cleared project history for: ${projectName}`);
-        }
+        // Delete files, version history, chat history and the database record
+        await deleteProjectCompletely(project);
+        console.log(`✅ Deleted project: ${projectName}`);
         
         res.json({ 
             success: true, 
@@ -1718,31 +1634,255 @@ app.delete('/api/projects/:projectName', authenticate, async (req, res) => {
 });
 
 // Get project files from local filesystem (for loading generated projects)
-app.get('/api/files/:projectName', authenticate, async (req, res) => {
+// Also works without an account through a share link (?share=<token>)
+app.get('/api/files/:projectName', authenticateOrShareLink('projects:read'), async (req, res) => {
     try {
         const { projectName } = req.params;
         
-        // Check if project belongs to user
-        const project = await Project.findOne({ 
-            projectName, 
-            userEmail: req.userEmail 
-        });
+        const project = await loadProject(req, res, 'read');
+        if (!project) return;
         
-        if (!project) {
+        const projectFiles = await storageFor(project).readAllProjectFiles(projectName, project.getStorageRoot());
+
+        // Text files are returned as-is, binary assets as base64 with their metadata in `fileTypes`
+        const files = {};
+        const fileTypes = {};
+        for (const [fileName, content] of Object.entries(projectFiles)) {
+            const isBinary = Buffer.isBuffer(content);
+            files[fileName] = isBinary ? content.toString('base64') : content;
+            fileTypes[fileName] = {
+                contentType: storage.getContentType(fileName),
+                encoding: isBinary ? 'base64' : 'utf-8',
+                size: isBinary ? content.length : Buffer.byteLength(content)
+            };
+        }
+
+        res.json({ success: true, files, fileTypes });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Stream a single project file (e.g. an image or font) with its MIME type
+app.get('/api/files/:projectName/raw/*filePath', authenticateOrShareLink('projects:read'), async (req, res) => {
+    try {
+        const { projectName } = req.params;
+        const filePath = [].concat(req.params.filePath).join('/');
+        
+        const project = await loadProject(req, res, 'read');
+        if (!project) return;
+
+        let content;
+        try {
+            content = await storageFor(project).readFileBuffer(projectName, filePath, project.getStorageRoot());
+        } catch (error) {
             return res.status(404).json({
                 success: false,
-                error: 'Project not found or you do not have permission to access it'
+                error: `File "${filePath}" not found in project "${projectName}"`
             });
         }
-        
-        const files = await readProjectFiles({ projectName }, req.userId.toString());
-        res.json({ success: true, files });
+
+        res.set('Content-Type', storage.getContentType(filePath));
+        res.set('Content-Length', content.length);
+        res.send(content);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-app.post('/api/build', authenticate, async (req, res) => {
+// Share link preview - renders a shared project in the browser without an account
+// (/api/share/<token>/ serves the entry page, other paths the project's assets)
+app.get('/api/share/:token{/*filePath}', async (req, res) => {
+    try {
+        // Relative asset URLs in the page only resolve below a trailing slash
+        if (!req.params.filePath && !req.path.endsWith('/')) {
+            return res.redirect(`${req.path}/`);
+        }
+
+        const shareLink = await ShareLink.findActiveByToken(req.params.token);
+        const project = shareLink ? await Project.findById(shareLink.projectId) : null;
+        if (!project) {
+            return res.status(404).type('text/plain').send('This share link is unknown, expired or revoked.');
+        }
+
+        // Imported sites may open on another page - go there so its relative links resolve
+        const entryFile = project.entryFile || 'index.html';
+        if (!req.params.filePath && entryFile !== 'index.html') {
+            return res.redirect(`${req.path}${entryFile.split('/').map(encodeURIComponent).join('/')}`);
+        }
+
+        const filePath = req.params.filePath ? [].concat(req.params.filePath).join('/') : 'index.html';
+
+        let content;
+        try {
+            content = await storageFor(project).readFileBuffer(project.projectName, filePath, project.getStorageRoot());
+        } catch (error) {
+            return res.status(404).type('text/plain').send(`File "${filePath}" not found`);
+        }
+
+        // The page is user content served from the API's origin - sandbox it so
+        // its scripts can't make requests with a visitor's session
+        res.set('Content-Security-Policy', 'sandbox allow-scripts allow-forms allow-popups');
+        res.set('X-Robots-Tag', 'noindex');
+        res.set('Content-Type', storage.getContentType(filePath));
+        res.send(content);
+    } catch (error) {
+        console.error('Share preview error:', error);
+        res.status(500).type('text/plain').send('Could not load the shared project');
+    }
+});
+
+// Map AI/agent errors to a friendly message and HTTP status
+function describeAgentError(error) {
+    let errorMessage = error.message;
+    let statusCode = 500;
+    
+    if (error.message.includes('503') || error.message.includes('UNAVAILABLE')) {
+        errorMessage = 'The AI model is currently overloaded. Please try again in a few moments.';
+        statusCode = 503;
+    } else if (error.message.includes('INVALID_ARGUMENT')) {
+        errorMessage = 'Invalid request. Please check your input and try again.';
+        statusCode = 400;
+    } else if (error.message.includes('QUOTA_EXCEEDED')) {
+        errorMessage = 'API quota exceeded. Please try again later.';
+        statusCode = 429;
+    }
+
+    return { statusCode, errorMessage };
+}
+
+// Open a Server-Sent Events stream on the response
+// A comment line is written every 15s so proxies don't close an idle connection
+function openEventStream(res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+    res.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+    });
+
+    return {
+        send(event, data) {
+            if (closed) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        end() {
+            clearInterval(heartbeat);
+            if (!closed) res.end();
+            closed = true;
+        }
+    };
+}
+
+// Run the agent for a new project and save its metadata and first version
+async function performBuild({ userId, userEmail, workspaceId, description, projectName, images }, onProgress = () => {}) {
+    // Enhanced description with image context
+    let enhancedDescription = description;
+    if (images && Object.keys(images).length > 0) {
+        const imageContext = `\n\nIMPORTANT: Include these high-quality images in the website:\n`;
+        const imageInstructions = Object.entries(images).map(([section, imageData]) => {
+            return `- ${section} section: Use image from ${imageData.url} (${imageData.width}x${imageData.height}) with alt text "${imageData.alt}"`;
+        }).join('\n');
+        
+        enhancedDescription += imageContext + imageInstructions + '\n\nMake sure to include proper <img> tags with the provided URLs and optimize them for responsive design.';
+    }
+
+    // A resumed job may have saved the project already. A new project gets its
+    // id now so the agent's history is stored against it; it is saved after the run.
+    const existingProject = await Project.findOne({ workspaceId, projectName });
+    const storageRoot = existingProject ? existingProject.getStorageRoot() : Workspace.storageRootFor(workspaceId);
+    const project = existingProject || new Project({
+        projectName,
+        workspaceId,
+        userId,
+        userEmail,
+        storageRoot,
+        description,
+        storageProvider: storage.provider,
+        status: 'active'
+    });
+
+    const result = await runAgent(enhancedDescription, projectName, false, { userId: userId.toString(), storageRoot, project }, onProgress);
+
+    // Save project metadata to database
+    await project.save();
+    console.log(`✅ Project metadata saved to database: ${projectName}`);
+
+    const snapshot = await versionHistory.recordSnapshot(project, {
+        source: 'build',
+        prompt: description,
+        author: { userId, email: userEmail }
+    });
+    // List the files the agent actually stored
+    project.set(projectFilesFromSnapshot(snapshot));
+    await project.save();
+    await githubSync.pushIfLinked(project);
+
+    return result;
+}
+
+// Project.files and fileCount from the files a version snapshot found in storage
+function projectFilesFromSnapshot(snapshot) {
+    const files = snapshot.files.map(({ filePath, fileSize, contentType }) => ({
+        fileName: filePath.split('/').pop(),
+        filePath,
+        fileSize,
+        contentType
+    }));
+    return { files, fileCount: files.length };
+}
+
+// Run the agent against an existing project and record the new version
+async function performUpdate({ userId, userEmail, workspaceId, description, projectName }, onProgress = () => {}) {
+    const project = await Project.findOne({ workspaceId, projectName });
+    if (!project) {
+        throw new Error(`Project ${projectName} not found`);
+    }
+
+    const result = await runAgent(description, projectName, true, { userId: userId.toString(), storageRoot: project.getStorageRoot(), project }, onProgress);
+    
+    const snapshot = await versionHistory.recordSnapshot(project, {
+        source: 'update',
+        prompt: description,
+        author: { userId, email: userEmail }
+    });
+
+    // Update project metadata in database
+    project.set(projectFilesFromSnapshot(snapshot));
+    await project.save();
+    await githubSync.pushIfLinked(project);
+
+    return result;
+}
+
+// Builds and updates are refused once the plan's daily or monthly AI quota is used up
+async function enforceUsageQuota(req, res, next) {
+    try {
+        const quota = await usageMeter.getQuotaStatus(req.user);
+        if (quota.exceeded) {
+            const { period, used, limit, resetAt } = quota.exceeded;
+            const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+            return sendTooManyRequests(res, retryAfter,
+                `You've used your ${period} AI quota on the ${quota.plan} plan (${used.toLocaleString()} of ${limit.toLocaleString()} tokens). It resets at ${resetAt.toISOString()}.`);
+        }
+    } catch (error) {
+        // Metering problems shouldn't block builds
+        console.error('Usage quota check failed:', error.message);
+    }
+    next();
+}
+
+// Build handler - queues a build job, `/api/build/stream` runs it inline as Server-Sent Events
+async function handleBuild(req, res) {
+    let events = null;
     try {
         const { description, projectName, images } = req.body;
         if (!description || !projectName) {
@@ -1752,12 +1892,21 @@ app.post('/api/build', authenticate, async (req, res) => {
             });
         }
 
+        const nameError = Project.nameError(projectName);
+        if (nameError) {
+            return res.status(400).json({ success: false, error: nameError });
+        }
+
         console.log(`🏗️ Building project: ${projectName} for user: ${req.userEmail}`);
 
-        // Check if project name already exists for this user
+        // Building needs write access to the target workspace
+        const workspace = await loadWorkspace(req, res, 'write');
+        if (!workspace) return;
+
+        // Check if project name already exists in the workspace
         const existingProject = await Project.findOne({ 
             projectName, 
-            userEmail: req.userEmail 
+            workspaceId: workspace._id 
         });
         
         if (existingProject) {
@@ -1767,51 +1916,33 @@ app.post('/api/build', authenticate, async (req, res) => {
             });
         }
 
-        // Enhanced description with image context
-        let enhancedDescription = description;
-        if (images && Object.keys(images).length > 0) {
-            const imageContext = `\n\nIMPORTANT: Include these high-quality images in the website:\n`;
-            const imageInstructions = Object.entries(images).map(([section, imageData]) => {
-                return `- ${section} section: Use image from ${imageData.url} (${imageData.width}x${imageData.height}) with alt text "${imageData.alt}"`;
-            }).join('\n');
-            
-            enhancedDescription += imageContext + imageInstructions + '\n\nMake sure to include proper <img> tags with the provided URLs and optimize them for responsive design.';
+        if (!req.path.endsWith('/stream')) {
+            return await enqueueJob(req, res, 'build', { workspaceId: workspace._id, projectName }, { description, images });
         }
 
-        // Pass userId to runAgent
-        const result = await runAgent(enhancedDescription, projectName, false, req.userId.toString());
-        
-        // Save project metadata to database
-        const newProject = new Project({
-            projectName,
+        events = openEventStream(res);
+        events.send('start', { projectName, mode: 'build' });
+
+        const result = await performBuild({
             userId: req.userId,
             userEmail: req.userEmail,
+            workspaceId: workspace._id,
             description,
-            fileCount: 3, // HTML, CSS, JS
-            storageProvider: 'supabase',
-            status: 'active'
-        });
-        
-        await newProject.save();
-        console.log(`✅ Project metadata saved to database: ${projectName}`);
-        
-        res.json({ success: true, result });
+            projectName,
+            images
+        }, events.send);
+
+        events.send('done', { success: true, result });
+        events.end();
     } catch (error) {
         console.error('Build error:', error);
         
         // Handle specific error types
-        let errorMessage = error.message;
-        let statusCode = 500;
-        
-        if (error.message.includes('503') || error.message.includes('UNAVAILABLE')) {
-            errorMessage = 'The AI model is currently overloaded. Please try again in a few moments.';
-            statusCode = 503;
-        } else if (error.message.includes('INVALID_ARGUMENT')) {
-            errorMessage = 'Invalid request. Please check your input and try again.';
-            statusCode = 400;
-        } else if (error.message.includes('QUOTA_EXCEEDED')) {
-            errorMessage = 'API quota exceeded. Please try again later.';
-            statusCode = 429;
+        const { statusCode, errorMessage } = describeAgentError(error);
+
+        if (events) {
+            events.send('error', { success: false, status: statusCode, error: errorMessage, details: error.message });
+            return events.end();
         }
         
         res.status(statusCode).json({ 
@@ -1820,9 +1951,11 @@ app.post('/api/build', authenticate, async (req, res) => {
             details: error.message
         });
     }
-});
+}
 
-app.post('/api/update', authenticate, async (req, res) => {
+// Update handler - queues an update job, `/api/update/stream` runs it inline as Server-Sent Events
+async function handleUpdate(req, res) {
+    let events = null;
     try {
         const { description, projectName } = req.body;
         if (!description || !projectName) {
@@ -1834,42 +1967,35 @@ app.post('/api/update', authenticate, async (req, res) => {
 
         console.log(`🔄 Updating project: ${projectName} for user: ${req.userEmail}`);
 
-        // Check if project belongs to user
-        const project = await Project.findOne({ 
-            projectName, 
-            userEmail: req.userEmail 
-        });
-        
-        if (!project) {
-            return res.status(404).json({
-                success: false,
-                error: 'Project not found or you do not have permission to update it'
-            });
+        const project = await loadProject(req, res, 'write', projectName);
+        if (!project) return;
+
+        if (!req.path.endsWith('/stream')) {
+            return await enqueueJob(req, res, 'update', project, { description });
         }
 
-        const result = await runAgent(description, projectName, true, req.userId.toString());
-        
-        // Update project metadata in database
-        project.updatedAt = Date.now();
-        await project.save();
-        
-        res.json({ success: true, result });
+        events = openEventStream(res);
+        events.send('start', { projectName, mode: 'update' });
+
+        const result = await performUpdate({
+            userId: req.userId,
+            userEmail: req.userEmail,
+            workspaceId: project.workspaceId,
+            description,
+            projectName
+        }, events.send);
+
+        events.send('done', { success: true, result });
+        events.end();
     } catch (error) {
         console.error('Update error:', error);
         
         // Handle specific error types
-        let errorMessage = error.message;
-        let statusCode = 500;
-        
-        if (error.message.includes('503') || error.message.includes('UNAVAILABLE')) {
-            errorMessage = 'The AI model is currently overloaded. Please try again in a few moments.';
-            statusCode = 503;
-        } else if (error.message.includes('INVALID_ARGUMENT')) {
-            errorMessage = 'Invalid request. Please check your input and try again.';
-            statusCode = 400;
-        } else if (error.message.includes('QUOTA_EXCEEDED')) {
-            errorMessage = 'API quota exceeded. Please try again later.';
-            statusCode = 429;
+        const { statusCode, errorMessage } = describeAgentError(error);
+
+        if (events) {
+            events.send('error', { success: false, status: statusCode, error: errorMessage, details: error.message });
+            return events.end();
         }
         
         res.status(statusCode).json({ 
@@ -1878,9 +2004,14 @@ app.post('/api/update', authenticate, async (req, res) => {
             details: error.message
         });
     }
-});
+}
+
+app.post('/api/build', authenticateWithScope('build'), buildLimit, enforceUsageQuota, handleBuild);
+app.post('/api/build/stream', authenticateWithScope('build'), buildLimit, enforceUsageQuota, handleBuild);
+app.post('/api/update', authenticateWithScope('build'), updateLimit, enforceUsageQuota, handleUpdate);
+app.post('/api/update/stream', authenticateWithScope('build'), updateLimit, enforceUsageQuota, handleUpdate);
 
-app.post('/api/deploy', authenticate, async (req, res) => {
+app.post('/api/deploy', authenticateWithScope('deploy'), requireVerified, async (req, res) => {
     try {
         const { projectName, siteName } = req.body;
         if (!projectName) {
@@ -1890,48 +2021,119 @@ app.post('/api/deploy', authenticate, async (req, res) => {
             });
         }
 
-        console.log(`🚀 Deploying project: ${projectName} for user: ${req.userEmail}`);
-
-        // Check if project belongs to user
-        const project = await Project.findOne({ 
-            projectName, 
-            userEmail: req.userEmail 
-        });
-        
-        if (!project) {
-            return res.status(404).json({
+        const provider = req.body.provider || defaultDeployProvider();
+        if (!DEPLOY_PROVIDERS.includes(provider)) {
+            return res.status(400).json({
+                success: false,
+                error: `Provider must be one of: ${DEPLOY_PROVIDERS.join(', ')}`
+            });
+        }
+        if (!getDeployProvider(provider).isConfigured()) {
+            return res.status(503).json({
                 success: false,
-                error: 'Project not found or you do not have permission to deploy it'
+                error: `Deploying to ${provider} is not configured on this server`
             });
         }
 
-        const result = await deployProject({ projectName, siteName }, req.userId.toString());
-        
-        res.json({ success: true, result });
+        console.log(`🚀 Deploying project: ${projectName} to ${provider} for user: ${req.userEmail}`);
+
+        const project = await loadProject(req, res, 'deploy', projectName);
+        if (!project) return;
+
+        await enqueueJob(req, res, 'deploy', project, { siteName, provider });
     } catch (error) {
         console.error('Deploy error:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Projects API endpoint
-app.get('/api/projects', async (req, res) => {
-    try {
-        const projects = await listProjects();
-        
-        // listProjects returns an array of project names directly
-        res.json({ success: true, projects });
-    } catch (error) {
-        console.error('Projects API error:', error.message);
-        res.status(500).json({ 
-            success: false, 
-            error: error.message || 'Failed to load projects' 
+// Background job handlers - progress events are written to the job log,
+// and cancellation takes effect at the next agent turn or tool call
+function registerJobHandlers() {
+    const jobProgress = ({ log, throwIfCancelled }) => (event, data) => {
+        log(event, data);
+        throwIfCancelled();
+    };
+
+    jobQueue.registerHandler('build', async (job, context) => {
+        const result = await performBuild({
+            ...job.payload,
+            userId: job.userId,
+            userEmail: job.userEmail,
+            workspaceId: job.workspaceId,
+            projectName: job.projectName
+        }, jobProgress(context));
+        return { result };
+    });
+
+    jobQueue.registerHandler('update', async (job, context) => {
+        const result = await performUpdate({
+            ...job.payload,
+            userId: job.userId,
+            userEmail: job.userEmail,
+            workspaceId: job.workspaceId,
+            projectName: job.projectName
+        }, jobProgress(context));
+        return { result };
+    });
+
+    jobQueue.registerHandler('deploy', async (job, context) => {
+        context.throwIfCancelled();
+        const project = await Project.findOne({ workspaceId: job.workspaceId, projectName: job.projectName });
+        if (!project) {
+            throw new Error(`Project ${job.projectName} not found`);
+        }
+        const result = await deployProject(
+            { projectName: job.projectName, siteName: job.payload.siteName, provider: job.payload.provider },
+            { userId: job.userId.toString(), storageRoot: project.getStorageRoot(), project, jobId: job._id, onProgress: jobProgress(context) }
+        );
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return { deployment: result.deployment };
+    });
+
+    jobQueue.registerHandler('import', async (job, context) => {
+        const [workspace, user] = await Promise.all([Workspace.findById(job.workspaceId), User.findById(job.userId)]);
+        if (!workspace || !user) {
+            throw new Error('The workspace or account of this import no longer exists');
+        }
+
+        const { repoUrl, ref } = job.payload;
+        context.log('cloning', { repoUrl, ref });
+        const { files, skipped, commitSha } = await projectImport.cloneGitRepository(repoUrl, { ref });
+        context.throwIfCancelled();
+
+        const project = await projectImport.createProjectFromFiles({
+            workspace,
+            projectName: job.projectName,
+            user,
+            files,
+            description: `Imported from ${repoUrl}`,
+            source: 'import',
+            prompt: `Import ${repoUrl}${ref ? `#${ref}` : ''} at ${commitSha.substring(0, 7)}`
         });
-    }
-});
+
+        return {
+            projectName: project.projectName,
+            entryFile: project.entryFile,
+            fileCount: project.fileCount,
+            skipped,
+            commitSha
+        };
+    });
+}
+
+// Retrying a job runs the checks of the route that queued it again
+function registerJobRetryChecks(registerRetryChecks) {
+    registerRetryChecks('build', { access: { workspace: 'write' }, middleware: [buildLimit, enforceUsageQuota] });
+    registerRetryChecks('update', { access: { project: 'write' }, middleware: [updateLimit, enforceUsageQuota] });
+    registerRetryChecks('deploy', { scope: 'deploy', access: { project: 'deploy' }, middleware: [requireVerified] });
+    registerRetryChecks('import', { scope: 'projects:write', access: { workspace: 'write' } });
+}
 
 // Enhance Prompt API endpoint
-app.post('/api/enhance-prompt', async (req, res) => {
+app.post('/api/enhance-prompt', optionalAuth, enhancePromptLimit, async (req, res) => {
     try {
         const { prompt, type } = req.body;
         
@@ -1942,7 +2144,7 @@ app.post('/api/enhance-prompt', async (req, res) => {
             });
         }
 
-        const enhancedPrompt = await enhanceUserPrompt(prompt, type);
+        const enhancedPrompt = await enhanceUserPrompt(prompt, type, req.userId || null);
         
         if (!enhancedPrompt || enhancedPrompt.trim() === '') {
             throw new Error('AI returned empty enhanced prompt');
@@ -2442,7 +2644,7 @@ function getGenericSearchQuery(description, websiteType, section) {
 }
 
 // Upload project endpoint - handles folder uploads
-app.post('/api/upload-project', authenticate, upload.array('files', 100), async (req, res) => {
+app.post('/api/upload-project', authenticateWithScope('projects:write'), upload.array('files', 100), async (req, res) => {
     try {
         // Check if storage is ready
         if (!storageReady || !storage) {
@@ -2457,10 +2659,11 @@ app.post('/api/upload-project', authenticate, upload.array('files', 100), async
         const paths = req.body; // Contains paths[0], paths[1], etc.
 
         // Validate inputs
-        if (!projectName) {
+        const nameError = Project.nameError(projectName);
+        if (nameError) {
             return res.status(400).json({
                 success: false,
-                error: 'Project name is required'
+                error: nameError
             });
         }
 
@@ -2473,85 +2676,79 @@ app.post('/api/upload-project', authenticate, upload.array('files', 100), async
 
         console.log(`📤 Uploading project "${projectName}" for user: ${req.userEmail} with ${files.length} files...`);
 
-        // Check if project already exists for this user
-        const existingProject = await Project.findOne({ 
-            projectName, 
-            userEmail: req.userEmail 
-        });
-        
-        if (existingProject) {
-            return res.status(400).json({
-                success: false,
-                error: `Project "${projectName}" already exists. Please use a different name.`
-            });
-        }
+        // Uploading needs write access to the target workspace
+        const workspace = await loadWorkspace(req, res, 'write');
+        if (!workspace) return;
 
-        // Process and upload each file
-        let uploadedCount = 0;
+        // Process each file, keeping its path relative to the project root
         const fileMap = {}; // Store file contents by path
+        const uploadPaths = files.map((file, i) =>
+            // multer parses "paths[0]" fields into an array; older clients send flat keys
+            ((paths.paths && paths.paths[i]) || paths[`paths[${i}]`] || file.originalname).replace(/\\/g, '/').replace(/^\/+/, '')
+        );
+
+        // Folder uploads prefix every path with the selected folder name (the root
+        // of webkitRelativePath) - strip it. Clients send it as `folderName`; without
+        // it the folder only counts as a wrapper when the site's pages sit directly
+        // in it, so a real subfolder (e.g. only assets/*) keeps its name.
+        const rootFolders = new Set(uploadPaths.map(p => p.split('/')[0]));
+        const isSingleFolder = rootFolders.size === 1 && uploadPaths.every(p => p.includes('/'));
+        const stripRoot = isSingleFolder && (req.body.folderName
+            ? req.body.folderName === [...rootFolders][0]
+            : uploadPaths.some(p => p.split('/').length === 2 && /\.html?$/i.test(p)));
 
         for (let i = 0; i < files.length; i++) {
-            const file = files[i];
-            const filePath = paths[`paths[${i}]`] || file.originalname;
-            
-            // Convert buffer to string (for text files) or keep as buffer (for images)
-            const isTextFile = /\.(html|htm|css|js|json|txt|md|xml)$/i.test(filePath);
-            const content = isTextFile ? file.buffer.toString('utf-8') : file.buffer;
+            const filePath = stripRoot
+                ? uploadPaths[i].split('/').slice(1).join('/')
+                : uploadPaths[i];
 
-            // Extract just the filename from path (remove folder structure if present)
-            const fileName = path.basename(filePath);
+            let fileName;
+            try {
+                fileName = storage.normalizeFilePath(filePath);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
             
-            fileMap[fileName] = content;
-            uploadedCount++;
-        }
-
-        // Ensure we have the required files (index.html is mandatory)
-        if (!fileMap['index.html']) {
-            return res.status(400).json({
-                success: false,
-                error: 'index.html is required. Please ensure your project has an index.html file.'
-            });
-        }
-
-        // Add default files if missing
-        if (!fileMap['style.css']) {
-            fileMap['style.css'] = '/* Add your styles here */\n';
+            fileMap[fileName] = files[i].buffer;
         }
 
-        if (!fileMap['script.js']) {
-            fileMap['script.js'] = '// Add your JavaScript here\n';
-        }
-
-        // Save all files to Supabase storage with userId
-        for (const [fileName, content] of Object.entries(fileMap)) {
-            await storage.saveFile(projectName, fileName, content, req.userId.toString());
-            console.log(`  ✓ Uploaded: ${fileName}`);
+        // Sites with index.html at the root get the stylesheet and script the editor expects
+        if (fileMap['index.html']) {
+            if (!fileMap['style.css']) {
+                fileMap['style.css'] = '/* Add your styles here */\n';
+            }
+            if (!fileMap['script.js']) {
+                fileMap['script.js'] = '// Add your JavaScript here\n';
+            }
         }
 
-        // Save project metadata to database
-        const newProject = new Project({
+        // Saves the files, fills Project.files and records the first version
+        const newProject = await projectImport.createProjectFromFiles({
+            workspace,
             projectName,
-            userId: req.userId,
-            userEmail: req.userEmail,
+            user: req.user,
+            files: fileMap,
             description: 'Uploaded project',
-            fileCount: uploadedCount,
-            storageProvider: 'supabase',
-            status: 'active'
+            source: 'upload',
+            prompt: 'Uploaded project'
         });
-        
-        await newProject.save();
-        console.log(`✅ Project metadata saved to database: ${projectName}`);
-
-        console.log(`✅ Project "${projectName}" uploaded successfully! (${uploadedCount} files)`);
 
         res.json({
             success: true,
             message: `Project "${projectName}" uploaded successfully`,
             projectName: projectName,
-            filesUploaded: uploadedCount
+            entryFile: newProject.entryFile,
+            filesUploaded: files.length,
+            fileCount: newProject.fileCount
         });
 
     } catch (error) {
+        if (error.name === 'ImportError') {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
         console.error('❌ Upload error:', error);
         res.status(500).json({
             success: false,
@@ -2571,17 +2768,33 @@ app.get('/', (req, res) => {
             auth: '/api/auth/*',
             projects: '/api/projects',
             build: '/api/build',
+            buildStream: '/api/build/stream',
             update: '/api/update',
+            updateStream: '/api/update/stream',
             deploy: '/api/deploy',
+            jobs: '/api/jobs/:jobId',
+            history: '/api/projects/:projectName/history',
+            account: '/api/account/*',
+            workspaces: '/api/workspaces/*',
+            usage: '/api/usage',
+            admin: '/api/admin/*',
             chat: '/api/chat',
-            files: '/api/files/:projectName'
+            files: '/api/files/:projectName',
+            collaborators: '/api/projects/:projectName/collaborators',
+            shareLinks: '/api/projects/:projectName/share-links',
+            sharePreview: '/api/share/:token/',
+            deployments: '/api/projects/:projectName/deployments',
+            github: '/api/projects/:projectName/github',
+            importZip: '/api/import/zip',
+            importGit: '/api/import/git',
+            export: '/api/projects/:projectName/export'
         },
         documentation: 'See DEPLOYMENT_GUIDE.md for setup instructions'
     });
 });
 
-// Test endpoint to verify Supabase storage
-app.get('/api/test-storage', async (req, res) => {
+// Test endpoint to verify the storage driver (lists every user's folders, so admins only)
+app.get('/api/test-storage', authenticate, requireRole('admin'), async (req, res) => {
     try {
         if (!storage) {
             return res.json({ 
@@ -2598,7 +2811,7 @@ app.get('/api/test-storage', async (req, res) => {
             storage: info,
             projectCount: projects.length,
             projects: projects,
-            message: 'Supabase storage is working!'
+            message: `${info.mode} storage is working!`
         });
     } catch (error) {
         res.json({
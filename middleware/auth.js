@@ -1,16 +1,115 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import ApiKey from '../models/ApiKey.js';
+import ShareLink from '../models/ShareLink.js';
+import tokenService from '../services/tokenService.js';
 
-// Don't cache JWT_SECRET at module load time - read it when needed
-// const JWT_SECRET = process.env.JWT_SECRET;
+// Don't cache JWT_SECRET at module load time - the token service reads it when needed
+
+// Sessions and tokens from before "log out all devices" are no longer accepted.
+// JWT iat is in whole seconds, so the cutoff is too - otherwise the token issued
+// right after a password change would be older than its own cutoff.
+function issuedBeforeCutoff(user, issuedAtMs) {
+    if (!user.tokensValidAfter) return false;
+    return issuedAtMs < Math.floor(user.tokensValidAfter.getTime() / 1000) * 1000;
+}
+
+// Cookie sessions end with the device session they were started with, so
+// revoking a device (or logging out everywhere) signs its browser out too
+async function deviceSessionEnded(req) {
+    return Boolean(req.session.refreshSessionId) &&
+        !(await tokenService.isSessionActive(req.session.refreshSessionId));
+}
+
+// Suspended accounts are treated as signed in but refused
+function rejectSuspended(res) {
+    return res.status(403).json({
+        success: false,
+        error: 'Account suspended',
+        message: 'This account has been suspended. Please contact support.'
+    });
+}
+
+// Personal API key (Authorization: ApiKey <key>) - only accepted on routes that name a scope
+async function authenticateApiKey(req, res, next, scope) {
+    const apiKey = await ApiKey.findActiveByKey(req.headers.authorization.substring(7).trim());
+    const user = apiKey ? await User.findById(apiKey.userId) : null;
+
+    if (!user) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid API key',
+            message: 'The API key is unknown, expired or revoked.'
+        });
+    }
+    if (user.isSuspended) return rejectSuspended(res);
+
+    if (!scope) {
+        return res.status(403).json({
+            success: false,
+            error: 'API key not allowed',
+            message: 'This endpoint requires signing in; API keys cannot be used here.'
+        });
+    }
+    if (!apiKey.hasScope(scope)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Insufficient scope',
+            message: `This API key does not have the ${scope} scope.`
+        });
+    }
+
+    apiKey.touch(req.ip).catch(error => console.error('Failed to record API key use:', error.message));
+
+    req.user = user;
+    req.userId = user._id;
+    req.userEmail = user.email;
+    req.apiKey = apiKey;
+    return next();
+}
 
 // Middleware to check if user is authenticated (via session or JWT)
-export const authenticate = async (req, res, next) => {
+export const authenticate = (req, res, next) => authenticateRequest(req, res, next, null);
+
+// Same as authenticate, but also accepts API keys that carry the scope,
+// e.g. app.post('/api/deploy', authenticateWithScope('deploy'), ...)
+export const authenticateWithScope = (scope) => (req, res, next) => authenticateRequest(req, res, next, scope);
+
+// Read-only routes that also take a share link token (?share=<token>) instead of
+// an account; the route checks that req.shareLink is for the requested project
+export const authenticateOrShareLink = (scope) => async (req, res, next) => {
+    if (!req.query.share) {
+        return authenticateRequest(req, res, next, scope);
+    }
+
+    try {
+        const shareLink = await ShareLink.findActiveByToken(req.query.share);
+        if (!shareLink) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid share link',
+                message: 'This share link is unknown, expired or revoked.'
+            });
+        }
+
+        req.shareLink = shareLink;
+        next();
+    } catch (error) {
+        console.error('Share link error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Authentication error',
+            message: error.message
+        });
+    }
+};
+
+async function authenticateRequest(req, res, next, scope) {
     try {
         // Method 1: Check session authentication (primary)
         if (req.session && req.session.userId) {
             const user = await User.findById(req.session.userId);
-            if (user) {
+            if (user && !issuedBeforeCutoff(user, req.session.authenticatedAt || 0) && !(await deviceSessionEnded(req))) {
+                if (user.isSuspended) return rejectSuspended(res);
                 req.user = user;
                 req.userId = user._id;
                 req.userEmail = user.email;
@@ -20,23 +119,23 @@ export const authenticate = async (req, res, next) => {
 
         // Method 2: Check JWT token authentication (fallback)
         const authHeader = req.headers.authorization;
+        if (authHeader && authHeader.startsWith('ApiKey ')) {
+            return await authenticateApiKey(req, res, next, scope);
+        }
         if (authHeader && authHeader.startsWith('Bearer ')) {
             const token = authHeader.substring(7);
             
             try {
-                // Read JWT_SECRET directly from process.env (not cached)
-                const JWT_SECRET = process.env.JWT_SECRET;
-                if (!JWT_SECRET) {
-                    throw new Error('JWT_SECRET not configured');
-                }
+                // Checks the signature, expiry and the revocation list
+                const decoded = await tokenService.verifyAccessToken(token);
+                const user = decoded ? await User.findById(decoded.userId) : null;
                 
-                const decoded = jwt.verify(token, JWT_SECRET);
-                const user = await User.findById(decoded.userId);
-                
-                if (user) {
+                if (user && !issuedBeforeCutoff(user, decoded.iat * 1000)) {
+                    if (user.isSuspended) return rejectSuspended(res);
                     req.user = user;
                     req.userId = user._id;
                     req.userEmail = user.email;
+                    req.tokenPayload = decoded;
                     return next();
                 }
             } catch (jwtError) {
@@ -59,6 +158,40 @@ export const authenticate = async (req, res, next) => {
             message: error.message
         });
     }
+}
+
+// Role check - use after authenticate, e.g. router.use(authenticate, requireRole('admin'))
+export const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            error: 'Authentication required. Please sign in.',
+            message: 'You must be logged in to perform this action.'
+        });
+    }
+
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Insufficient permissions',
+            message: `This action requires the ${roles.join(' or ')} role.`
+        });
+    }
+
+    next();
+};
+
+// Verified email check - use after authenticate for actions unverified accounts can't take
+export const requireVerified = (req, res, next) => {
+    if (!req.user?.isVerified) {
+        return res.status(403).json({
+            success: false,
+            error: 'Email not verified',
+            message: 'Please verify your email address to use this feature.'
+        });
+    }
+
+    next();
 };
 
 // Optional authentication (doesn't fail if not authenticated)
@@ -67,7 +200,7 @@ export const optionalAuth = async (req, res, next) => {
         // Check session
         if (req.session && req.session.userId) {
             const user = await User.findById(req.session.userId);
-            if (user) {
+            if (user && !user.isSuspended && !issuedBeforeCutoff(user, req.session.authenticatedAt || 0) && !(await deviceSessionEnded(req))) {
                 req.user = user;
                 req.userId = user._id;
                 req.userEmail = user.email;
@@ -81,19 +214,14 @@ export const optionalAuth = async (req, res, next) => {
                 const token = authHeader.substring(7);
                 
                 try {
-                    // Read JWT_SECRET directly from process.env (not cached)
-                    const JWT_SECRET = process.env.JWT_SECRET;
-                    if (!JWT_SECRET) {
-                        throw new Error('JWT_SECRET not configured');
-                    }
-                    
-                    const decoded = jwt.verify(token, JWT_SECRET);
-                    const user = await User.findById(decoded.userId);
+                    const decoded = await tokenService.verifyAccessToken(token);
+                    const user = decoded ? await User.findById(decoded.userId) : null;
                     
-                    if (user) {
+                    if (user && !user.isSuspended && !issuedBeforeCutoff(user, decoded.iat * 1000)) {
                         req.user = user;
                         req.userId = user._id;
                         req.userEmail = user.email;
+                        req.tokenPayload = decoded;
                     }
                 } catch (jwtError) {
                     // Silent fail for optional auth
@@ -110,5 +238,9 @@ export const optionalAuth = async (req, res, next) => {
 
 export default {
     authenticate,
+    authenticateWithScope,
+    authenticateOrShareLink,
+    requireRole,
+    requireVerified,
     optionalAuth
 };
@@ -0,0 +1,57 @@
+import rateLimiter from '../services/rateLimiter.js';
+
+// Standard 429 response with Retry-After
+export function sendTooManyRequests(res, retryAfterSeconds, message = 'Too many requests. Please try again later.') {
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({
+        success: false,
+        error: 'Too many requests',
+        message,
+        retryAfter: retryAfterSeconds
+    });
+}
+
+/**
+ * Rate limit middleware backed by MongoDB
+ *
+ *   rateLimit({ name: 'chat', max: 30, windowMs: 60 * 1000, keyBy: 'user' })
+ *
+ * keyBy 'user' counts per signed-in user (use after authenticate, falls back
+ * to the IP), 'ip' counts per client IP. Limits can be overridden per name
+ * with RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_MS, and turned off
+ * with RATE_LIMIT_DISABLED=true.
+ */
+export const rateLimit = ({ name, max, windowMs, keyBy = 'ip', message }) => {
+    const envName = name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    const limit = parseInt(process.env[`RATE_LIMIT_${envName}_MAX`], 10) || max;
+    const window = parseInt(process.env[`RATE_LIMIT_${envName}_WINDOW_MS`], 10) || windowMs;
+
+    return async (req, res, next) => {
+        if (process.env.RATE_LIMIT_DISABLED === 'true') return next();
+
+        const caller = keyBy === 'user' && req.userId ? `user:${req.userId}` : `ip:${req.ip}`;
+
+        try {
+            const { count, resetAt } = await rateLimiter.hit(`${name}:${caller}`, window);
+            const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+
+            res.set('RateLimit-Limit', String(limit));
+            res.set('RateLimit-Remaining', String(Math.max(0, limit - count)));
+            res.set('RateLimit-Reset', String(retryAfter));
+
+            if (count > limit) {
+                return sendTooManyRequests(res, retryAfter, message);
+            }
+        } catch (error) {
+            // A limiter outage shouldn't take the API down with it
+            console.error(`Rate limiter error (${name}):`, error.message);
+        }
+
+        next();
+    };
+};
+
+export default {
+    rateLimit,
+    sendTooManyRequests
+};
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+const agentHistorySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    projectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        required: [true, 'Project ID is required']
+    },
+    // Name of the project when the history was last saved, for the summary text
+    projectName: {
+        type: String,
+        required: [true, 'Project name is required'],
+        trim: true
+    },
+    // Gemini `contents` entries ({ role, parts }) from previous agent runs, JSON encoded
+    // (tool arguments use file names like "index.html" as keys, which Mongo can't store as fields)
+    contents: {
+        type: [String],
+        default: []
+    },
+    // Condensed record of entries that were pruned from `contents`
+    summary: {
+        type: String,
+        default: ''
+    },
+    runCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// One agent history per user and project
+agentHistorySchema.index({ userId: 1, projectId: 1 }, { unique: true });
+agentHistorySchema.index({ projectId: 1 });
+
+const AgentHistory = mongoose.model('AgentHistory', agentHistorySchema, 'nexo-agent-history');
+
+export default AgentHistory;
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// Token usage of one Gemini call, from the response's usageMetadata
+const aiUsageSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    projectName: {
+        type: String,
+        default: null
+    },
+    feature: {
+        type: String,
+        enum: ['build', 'update', 'chat', 'enhance-prompt', 'translate'],
+        required: true
+    },
+    model: {
+        type: String,
+        default: null
+    },
+    promptTokens: {
+        type: Number,
+        default: 0
+    },
+    // Response tokens, including any thinking tokens
+    completionTokens: {
+        type: Number,
+        default: 0
+    },
+    totalTokens: {
+        type: Number,
+        default: 0
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+aiUsageSchema.index({ userId: 1, createdAt: -1 });
+aiUsageSchema.index({ userId: 1, projectName: 1, createdAt: -1 });
+
+// Usage records are kept for 400 days (a full year of monthly reports)
+aiUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 400 * 24 * 3600 });
+
+const AiUsage = mongoose.model('AiUsage', aiUsageSchema, 'nexo-ai-usage');
+
+export default AiUsage;
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// What a personal API key may be used for
+export const API_KEY_SCOPES = ['projects:read', 'projects:write', 'build', 'deploy'];
+
+// Raw keys look like nexo_<random>; only the sha256 hash is stored
+const KEY_PREFIX = 'nexo_';
+
+// lastUsedAt is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const apiKeySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'],
+        index: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Key name is required'],
+        trim: true,
+        maxlength: [60, 'Key name cannot exceed 60 characters']
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // First characters of the key, shown in listings so users can tell keys apart
+    keyPrefix: {
+        type: String,
+        required: true
+    },
+    scopes: {
+        type: [{ type: String, enum: API_KEY_SCOPES }],
+        validate: {
+            validator: scopes => scopes.length > 0,
+            message: 'At least one scope is required'
+        }
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedIp: {
+        type: String,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Create a key; returns { apiKey, key } - the raw key is only available here
+apiKeySchema.statics.issue = async function(user, { name, scopes, expiresAt = null }) {
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const apiKey = await this.create({
+        userId: user._id,
+        name,
+        keyHash: hashKey(key),
+        keyPrefix: key.substring(0, KEY_PREFIX.length + 6),
+        scopes: [...new Set(scopes)],
+        expiresAt
+    });
+
+    return { apiKey, key };
+};
+
+// The active (unrevoked, unexpired) key for a raw key, or null
+apiKeySchema.statics.findActiveByKey = function(key) {
+    if (!key || !key.startsWith(KEY_PREFIX)) return Promise.resolve(null);
+
+    return this.findOne({
+        keyHash: hashKey(key),
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+};
+
+apiKeySchema.methods.hasScope = function(scope) {
+    return this.scopes.includes(scope);
+};
+
+// Record a use without a write on every request
+apiKeySchema.methods.touch = function(ip) {
+    if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS) {
+        return Promise.resolve();
+    }
+
+    return this.constructor.updateOne(
+        { _id: this._id },
+        { $set: { lastUsedAt: new Date(), lastUsedIp: ip || null } }
+    );
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema, 'nexo-api-keys');
+
+export default ApiKey;
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Single-use tokens sent by email; only the sha256 hash is stored
+const authTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'],
+        index: true
+    },
+    type: {
+        type: String,
+        enum: ['email_verification', 'email_change', 'password_reset', 'reauthentication'],
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // The address the token was sent to (a changed email invalidates it)
+    email: {
+        type: String,
+        lowercase: true,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Expired tokens are removed by MongoDB
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Issue a new token, replacing any unused token of the same type; returns the raw token
+authTokenSchema.statics.issue = async function(user, type, ttlMs, email = user.email) {
+    await this.deleteMany({ userId: user._id, type, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await this.create({
+        userId: user._id,
+        type,
+        tokenHash: hashToken(token),
+        email,
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+
+    return token;
+};
+
+// Mark a token used and return it, or null when it is unknown, expired or already used
+// (or, when userId is given, was issued to someone else)
+authTokenSchema.statics.consume = function(token, type, userId = null) {
+    return this.findOneAndUpdate(
+        {
+            tokenHash: hashToken(String(token)),
+            type,
+            ...(userId && { userId }),
+            usedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+};
+
+const AuthToken = mongoose.model('AuthToken', authTokenSchema, 'nexo-auth-tokens');
+
+export default AuthToken;
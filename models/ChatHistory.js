@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+const chatHistorySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    // null for general chat that isn't about a specific project
+    projectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        default: null
+    },
+    projectName: {
+        type: String,
+        default: null
+    },
+    messages: [{
+        _id: false,
+        role: {
+            type: String,
+            enum: ['user', 'model'],
+            required: true
+        },
+        content: {
+            type: String,
+            default: ''
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+// One conversation per user and project
+chatHistorySchema.index({ userId: 1, projectId: 1 }, { unique: true });
+chatHistorySchema.index({ projectId: 1 });
+
+const ChatHistory = mongoose.model('ChatHistory', chatHistorySchema, 'nexo-chat-history');
+
+export default ChatHistory;
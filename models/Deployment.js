@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+
+export const DEPLOYMENT_STATUSES = ['QUEUED', 'BUILDING', 'READY', 'ERROR', 'CANCELED'];
+
+// One deployment of a project to a hosting provider, updated while the provider builds it
+const deploymentSchema = new mongoose.Schema({
+    projectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        required: true
+    },
+    projectName: {
+        type: String,
+        required: true
+    },
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        default: null
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    // Deployment and site ids on the provider's side
+    providerDeploymentId: {
+        type: String,
+        default: null
+    },
+    siteId: {
+        type: String,
+        default: null
+    },
+    // Unique URL of this deployment, and the stable site URL when there is one
+    url: {
+        type: String,
+        default: null
+    },
+    alias: {
+        type: String,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: DEPLOYMENT_STATUSES,
+        default: 'QUEUED'
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    // sha256 over every deployed path and content hash - equal hashes mean identical files
+    manifestHash: {
+        type: String,
+        default: null
+    },
+    fileCount: {
+        type: Number,
+        default: 0
+    },
+    // Latest project version when the deploy started, if the project has versions
+    version: {
+        type: Number,
+        default: null
+    },
+    triggeredBy: {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        email: {
+            type: String,
+            lowercase: true
+        }
+    },
+    // The background job that ran the deploy (null when the agent deployed)
+    jobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+        default: null
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    readyAt: {
+        type: Date,
+        default: null
+    },
+    finishedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+deploymentSchema.index({ projectId: 1, createdAt: -1 });
+
+// Static method to list a project's deployments, newest first
+deploymentSchema.statics.findByProject = function(projectId) {
+    return this.find({ projectId }).sort({ createdAt: -1 });
+};
+
+// API representation of a deployment
+deploymentSchema.methods.summarize = function() {
+    return {
+        id: this._id,
+        projectName: this.projectName,
+        provider: this.provider,
+        providerDeploymentId: this.providerDeploymentId,
+        siteId: this.siteId,
+        url: this.url,
+        alias: this.alias,
+        status: this.status,
+        error: this.error,
+        manifestHash: this.manifestHash,
+        fileCount: this.fileCount,
+        version: this.version,
+        triggeredBy: this.triggeredBy,
+        jobId: this.jobId,
+        startedAt: this.startedAt,
+        readyAt: this.readyAt,
+        finishedAt: this.finishedAt
+    };
+};
+
+const Deployment = mongoose.model('Deployment', deploymentSchema, 'nexo-deployments');
+
+export default Deployment;
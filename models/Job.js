@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+const jobSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['build', 'update', 'deploy', 'import'],
+        required: [true, 'Job type is required']
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'],
+        default: 'queued',
+        index: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'],
+        index: true
+    },
+    userEmail: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    // Workspace of the project the job works on
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        default: null
+    },
+    projectName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Request body needed to run the job (description, images, siteName, ...)
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    logs: [{
+        _id: false,
+        at: { type: Date, default: Date.now },
+        event: String,
+        data: mongoose.Schema.Types.Mixed
+    }],
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 2
+    },
+    cancelRequested: {
+        type: Boolean,
+        default: false
+    },
+    workerId: {
+        type: String,
+        default: null
+    },
+    heartbeatAt: {
+        type: Date,
+        default: null
+    },
+    startedAt: {
+        type: Date,
+        default: null
+    },
+    finishedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+jobSchema.index({ status: 1, createdAt: 1 });
+jobSchema.index({ userId: 1, createdAt: -1 });
+
+// Static method to find a user's jobs, newest first
+jobSchema.statics.findByUser = function(userId) {
+    return this.find({ userId }).select('-logs').sort({ createdAt: -1 });
+};
+
+// Instance method to check if the job has finished (successfully or not)
+jobSchema.methods.isFinished = function() {
+    return ['succeeded', 'failed', 'cancelled'].includes(this.status);
+};
+
+const Job = mongoose.model('Job', jobSchema, 'nexo-jobs');
+
+export default Job;
@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import Workspace, { roleAllows } from './Workspace.js';
+
+// Longest name accepted for a new project
+export const MAX_PROJECT_NAME_LENGTH = 100;
 
 const projectSchema = new mongoose.Schema({
     projectName: {
@@ -7,6 +11,15 @@ const projectSchema = new mongoose.Schema({
         trim: true,
         index: true
     },
+    // The workspace that owns the project (null only for projects from before
+    // workspaces, until their creator's personal workspace adopts them)
+    workspaceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workspace',
+        default: null,
+        index: true
+    },
+    // Creator of the project
     userId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -33,6 +46,16 @@ const projectSchema = new mongoose.Schema({
         fileSize: Number,
         contentType: String
     }],
+    // Page the project opens on (imported sites don't always have index.html at the root)
+    entryFile: {
+        type: String,
+        default: 'index.html'
+    },
+    // Storage folder holding the project (see getStorageRoot)
+    storageRoot: {
+        type: String,
+        default: null
+    },
     storageProvider: {
         type: String,
         enum: ['supabase', 'local'],
@@ -46,6 +69,66 @@ const projectSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // GitHub repository the project's versions are pushed to, one commit per
+    // version (see services/githubSync.js)
+    github: {
+        owner: {
+            type: String,
+            default: null
+        },
+        repo: {
+            type: String,
+            default: null
+        },
+        htmlUrl: {
+            type: String,
+            default: null
+        },
+        branch: {
+            type: String,
+            default: 'main'
+        },
+        lastCommitSha: {
+            type: String,
+            default: null
+        },
+        lastPushedVersion: {
+            type: Number,
+            default: 0
+        },
+        lastPushedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // People invited to this project only (not to its workspace). userId is
+    // filled in once the invited email belongs to an account.
+    collaborators: [{
+        email: {
+            type: String,
+            required: true,
+            lowercase: true,
+            trim: true
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        role: {
+            type: String,
+            enum: ['viewer', 'editor'],
+            default: 'viewer'
+        },
+        invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        invitedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     tags: [String],
     status: {
         type: String,
@@ -64,9 +147,16 @@ const projectSchema = new mongoose.Schema({
     timestamps: true
 });
 
-// Compound index for efficient user-specific queries
-projectSchema.index({ userId: 1, projectName: 1 }, { unique: true });
+// Project names are unique within a workspace. Databases from before workspaces
+// still have a unique userId_1_projectName_1 index - see dropLegacyIndexes.
+projectSchema.index(
+    { workspaceId: 1, projectName: 1 },
+    { unique: true, partialFilterExpression: { workspaceId: { $type: 'objectId' } } }
+);
+projectSchema.index({ userId: 1, projectName: 1 });
 projectSchema.index({ userEmail: 1, createdAt: -1 });
+projectSchema.index({ 'collaborators.userId': 1 });
+projectSchema.index({ 'collaborators.email': 1 });
 
 // Pre-save hook to update the updatedAt timestamp
 projectSchema.pre('save', function(next) {
@@ -74,6 +164,32 @@ projectSchema.pre('save', function(next) {
     next();
 });
 
+/**
+ * Mongoose never changes an existing index, so the unique per-user name index
+ * from before workspaces would keep rejecting a name used in another workspace
+ * (and block the non-unique one above). Drop it and build the current indexes.
+ */
+projectSchema.statics.dropLegacyIndexes = async function() {
+    const indexes = await this.collection.indexes().catch(() => []);
+    const legacy = indexes.find(index => index.name === 'userId_1_projectName_1' && index.unique);
+    if (legacy) {
+        await this.collection.dropIndex(legacy.name);
+        console.log('🗂️ Dropped the unique userId_1_projectName_1 index of projects');
+    }
+    await this.createIndexes();
+};
+
+// Why a name can't be used for a new project, or null when it can. The name
+// becomes the project's storage folder, so it has to be a single path segment.
+projectSchema.statics.nameError = function(name) {
+    if (typeof name !== 'string' || !name.trim()) return 'Project name is required';
+    if (name !== name.trim()) return 'Project name cannot start or end with spaces';
+    if (name.length > MAX_PROJECT_NAME_LENGTH) return `Project name must be at most ${MAX_PROJECT_NAME_LENGTH} characters`;
+    if (/[\\/\x00-\x1f\x7f]/.test(name)) return 'Project name cannot contain slashes or control characters';
+    if (name.startsWith('.')) return 'Project name cannot start with a dot';
+    return null;
+};
+
 // Static method to find user's projects
 projectSchema.statics.findByUser = function(userId) {
     return this.find({ userId, status: 'active' }).sort({ createdAt: -1 });
@@ -84,11 +200,54 @@ projectSchema.statics.findByUserEmail = function(userEmail) {
     return this.find({ userEmail: userEmail.toLowerCase(), status: 'active' }).sort({ createdAt: -1 });
 };
 
+// Static method to find a workspace's projects
+projectSchema.statics.findByWorkspace = function(workspaceId) {
+    return this.find({ workspaceId, status: 'active' }).sort({ createdAt: -1 });
+};
+
+// Storage folder the project's files live in; projects created before
+// workspaces stay in their creator's folder
+projectSchema.methods.getStorageRoot = function() {
+    return this.storageRoot || `users/${this.userId}`;
+};
+
 // Instance method to check if user owns this project
 projectSchema.methods.isOwnedBy = function(userId) {
     return this.userId.toString() === userId.toString();
 };
 
+// Collaborator entry of a user - by account, or by a verified email that was invited
+projectSchema.methods.findCollaborator = function(user) {
+    return this.collaborators.find(c =>
+        (c.userId && c.userId.toString() === user._id.toString()) ||
+        (user.isVerified && c.email === user.email)
+    ) || null;
+};
+
+/**
+ * A user's role on this project: their workspace role, else their
+ * collaborator role, else null. Projects from before workspaces belong to
+ * their creator.
+ */
+projectSchema.methods.getRoleFor = async function(user) {
+    if (!user) return null;
+
+    if (this.workspaceId) {
+        const workspace = await Workspace.findById(this.workspaceId, 'members');
+        const role = workspace?.getRole(user._id);
+        if (role) return role;
+    } else if (this.isOwnedBy(user._id)) {
+        return 'owner';
+    }
+
+    return this.findCollaborator(user)?.role || null;
+};
+
+// Check one permission (read, write, deploy, delete, manage) for a user
+projectSchema.methods.canAccess = async function(user, permission) {
+    return roleAllows(await this.getRoleFor(user), permission);
+};
+
 const Project = mongoose.model('Project', projectSchema, 'nexo-projects');
 
 export default Project;
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+const projectVersionSchema = new mongoose.Schema({
+    projectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        required: [true, 'Project ID is required'],
+        index: true
+    },
+    projectName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    source: {
+        type: String,
+        enum: ['build', 'update', 'upload', 'import', 'restore'],
+        required: true
+    },
+    prompt: {
+        type: String,
+        default: ''
+    },
+    author: {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        email: {
+            type: String,
+            lowercase: true
+        }
+    },
+    restoredFrom: {
+        type: Number,
+        default: null
+    },
+    // Each file points to a content-addressed blob, so unchanged files are stored once
+    files: [{
+        _id: false,
+        filePath: String,
+        hash: String,
+        fileSize: Number,
+        contentType: String
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Versions are numbered per project and never change once written
+projectVersionSchema.index({ projectId: 1, version: -1 }, { unique: true });
+
+projectVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+    next(new Error('Project versions are immutable'));
+});
+
+// Static method to list a project's versions, newest first
+projectVersionSchema.statics.findByProject = function(projectId) {
+    return this.find({ projectId }).sort({ version: -1 });
+};
+
+const ProjectVersion = mongoose.model('ProjectVersion', projectVersionSchema, 'nexo-project-versions');
+
+export default ProjectVersion;
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Fixed-window request counter, one document per limiter, caller and window
+const rateLimitCounterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    // End of the window; the counter is removed by MongoDB afterwards
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema, 'nexo-rate-limits');
+
+export default RateLimitCounter;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// One signed-in device: holds the hash of its current refresh token
+const refreshSessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'],
+        index: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // Hashes of refresh tokens already rotated out - seeing one again means the token was stolen
+    previousTokenHashes: {
+        type: [String],
+        default: []
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    ip: {
+        type: String,
+        default: null
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Expired sessions are removed by MongoDB
+refreshSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to find a user's signed-in devices
+refreshSessionSchema.statics.findActiveByUser = function(userId) {
+    return this.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 });
+};
+
+refreshSessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const RefreshSession = mongoose.model('RefreshSession', refreshSessionSchema, 'nexo-refresh-sessions');
+
+export default RefreshSession;
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// Revocation list for access tokens: a single token (jti) or every token of a session
+const revokedTokenSchema = new mongoose.Schema({
+    jti: {
+        type: String,
+        default: null,
+        index: true
+    },
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+        index: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reason: {
+        type: String,
+        default: null
+    },
+    // Kept until the revoked access tokens would have expired anyway
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema, 'nexo-revoked-tokens');
+
+export default RevokedToken;
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Read-only links to a project for people without an account; only the sha256 hash is stored
+const shareLinkSchema = new mongoose.Schema({
+    projectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project',
+        required: true,
+        index: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    label: {
+        type: String,
+        trim: true,
+        maxlength: [80, 'Label cannot exceed 80 characters'],
+        default: ''
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Expired links are removed by MongoDB
+shareLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create a link; returns { shareLink, token } - the raw token is only available here
+shareLinkSchema.statics.issue = async function(project, user, { ttlMs, label = '' }) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const shareLink = await this.create({
+        projectId: project._id,
+        tokenHash: hashToken(token),
+        label,
+        createdBy: user._id,
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+
+    return { shareLink, token };
+};
+
+// The active (unrevoked, unexpired) link for a raw token, or null
+shareLinkSchema.statics.findActiveByToken = async function(token) {
+    if (!token) return null;
+
+    const shareLink = await this.findOne({
+        tokenHash: hashToken(String(token)),
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+
+    if (shareLink) {
+        this.updateOne({ _id: shareLink._id }, { $set: { lastUsedAt: new Date() } })
+            .catch(error => console.error('Failed to record share link use:', error.message));
+    }
+
+    return shareLink;
+};
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema, 'nexo-share-links');
+
+export default ShareLink;
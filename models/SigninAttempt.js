@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// Failed sign-ins for one email from one IP, for progressive lockout
+const signinAttemptSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        lowercase: true,
+        required: true
+    },
+    ip: {
+        type: String,
+        required: true
+    },
+    failures: {
+        type: Number,
+        default: 0
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    lastFailureAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Forgotten after a quiet day
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+signinAttemptSchema.index({ email: 1, ip: 1 }, { unique: true });
+signinAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SigninAttempt = mongoose.model('SigninAttempt', signinAttemptSchema, 'nexo-signin-attempts');
+
+export default SigninAttempt;
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+const toolAuditLogSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    projectName: {
+        type: String,
+        index: true
+    },
+    tool: {
+        type: String,
+        required: true
+    },
+    // Arguments with long values (file contents) shortened
+    args: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    allowed: {
+        type: Boolean,
+        required: true
+    },
+    outcome: {
+        type: String,
+        enum: ['success', 'error', 'rejected'],
+        required: true
+    },
+    message: {
+        type: String,
+        default: null
+    },
+    durationMs: {
+        type: Number,
+        default: 0
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+toolAuditLogSchema.index({ userId: 1, createdAt: -1 });
+
+// Audit entries are kept for 90 days
+toolAuditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 3600 });
+
+const ToolAuditLog = mongoose.model('ToolAuditLog', toolAuditLogSchema, 'nexo-tool-audit');
+
+export default ToolAuditLog;
@@ -15,12 +15,46 @@ const userSchema = new mongoose.Schema({
         trim: true,
         match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
     },
+    // New address waiting for confirmation from its inbox
+    pendingEmail: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        default: null
+    },
+    // Optional for accounts that only sign in through a linked identity
     password: {
         type: String,
-        required: [true, 'Please provide a password'],
+        required: [function() { return !this.identities || this.identities.length === 0; }, 'Please provide a password'],
         minlength: [6, 'Password must be at least 6 characters'],
         select: false // Don't return password by default
     },
+    // Social sign-in accounts linked to this user
+    identities: [{
+        _id: false,
+        provider: {
+            type: String,
+            enum: ['github', 'google'],
+            required: true
+        },
+        providerId: {
+            type: String,
+            required: true
+        },
+        email: {
+            type: String,
+            lowercase: true,
+            default: null
+        },
+        username: {
+            type: String,
+            default: null
+        },
+        linkedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     profilePicture: {
         type: String,
         default: null
@@ -30,10 +64,67 @@ const userSchema = new mongoose.Schema({
         enum: ['user', 'admin'],
         default: 'user'
     },
+    // Decides the AI usage quotas
+    plan: {
+        type: String,
+        enum: ['free', 'pro', 'team'],
+        default: 'free'
+    },
     isVerified: {
         type: Boolean,
         default: false
     },
+    // Suspended accounts can't sign in or use the API
+    isSuspended: {
+        type: Boolean,
+        default: false
+    },
+    suspendedAt: {
+        type: Date,
+        default: null
+    },
+    suspendedReason: {
+        type: String,
+        default: null
+    },
+    // TOTP second factor; the secrets and recovery code hashes are never returned by default
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            default: null,
+            select: false
+        },
+        // Secret waiting for the first code during enrollment
+        pendingSecret: {
+            type: String,
+            default: null,
+            select: false
+        },
+        recoveryCodes: {
+            type: [String],
+            default: [],
+            select: false
+        },
+        // Last accepted time step, so a code can't be used twice
+        lastUsedStep: {
+            type: Number,
+            default: 0,
+            select: false
+        },
+        enabledAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // Set by "log out all devices": sessions and tokens issued earlier are rejected
+    tokensValidAfter: {
+        type: Date,
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -46,6 +137,12 @@ const userSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// One provider account can belong to only one user
+userSchema.index(
+    { 'identities.provider': 1, 'identities.providerId': 1 },
+    { unique: true, partialFilterExpression: { 'identities.providerId': { $exists: true } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
     if (!this.isModified('password')) return next();
@@ -83,6 +180,11 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     }
 };
 
+// Find the user linked to a provider account
+userSchema.statics.findByIdentity = function(provider, providerId) {
+    return this.findOne({ identities: { $elemMatch: { provider, providerId } } });
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
     const obj = this.toObject();
@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+
+export const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+
+// What each role may do with a project (project collaborators are viewers or editors)
+export const ROLE_PERMISSIONS = {
+    owner: ['read', 'write', 'deploy', 'delete', 'manage'],
+    editor: ['read', 'write', 'deploy'],
+    viewer: ['read']
+};
+
+export function roleAllows(role, permission) {
+    return Boolean(role) && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+const memberSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: WORKSPACE_ROLES,
+        required: true
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const workspaceSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Workspace name is required'],
+        trim: true,
+        maxlength: [80, 'Workspace name cannot exceed 80 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Every user has exactly one personal workspace; it can't be shared or deleted
+    isPersonal: {
+        type: Boolean,
+        default: false
+    },
+    members: [memberSchema]
+}, {
+    timestamps: true
+});
+
+workspaceSchema.index({ 'members.userId': 1 });
+workspaceSchema.index(
+    { createdBy: 1 },
+    { unique: true, partialFilterExpression: { isPersonal: true } }
+);
+
+// Storage folder for the projects of a workspace
+workspaceSchema.statics.storageRootFor = function(workspaceId) {
+    return `workspaces/${workspaceId}`;
+};
+
+// Workspaces a user belongs to, personal first
+workspaceSchema.statics.findForUser = function(userId) {
+    return this.find({ 'members.userId': userId }).sort({ isPersonal: -1, createdAt: 1 });
+};
+
+/**
+ * The user's personal workspace, created on first use. Projects from before
+ * workspaces existed are moved into it at that point.
+ */
+workspaceSchema.statics.ensurePersonal = async function(user) {
+    const existing = await this.findOne({ createdBy: user._id, isPersonal: true });
+    if (existing) return existing;
+
+    let workspace;
+    try {
+        workspace = await this.create({
+            name: 'Personal',
+            createdBy: user._id,
+            isPersonal: true,
+            members: [{ userId: user._id, role: 'owner' }]
+        });
+    } catch (error) {
+        // Two first requests raced to create it
+        if (error.code !== 11000) throw error;
+        return this.findOne({ createdBy: user._id, isPersonal: true });
+    }
+
+    // Looked up by name: the Project model imports this one
+    await mongoose.model('Project').updateMany(
+        { userId: user._id, workspaceId: null },
+        { $set: { workspaceId: workspace._id } }
+    );
+
+    return workspace;
+};
+
+// Role of a user in this workspace, or null when not a member
+workspaceSchema.methods.getRole = function(userId) {
+    const member = this.members.find(m => m.userId.toString() === userId.toString());
+    return member ? member.role : null;
+};
+
+workspaceSchema.methods.countOwners = function() {
+    return this.members.filter(m => m.role === 'owner').length;
+};
+
+const Workspace = mongoose.model('Workspace', workspaceSchema, 'nexo-workspaces');
+
+export default Workspace;
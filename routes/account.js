@@ -0,0 +1,557 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import path from 'path';
+import multer from 'multer';
+import User from '../models/User.js';
+import Job from '../models/Job.js';
+import Project from '../models/Project.js';
+import AuthToken from '../models/AuthToken.js';
+import RefreshSession from '../models/RefreshSession.js';
+import ApiKey, { API_KEY_SCOPES } from '../models/ApiKey.js';
+import { authenticate } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { startSession } from './auth.js';
+import storage from '../services/storage.js';
+import mailer from '../services/mailer.js';
+import tokenService from '../services/tokenService.js';
+import conversationStore from '../services/conversationStore.js';
+import { deleteUserProjects } from '../services/projectCleanup.js';
+
+const router = express.Router();
+
+// Profile pictures live in a hidden folder in the user's own storage folder
+const PROFILE_FOLDER = '.profile';
+const userStorageRoot = (userId) => `users/${userId}`;
+
+// Lifetime of the email change confirmation link
+const EMAIL_CHANGE_TOKEN_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Lifetime of the link that confirms a sensitive change on an account without a password
+const REAUTHENTICATION_TOKEN_TTL = 15 * 60 * 1000; // 15 minutes
+
+const reauthenticationLimit = rateLimit({ name: 'reauth-email', max: 5, windowMs: 15 * 60 * 1000, keyBy: 'user' });
+
+// Personal API keys per user
+const MAX_API_KEYS = 25;
+const MAX_API_KEY_LIFETIME_DAYS = 365;
+
+const pictureUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 2 * 1024 * 1024, // 2MB max picture size
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = /^\.(png|jpe?g|gif|webp|avif)$/;
+        if (allowedTypes.test(path.extname(file.originalname).toLowerCase())) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Use a PNG, JPG, GIF, WebP or AVIF image.'));
+        }
+    }
+});
+
+// Run the upload and answer 400 for oversized or wrong-type files
+function receivePicture(req, res, next) {
+    pictureUpload.single('picture')(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({
+                success: false,
+                message: err.code === 'LIMIT_FILE_SIZE' ? 'Picture must be 2MB or smaller' : err.message
+            });
+        }
+        next();
+    });
+}
+
+function serializeProfile(user) {
+    return {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        pendingEmail: user.pendingEmail,
+        role: user.role,
+        isVerified: user.isVerified,
+        profilePicture: user.profilePicture
+    };
+}
+
+function serializeApiKey(apiKey) {
+    return {
+        id: apiKey._id,
+        name: apiKey.name,
+        keyPrefix: apiKey.keyPrefix,
+        scopes: apiKey.scopes,
+        lastUsedAt: apiKey.lastUsedAt,
+        lastUsedIp: apiKey.lastUsedIp,
+        expiresAt: apiKey.expiresAt,
+        revokedAt: apiKey.revokedAt,
+        createdAt: apiKey.createdAt
+    };
+}
+
+// Re-authentication for sensitive changes: the current password, or for
+// accounts without one (social sign-in only) the token of a link emailed to
+// the account (POST /confirm-identity), which works once
+async function confirmIdentity(req, res) {
+    const user = await User.findById(req.userId).select('+password');
+    const { currentPassword, confirmationToken } = req.body;
+
+    let confirmed;
+    if (user.password) {
+        confirmed = Boolean(currentPassword) && await user.comparePassword(currentPassword);
+    } else {
+        const authToken = confirmationToken
+            ? await AuthToken.consume(confirmationToken, 'reauthentication', user._id)
+            : null;
+        // A link sent before an email change doesn't count
+        confirmed = Boolean(authToken) && authToken.email === user.email;
+    }
+
+    if (!confirmed) {
+        res.status(401).json({
+            success: false,
+            message: user.password
+                ? 'Current password is incorrect'
+                : 'Open the confirmation link we email you (POST /api/account/confirm-identity) to confirm this change'
+        });
+        return null;
+    }
+
+    return user;
+}
+
+// Request Confirmation Link Route - accounts without a password confirm
+// email, password and deletion changes with a link sent to their email
+router.post('/confirm-identity', authenticate, reauthenticationLimit, async (req, res) => {
+    try {
+        const user = await User.findById(req.userId).select('+password');
+        if (user.password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Confirm changes with your current password instead'
+            });
+        }
+
+        const token = await AuthToken.issue(user, 'reauthentication', REAUTHENTICATION_TOKEN_TTL);
+        await mailer.sendReauthenticationEmail(user, token);
+
+        res.json({
+            success: true,
+            message: `Confirmation link sent to ${user.email}. It expires in 15 minutes.`
+        });
+
+    } catch (error) {
+        console.error('Send confirmation link error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error sending confirmation link',
+            error: error.message
+        });
+    }
+});
+
+// Update Profile Route (name)
+router.patch('/profile', authenticate, async (req, res) => {
+    try {
+        const { name } = req.body;
+
+        if (name === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nothing to update'
+            });
+        }
+        if (!String(name).trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Name cannot be empty'
+            });
+        }
+
+        req.user.name = String(name).trim().substring(0, 100);
+        await req.user.save();
+
+        res.json({ success: true, message: 'Profile updated', user: serializeProfile(req.user) });
+
+    } catch (error) {
+        console.error('Update profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating profile',
+            error: error.message
+        });
+    }
+});
+
+// Upload Profile Picture Route (multipart field "picture")
+router.post('/profile/picture', authenticate, receivePicture, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No picture uploaded'
+            });
+        }
+
+        const root = userStorageRoot(req.userId);
+        const fileName = `avatar-${Date.now()}${path.extname(req.file.originalname).toLowerCase()}`;
+
+        const result = await storage.saveFile(PROFILE_FOLDER, fileName, req.file.buffer, root);
+
+        // Only the newest picture is kept
+        const existing = await storage.listProjectFiles(PROFILE_FOLDER, root);
+        for (const file of existing.filter(file => file !== fileName)) {
+            await storage.deleteFile(PROFILE_FOLDER, file, root);
+        }
+
+        req.user.profilePicture = result.url;
+        await req.user.save();
+
+        res.json({ success: true, message: 'Profile picture updated', user: serializeProfile(req.user) });
+
+    } catch (error) {
+        console.error('Upload profile picture error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error uploading profile picture',
+            error: error.message
+        });
+    }
+});
+
+// Remove Profile Picture Route
+router.delete('/profile/picture', authenticate, async (req, res) => {
+    try {
+        await storage.deleteProject(PROFILE_FOLDER, userStorageRoot(req.userId));
+
+        req.user.profilePicture = null;
+        await req.user.save();
+
+        res.json({ success: true, message: 'Profile picture removed', user: serializeProfile(req.user) });
+
+    } catch (error) {
+        console.error('Remove profile picture error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error removing profile picture',
+            error: error.message
+        });
+    }
+});
+
+// Change Email Route - the new address must be confirmed from its inbox
+router.post('/email', authenticate, async (req, res) => {
+    try {
+        const newEmail = String(req.body.newEmail || '').trim().toLowerCase();
+
+        if (!/^\S+@\S+\.\S+$/.test(newEmail)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a valid email'
+            });
+        }
+
+        const user = await confirmIdentity(req, res);
+        if (!user) return;
+
+        if (newEmail === user.email) {
+            return res.status(400).json({
+                success: false,
+                message: 'This is already your email address'
+            });
+        }
+        if (await User.exists({ email: newEmail })) {
+            return res.status(409).json({
+                success: false,
+                message: 'User with this email already exists'
+            });
+        }
+
+        user.pendingEmail = newEmail;
+        await user.save();
+
+        const token = await AuthToken.issue(user, 'email_change', EMAIL_CHANGE_TOKEN_TTL, newEmail);
+        await mailer.sendEmailChangeEmail(user, newEmail, token);
+
+        res.json({
+            success: true,
+            message: `Confirmation link sent to ${newEmail}. Your email changes once you open it.`,
+            user: serializeProfile(user)
+        });
+
+    } catch (error) {
+        console.error('Change email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error changing email',
+            error: error.message
+        });
+    }
+});
+
+// Confirm Email Change Route (token from the confirmation link)
+router.post('/email/confirm', async (req, res) => {
+    try {
+        const { token } = req.body;
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Confirmation token is required'
+            });
+        }
+
+        const authToken = await AuthToken.consume(token, 'email_change');
+        const user = authToken ? await User.findById(authToken.userId) : null;
+
+        // A newer change request replaces the pending address and invalidates older links
+        if (!user || user.pendingEmail !== authToken.email) {
+            return res.status(400).json({
+                success: false,
+                message: 'This confirmation link is invalid or has expired'
+            });
+        }
+        if (await User.exists({ email: authToken.email, _id: { $ne: user._id } })) {
+            return res.status(409).json({
+                success: false,
+                message: 'User with this email already exists'
+            });
+        }
+
+        const previousEmail = user.email;
+        user.email = authToken.email;
+        user.pendingEmail = null;
+        user.isVerified = true;
+        await user.save();
+
+        // Projects and jobs are looked up by owner email
+        await Project.updateMany({ userId: user._id }, { $set: { userEmail: user.email } });
+        await Job.updateMany({ userId: user._id }, { $set: { userEmail: user.email } });
+
+        console.log(`📧 Email changed: ${previousEmail} -> ${user.email}`);
+        res.json({ success: true, message: 'Email address updated', user: serializeProfile(user) });
+
+    } catch (error) {
+        console.error('Confirm email change error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error confirming email change',
+            error: error.message
+        });
+    }
+});
+
+// Change Password Route - signs out every other device
+router.post('/password', authenticate, async (req, res) => {
+    try {
+        const { newPassword } = req.body;
+
+        if (!newPassword || newPassword.length < 6) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password must be at least 6 characters long'
+            });
+        }
+
+        const user = await confirmIdentity(req, res);
+        if (!user) return;
+
+        user.password = newPassword;
+        await user.save();
+
+        await tokenService.revokeAllSessions(user._id, 'password changed');
+
+        // This device stays signed in with fresh tokens
+        const tokens = await tokenService.issueTokens(user, req);
+        startSession(req, user, tokens);
+
+        res.json({
+            success: true,
+            message: 'Password changed. Other devices have been signed out.',
+            token: tokens.accessToken,
+            refreshToken: tokens.refreshToken,
+            expiresIn: tokens.expiresIn
+        });
+
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error changing password',
+            error: error.message
+        });
+    }
+});
+
+// List API Keys Route (?includeRevoked=true)
+router.get('/api-keys', authenticate, async (req, res) => {
+    try {
+        const query = { userId: req.userId };
+        if (req.query.includeRevoked !== 'true') query.revokedAt = null;
+
+        const apiKeys = await ApiKey.find(query).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            scopes: API_KEY_SCOPES,
+            apiKeys: apiKeys.map(serializeApiKey)
+        });
+
+    } catch (error) {
+        console.error('List API keys error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching API keys',
+            error: error.message
+        });
+    }
+});
+
+// Create API Key Route - the key itself is only returned in this response
+router.post('/api-keys', authenticate, async (req, res) => {
+    try {
+        const { name, scopes, expiresInDays } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a name for the key'
+            });
+        }
+        if (name.trim().length > 60) {
+            return res.status(400).json({
+                success: false,
+                message: 'Key name cannot exceed 60 characters'
+            });
+        }
+
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Please choose at least one scope: ${API_KEY_SCOPES.join(', ')}`
+            });
+        }
+        const unknownScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+        if (unknownScopes.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown scope(s): ${unknownScopes.join(', ')}`
+            });
+        }
+
+        let expiresAt = null;
+        if (expiresInDays !== undefined && expiresInDays !== null) {
+            const days = Number(expiresInDays);
+            if (!Number.isInteger(days) || days < 1 || days > MAX_API_KEY_LIFETIME_DAYS) {
+                return res.status(400).json({
+                    success: false,
+                    message: `expiresInDays must be between 1 and ${MAX_API_KEY_LIFETIME_DAYS}`
+                });
+            }
+            expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+        }
+
+        const activeKeys = await ApiKey.countDocuments({ userId: req.userId, revokedAt: null });
+        if (activeKeys >= MAX_API_KEYS) {
+            return res.status(400).json({
+                success: false,
+                message: `You can have at most ${MAX_API_KEYS} active API keys. Revoke one first.`
+            });
+        }
+
+        const { apiKey, key } = await ApiKey.issue(req.user, { name: name.trim(), scopes, expiresAt });
+
+        console.log(`🔑 API key created: ${req.userEmail} (${apiKey.scopes.join(', ')})`);
+        res.status(201).json({
+            success: true,
+            message: 'API key created. Copy it now - it will not be shown again.',
+            key,
+            apiKey: serializeApiKey(apiKey)
+        });
+
+    } catch (error) {
+        console.error('Create API key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating API key',
+            error: error.message
+        });
+    }
+});
+
+// Revoke API Key Route
+router.delete('/api-keys/:keyId', authenticate, async (req, res) => {
+    try {
+        const apiKey = mongoose.isValidObjectId(req.params.keyId)
+            ? await ApiKey.findOneAndUpdate(
+                { _id: req.params.keyId, userId: req.userId, revokedAt: null },
+                { $set: { revokedAt: new Date() } },
+                { new: true }
+            )
+            : null;
+
+        if (!apiKey) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'API key revoked',
+            apiKey: serializeApiKey(apiKey)
+        });
+
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error revoking API key',
+            error: error.message
+        });
+    }
+});
+
+// Delete Account Route - removes the user's projects from the database and storage
+router.delete('/', authenticate, async (req, res) => {
+    try {
+        const user = await confirmIdentity(req, res);
+        if (!user) return;
+
+        console.log(`🗑️ Deleting account: ${user.email}`);
+
+        const { deletedProjects } = await deleteUserProjects(user);
+        await Project.updateMany(
+            { 'collaborators.userId': user._id },
+            { $pull: { collaborators: { userId: user._id } } }
+        );
+        await conversationStore.clearChatHistory(user._id);
+        await Job.deleteMany({ userId: user._id });
+
+        await tokenService.revokeAllSessions(user._id, 'account deleted');
+        await RefreshSession.deleteMany({ userId: user._id });
+        await AuthToken.deleteMany({ userId: user._id });
+        await ApiKey.deleteMany({ userId: user._id });
+        await User.deleteOne({ _id: user._id });
+
+        req.session.destroy(() => {
+            res.clearCookie('connect.sid');
+            res.json({
+                success: true,
+                message: 'Account deleted',
+                deletedProjects
+            });
+        });
+
+    } catch (error) {
+        console.error('Delete account error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting account',
+            error: error.message
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,357 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Project from '../models/Project.js';
+import Job from '../models/Job.js';
+import ToolAuditLog from '../models/ToolAuditLog.js';
+import AiUsage from '../models/AiUsage.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import storage from '../services/storage.js';
+import deleteProjectCompletely from '../services/projectCleanup.js';
+
+const router = express.Router();
+
+// Every admin route requires a signed-in admin
+router.use(authenticate, requireRole('admin'));
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parsePaging(query) {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 25, 1), 100);
+    return { page, limit, skip: (page - 1) * limit };
+}
+
+// Load the requested user, or send a 404
+async function findUser(req, res) {
+    const { userId } = req.params;
+    const user = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            error: 'User not found'
+        });
+        return null;
+    }
+
+    return user;
+}
+
+function serializeUser(user) {
+    return {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        plan: user.plan,
+        isVerified: user.isVerified,
+        isSuspended: user.isSuspended,
+        suspendedAt: user.suspendedAt,
+        suspendedReason: user.suspendedReason,
+        createdAt: user.createdAt,
+        lastLogin: user.lastLogin
+    };
+}
+
+function serializeProject(project) {
+    return {
+        id: project._id,
+        projectName: project.projectName,
+        workspaceId: project.workspaceId,
+        userId: project.userId,
+        userEmail: project.userEmail,
+        description: project.description,
+        fileCount: project.fileCount,
+        storageBytes: (project.files || []).reduce((total, file) => total + (file.fileSize || 0), 0),
+        storageProvider: project.storageProvider,
+        isDeployed: project.isDeployed,
+        deploymentUrl: project.deploymentUrl,
+        status: project.status,
+        createdAt: project.createdAt,
+        updatedAt: project.updatedAt
+    };
+}
+
+// List Users Route (?search=text&role=admin&suspended=true&page=1&limit=25)
+router.get('/users', async (req, res) => {
+    try {
+        const { page, limit, skip } = parsePaging(req.query);
+        const filter = {};
+
+        if (req.query.search) {
+            const pattern = new RegExp(escapeRegex(req.query.search.trim()), 'i');
+            filter.$or = [{ name: pattern }, { email: pattern }];
+        }
+        if (req.query.role) filter.role = req.query.role;
+        if (req.query.suspended !== undefined) filter.isSuspended = req.query.suspended === 'true';
+
+        const [users, total] = await Promise.all([
+            User.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+            User.countDocuments(filter)
+        ]);
+
+        // Project counts for this page of users
+        const counts = await Project.aggregate([
+            { $match: { userId: { $in: users.map(user => user._id) } } },
+            { $group: { _id: '$userId', count: { $sum: 1 } } }
+        ]);
+        const projectCounts = new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+
+        res.json({
+            success: true,
+            users: users.map(user => ({
+                ...serializeUser(user),
+                projectCount: projectCounts.get(user._id.toString()) || 0
+            })),
+            page,
+            limit,
+            total
+        });
+    } catch (error) {
+        console.error('Admin list users error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Get User Route
+router.get('/users/:userId', async (req, res) => {
+    try {
+        const user = await findUser(req, res);
+        if (!user) return;
+
+        const [projectCount, jobCount] = await Promise.all([
+            Project.countDocuments({ userId: user._id }),
+            Job.countDocuments({ userId: user._id })
+        ]);
+
+        res.json({ success: true, user: { ...serializeUser(user), projectCount, jobCount } });
+    } catch (error) {
+        console.error('Admin get user error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// List User Projects Route
+router.get('/users/:userId/projects', async (req, res) => {
+    try {
+        const user = await findUser(req, res);
+        if (!user) return;
+
+        const projects = await Project.find({ userId: user._id }).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            user: serializeUser(user),
+            projects: projects.map(serializeProject)
+        });
+    } catch (error) {
+        console.error('Admin list user projects error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Suspend User Route
+router.post('/users/:userId/suspend', async (req, res) => {
+    try {
+        const user = await findUser(req, res);
+        if (!user) return;
+
+        if (user._id.equals(req.userId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'You cannot suspend your own account'
+            });
+        }
+
+        user.isSuspended = true;
+        user.suspendedAt = new Date();
+        user.suspendedReason = req.body?.reason || null;
+        await user.save();
+
+        console.log(`⛔ User suspended: ${user.email} by ${req.userEmail}`);
+        res.json({ success: true, message: 'User suspended', user: serializeUser(user) });
+    } catch (error) {
+        console.error('Admin suspend user error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Reinstate User Route
+router.post('/users/:userId/unsuspend', async (req, res) => {
+    try {
+        const user = await findUser(req, res);
+        if (!user) return;
+
+        user.isSuspended = false;
+        user.suspendedAt = null;
+        user.suspendedReason = null;
+        await user.save();
+
+        console.log(`✅ User reinstated: ${user.email} by ${req.userEmail}`);
+        res.json({ success: true, message: 'User reinstated', user: serializeUser(user) });
+    } catch (error) {
+        console.error('Admin unsuspend user error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Change Plan Route - decides the user's AI usage quotas
+router.post('/users/:userId/plan', async (req, res) => {
+    try {
+        const user = await findUser(req, res);
+        if (!user) return;
+
+        const allowedPlans = User.schema.path('plan').enumValues;
+        if (!allowedPlans.includes(req.body?.plan)) {
+            return res.status(400).json({
+                success: false,
+                error: `Plan must be one of: ${allowedPlans.join(', ')}`
+            });
+        }
+
+        user.plan = req.body.plan;
+        await user.save();
+
+        console.log(`💳 Plan changed: ${user.email} -> ${user.plan} by ${req.userEmail}`);
+        res.json({ success: true, message: 'Plan updated', user: serializeUser(user) });
+    } catch (error) {
+        console.error('Admin change plan error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Force Delete Project Route
+router.delete('/projects/:projectId', async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const project = mongoose.isValidObjectId(projectId) ? await Project.findById(projectId) : null;
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+
+        const result = await deleteProjectCompletely(project);
+
+        console.log(`🗑️ Project force-deleted: ${project.projectName} (${project.userEmail}) by ${req.userEmail}`);
+        res.json({
+            success: true,
+            message: `Project "${project.projectName}" of ${project.userEmail} deleted`,
+            ...result
+        });
+    } catch (error) {
+        console.error('Admin delete project error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Storage Route - driver info and every folder in storage, including orphans
+router.get('/storage', async (req, res) => {
+    try {
+        const folders = await storage.listProjects();
+
+        res.json({
+            success: true,
+            storage: storage.getInfo(),
+            folderCount: folders.length,
+            folders
+        });
+    } catch (error) {
+        console.error('Admin storage error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Usage Totals Route
+router.get('/stats', async (req, res) => {
+    try {
+        const since = new Date(Date.now() - 30 * 24 * 3600 * 1000);
+
+        const [userTotals, projectTotals, storageByUser, jobTotals, toolCalls, aiTotals] = await Promise.all([
+            User.aggregate([
+                {
+                    $group: {
+                        _id: null,
+                        total: { $sum: 1 },
+                        admins: { $sum: { $cond: [{ $eq: ['$role', 'admin'] }, 1, 0] } },
+                        suspended: { $sum: { $cond: ['$isSuspended', 1, 0] } },
+                        verified: { $sum: { $cond: ['$isVerified', 1, 0] } }
+                    }
+                },
+                { $project: { _id: 0 } }
+            ]),
+            Project.aggregate([
+                {
+                    $group: {
+                        _id: null,
+                        total: { $sum: 1 },
+                        deployed: { $sum: { $cond: ['$isDeployed', 1, 0] } },
+                        files: { $sum: '$fileCount' },
+                        storageBytes: { $sum: { $sum: '$files.fileSize' } }
+                    }
+                },
+                { $project: { _id: 0 } }
+            ]),
+            Project.aggregate([
+                {
+                    $group: {
+                        _id: '$userEmail',
+                        projects: { $sum: 1 },
+                        storageBytes: { $sum: { $sum: '$files.fileSize' } }
+                    }
+                },
+                { $sort: { storageBytes: -1 } },
+                { $limit: 10 }
+            ]),
+            Job.aggregate([
+                { $match: { createdAt: { $gte: since } } },
+                { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }
+            ]),
+            ToolAuditLog.countDocuments({ createdAt: { $gte: since } }),
+            AiUsage.aggregate([
+                { $match: { createdAt: { $gte: since } } },
+                {
+                    $group: {
+                        _id: null,
+                        calls: { $sum: 1 },
+                        promptTokens: { $sum: '$promptTokens' },
+                        completionTokens: { $sum: '$completionTokens' },
+                        totalTokens: { $sum: '$totalTokens' }
+                    }
+                },
+                { $project: { _id: 0 } }
+            ])
+        ]);
+
+        const jobs = {};
+        for (const { _id, count } of jobTotals) {
+            jobs[_id.type] = jobs[_id.type] || {};
+            jobs[_id.type][_id.status] = count;
+        }
+
+        const users = userTotals[0] || { total: 0, admins: 0, suspended: 0, verified: 0 };
+        const projects = projectTotals[0] || { total: 0, deployed: 0, files: 0, storageBytes: 0 };
+
+        res.json({
+            success: true,
+            users,
+            projects,
+            topStorageUsers: storageByUser.map(({ _id, ...entry }) => ({ userEmail: _id, ...entry })),
+            last30Days: {
+                jobs,
+                toolCalls,
+                ai: aiTotals[0] || { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+            }
+        });
+    } catch (error) {
+        console.error('Admin stats error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+export default router;
@@ -1,13 +1,32 @@
 import express from 'express';
+import crypto from 'crypto';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import AuthToken from '../models/AuthToken.js';
+import { authenticate, optionalAuth } from '../middleware/auth.js';
+import { rateLimit, sendTooManyRequests } from '../middleware/rateLimit.js';
+import mailer from '../services/mailer.js';
+import tokenService from '../services/tokenService.js';
+import oauthProviders from '../services/oauthProviders.js';
+import rateLimiter from '../services/rateLimiter.js';
+import twoFactor from '../services/twoFactor.js';
 
 const router = express.Router();
 
 // JWT Secret (from environment variables)
 const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRATION = '7d';
+
+// Lifetime of emailed tokens
+const VERIFICATION_TOKEN_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TOKEN_TTL = 60 * 60 * 1000; // 1 hour
+
+// Per-IP limits on unauthenticated endpoints (sign-in also has a per-account lockout)
+const signinLimit = rateLimit({ name: 'signin', max: 20, windowMs: 15 * 60 * 1000 });
+const signupLimit = rateLimit({ name: 'signup', max: 10, windowMs: 60 * 60 * 1000 });
+const emailLimit = rateLimit({ name: 'auth-email', max: 5, windowMs: 15 * 60 * 1000 });
+
+// How long a user has to finish the provider's consent page
+const OAUTH_STATE_TTL = 10 * 60 * 1000; // 10 minutes
 
 // Validate JWT_SECRET exists
 if (!JWT_SECRET) {
@@ -15,8 +34,204 @@ if (!JWT_SECRET) {
     process.exit(1);
 }
 
+// Issue a verification token and email it (a mail failure doesn't fail the request)
+async function sendVerification(user) {
+    try {
+        const token = await AuthToken.issue(user, 'email_verification', VERIFICATION_TOKEN_TTL);
+        await mailer.sendVerificationEmail(user, token);
+        return true;
+    } catch (error) {
+        console.error('Error sending verification email:', error);
+        return false;
+    }
+}
+
+// Cookie session for browser clients, tied to the device session so logout revokes both
+export function startSession(req, user, tokens) {
+    req.session.userId = user._id;
+    req.session.isAuthenticated = true;
+    req.session.authenticatedAt = Date.now();
+    req.session.refreshSessionId = tokens.sessionId.toString();
+}
+
+function serializeSession(session, currentSessionId) {
+    return {
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === currentSessionId
+    };
+}
+
+function serializeIdentity(identity) {
+    return {
+        provider: identity.provider,
+        email: identity.email,
+        username: identity.username,
+        linkedAt: identity.linkedAt
+    };
+}
+
+// Public URLs for OAuth redirects (the API's own callback, and the frontend page that receives the tokens)
+function oauthCallbackUrl(req, provider) {
+    const apiUrl = (process.env.API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+    return `${apiUrl}/api/auth/oauth/${provider}/callback`;
+}
+
+function frontendCallbackUrl(params) {
+    const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+    return `${appUrl}/auth/callback#${new URLSearchParams(params).toString()}`;
+}
+
+/**
+ * Find or create the user for a provider account. Returns { user, outcome } or { error, status }.
+ * Order: an already linked identity, linking to the signed-in user, a verified matching email, a new account.
+ */
+async function resolveOAuthUser(provider, profile, linkUserId) {
+    const identity = {
+        provider,
+        providerId: profile.providerId,
+        email: profile.email,
+        username: profile.username,
+        linkedAt: new Date()
+    };
+
+    const linkedUser = await User.findByIdentity(provider, profile.providerId);
+
+    if (linkUserId) {
+        if (linkedUser && !linkedUser._id.equals(linkUserId)) {
+            return { status: 409, error: `This ${provider} account is already linked to another user` };
+        }
+        const user = await User.findById(linkUserId);
+        if (!user) {
+            return { status: 404, error: 'User not found' };
+        }
+        if (!linkedUser) {
+            user.identities = user.identities.filter(existing => existing.provider !== provider);
+            user.identities.push(identity);
+            await user.save();
+        }
+        return { user, outcome: 'linked' };
+    }
+
+    if (linkedUser) {
+        return { user: linkedUser, outcome: 'signed_in' };
+    }
+
+    if (!profile.email) {
+        return { status: 400, error: `Your ${provider} account has no email address we can use` };
+    }
+
+    // Only a verified provider email may take over an existing account
+    const emailUser = await User.findOne({ email: profile.email });
+    if (emailUser) {
+        if (!profile.emailVerified) {
+            return { status: 409, error: 'An account with this email already exists. Sign in with your password and link the account from your profile.' };
+        }
+        // An unverified account was never proven to belong to this person - anyone
+        // could have registered the address. Drop the credentials it was set up
+        // with (password, second factor, sessions) before the owner takes it over.
+        const takeover = !emailUser.isVerified;
+
+        emailUser.identities.push(identity);
+        emailUser.isVerified = true;
+        await emailUser.save();
+
+        if (takeover) {
+            await User.updateOne({ _id: emailUser._id }, {
+                $unset: { password: 1 },
+                $set: {
+                    'twoFactor.enabled': false,
+                    'twoFactor.secret': null,
+                    'twoFactor.pendingSecret': null,
+                    'twoFactor.recoveryCodes': []
+                }
+            });
+            await tokenService.revokeAllSessions(emailUser._id, 'unverified account claimed by provider sign-in');
+
+            // The sign-in continues with this user - give it the reset credentials,
+            // not the second factor the loaded copy still has
+            return { user: await User.findById(emailUser._id), outcome: 'linked' };
+        }
+        return { user: emailUser, outcome: 'linked' };
+    }
+
+    const user = new User({
+        name: profile.name || profile.email,
+        email: profile.email,
+        profilePicture: profile.avatarUrl,
+        isVerified: profile.emailVerified,
+        identities: [identity]
+    });
+    await user.save();
+
+    if (!user.isVerified) {
+        await sendVerification(user);
+    }
+
+    return { user, outcome: 'created' };
+}
+
+// Fields needed to check a second factor (hidden by default)
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Check a TOTP code or a recovery code. Returns 'totp', 'recovery' or null.
+ * Marks the code used on the document - the caller saves it.
+ */
+function checkSecondFactor(user, { code, recoveryCode }) {
+    if (code && user.twoFactor.secret) {
+        const step = twoFactor.verifyCode(twoFactor.decryptSecret(user.twoFactor.secret), code, user.twoFactor.lastUsedStep);
+        if (step !== null) {
+            user.twoFactor.lastUsedStep = step;
+            return 'totp';
+        }
+    }
+
+    if (recoveryCode) {
+        const index = twoFactor.findRecoveryCode(user.twoFactor.recoveryCodes, recoveryCode);
+        if (index !== -1) {
+            user.twoFactor.recoveryCodes.splice(index, 1);
+            return 'recovery';
+        }
+    }
+
+    return null;
+}
+
+// Issue tokens and the session once every sign-in factor has passed
+async function completeSignin(req, res, user, extra = {}) {
+    user.lastLogin = Date.now();
+    await user.save();
+
+    // Short-lived access token plus a refresh token for this device
+    const tokens = await tokenService.issueTokens(user, req);
+
+    // Set session
+    startSession(req, user, tokens);
+
+    res.json({
+        success: true,
+        message: 'Signed in successfully',
+        user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            isVerified: user.isVerified
+        },
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
+        ...extra
+    });
+}
+
 // Sign Up Route
-router.post('/signup', async (req, res) => {
+router.post('/signup', signupLimit, async (req, res) => {
     try {
         const { name, email, password } = req.body;
 
@@ -53,16 +268,14 @@ router.post('/signup', async (req, res) => {
 
         await newUser.save();
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: newUser._id, email: newUser.email },
-            JWT_SECRET,
-            { expiresIn: JWT_EXPIRATION }
-        );
+        // Ask the user to confirm their email address
+        const verificationSent = await sendVerification(newUser);
+
+        // Short-lived access token plus a refresh token for this device
+        const tokens = await tokenService.issueTokens(newUser, req);
 
         // Set session
-        req.session.userId = newUser._id;
-        req.session.isAuthenticated = true;
+        startSession(req, newUser, tokens);
 
         res.status(201).json({
             success: true,
@@ -71,9 +284,13 @@ router.post('/signup', async (req, res) => {
                 id: newUser._id,
                 name: newUser.name,
                 email: newUser.email,
-                role: newUser.role
+                role: newUser.role,
+                isVerified: newUser.isVerified
             },
-            token
+            verificationSent,
+            token: tokens.accessToken,
+            refreshToken: tokens.refreshToken,
+            expiresIn: tokens.expiresIn
         });
 
     } catch (error) {
@@ -87,7 +304,7 @@ router.post('/signup', async (req, res) => {
 });
 
 // Sign In Route
-router.post('/signin', async (req, res) => {
+router.post('/signin', signinLimit, async (req, res) => {
     try {
         const { email, password } = req.body;
 
@@ -99,63 +316,188 @@ router.post('/signin', async (req, res) => {
             });
         }
 
-        // Find user (explicitly select password field since it's set to select: false)
-        const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
-        if (!user) {
+        // Progressive lockout after repeated failures for this email from this IP
+        const normalizedEmail = email.toLowerCase();
+        const lockedFor = await rateLimiter.getLockout(normalizedEmail, req.ip);
+        if (lockedFor > 0) {
+            return sendTooManyRequests(res, lockedFor, 'Too many failed sign-in attempts. Please try again later.');
+        }
+
+        // Unknown emails count as failures too, so accounts can't be probed
+        const rejectSignin = async () => {
+            const lockSeconds = await rateLimiter.recordFailure(normalizedEmail, req.ip);
+            if (lockSeconds > 0) {
+                return sendTooManyRequests(res, lockSeconds, 'Too many failed sign-in attempts. Please try again later.');
+            }
             return res.status(401).json({
                 success: false,
                 message: 'Invalid email or password'
             });
+        };
+
+        // Find user (explicitly select password field since it's set to select: false)
+        const user = await User.findOne({ email: normalizedEmail }).select('+password');
+        if (!user) {
+            return rejectSignin();
+        }
+
+        // Accounts created through GitHub or Google may not have a password -
+        // answer like a wrong password so the account and its provider stay hidden
+        if (!user.password) {
+            return rejectSignin();
         }
 
         // Verify password
         const isPasswordValid = await user.comparePassword(password);
         if (!isPasswordValid) {
+            return rejectSignin();
+        }
+
+        await rateLimiter.clearFailures(normalizedEmail, req.ip);
+
+        if (user.isSuspended) {
+            return res.status(403).json({
+                success: false,
+                message: 'This account has been suspended'
+            });
+        }
+
+        // With 2FA on, the password only earns a challenge for the second step
+        if (user.twoFactor?.enabled) {
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                message: 'Enter the code from your authenticator app',
+                challengeToken: tokenService.signTwoFactorChallenge(user)
+            });
+        }
+
+        await completeSignin(req, res, user);
+
+    } catch (error) {
+        console.error('Signin error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error signing in',
+            error: error.message
+        });
+    }
+});
+
+// Second Sign-In Step Route - a TOTP code or a recovery code for the challenge from /signin
+router.post('/signin/2fa', signinLimit, async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        const challenge = challengeToken ? tokenService.verifyTwoFactorChallenge(challengeToken) : null;
+        if (!challenge) {
             return res.status(401).json({
                 success: false,
-                message: 'Invalid email or password'
+                message: 'Sign-in session expired. Please sign in again.'
             });
         }
 
-        // Update last login
-        user.lastLogin = Date.now();
-        await user.save();
+        const user = await User.findById(challenge.userId).select(TWO_FACTOR_FIELDS);
+        if (!user || !user.twoFactor?.enabled) {
+            return res.status(401).json({
+                success: false,
+                message: 'Sign-in session expired. Please sign in again.'
+            });
+        }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user._id, email: user.email },
-            JWT_SECRET,
-            { expiresIn: JWT_EXPIRATION }
-        );
+        // Failed codes count towards the same lockout as failed passwords
+        const lockedFor = await rateLimiter.getLockout(user.email, req.ip);
+        if (lockedFor > 0) {
+            return sendTooManyRequests(res, lockedFor, 'Too many failed sign-in attempts. Please try again later.');
+        }
 
-        // Set session
-        req.session.userId = user._id;
-        req.session.isAuthenticated = true;
+        const method = checkSecondFactor(user, { code, recoveryCode });
+        if (!method) {
+            const lockSeconds = await rateLimiter.recordFailure(user.email, req.ip);
+            if (lockSeconds > 0) {
+                return sendTooManyRequests(res, lockSeconds, 'Too many failed sign-in attempts. Please try again later.');
+            }
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        if (user.isSuspended) {
+            return res.status(403).json({
+                success: false,
+                message: 'This account has been suspended'
+            });
+        }
+
+        await rateLimiter.clearFailures(user.email, req.ip);
+        await completeSignin(req, res, user, {
+            recoveryCodesRemaining: method === 'recovery' ? user.twoFactor.recoveryCodes.length : undefined
+        });
+
+    } catch (error) {
+        console.error('Two-factor signin error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error signing in',
+            error: error.message
+        });
+    }
+});
+
+// Refresh Token Route - trades a refresh token for new tokens (the old one stops working)
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refresh token is required'
+            });
+        }
+
+        const rotated = await tokenService.rotateRefreshToken(refreshToken, req);
+        if (!rotated) {
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token is invalid, expired or revoked. Please sign in again.'
+            });
+        }
 
         res.json({
             success: true,
-            message: 'Signed in successfully',
-            user: {
-                id: user._id,
-                name: user.name,
-                email: user.email,
-                role: user.role
-            },
-            token
+            token: rotated.tokens.accessToken,
+            refreshToken: rotated.tokens.refreshToken,
+            expiresIn: rotated.tokens.expiresIn
         });
 
     } catch (error) {
-        console.error('Signin error:', error);
+        console.error('Refresh token error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error signing in',
+            message: 'Error refreshing token',
             error: error.message
         });
     }
 });
 
-// Logout Route
-router.post('/logout', (req, res) => {
+// Logout Route - ends this device's session and revokes its tokens
+router.post('/logout', optionalAuth, async (req, res) => {
+    try {
+        if (req.user) {
+            const sessionId = req.tokenPayload?.sid || req.session?.refreshSessionId;
+            const session = sessionId ? await tokenService.findSession(req.userId, sessionId) : null;
+
+            if (session) {
+                await tokenService.revokeSession(session, 'logout');
+            } else if (req.tokenPayload) {
+                await tokenService.revokeAccessToken(req.tokenPayload, 'logout');
+            }
+        }
+    } catch (error) {
+        console.error('Error revoking tokens on logout:', error);
+    }
+
     req.session.destroy((err) => {
         if (err) {
             return res.status(500).json({
@@ -172,25 +514,84 @@ router.post('/logout', (req, res) => {
     });
 });
 
-// Get Current User Route
-router.get('/me', async (req, res) => {
+// Logout All Devices Route
+router.post('/logout-all', authenticate, async (req, res) => {
     try {
-        // Check if user is authenticated via session
-        if (!req.session.userId) {
-            return res.status(401).json({
-                success: false,
-                message: 'Not authenticated'
+        const revoked = await tokenService.revokeAllSessions(req.userId);
+
+        req.session.destroy(() => {
+            res.clearCookie('connect.sid');
+            res.json({
+                success: true,
+                message: 'Logged out of all devices',
+                revokedSessions: revoked
             });
-        }
+        });
 
-        const user = await User.findById(req.session.userId);
-        if (!user) {
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error logging out of all devices',
+            error: error.message
+        });
+    }
+});
+
+// List Active Sessions Route
+router.get('/sessions', authenticate, async (req, res) => {
+    try {
+        const currentSessionId = req.tokenPayload?.sid || req.session?.refreshSessionId;
+        const sessions = await tokenService.listSessions(req.userId);
+
+        res.json({
+            success: true,
+            sessions: sessions.map(session => serializeSession(session, currentSessionId))
+        });
+
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching sessions',
+            error: error.message
+        });
+    }
+});
+
+// Revoke Session Route - signs out one device
+router.delete('/sessions/:sessionId', authenticate, async (req, res) => {
+    try {
+        const session = await tokenService.findSession(req.userId, req.params.sessionId);
+        if (!session || !session.isActive()) {
             return res.status(404).json({
                 success: false,
-                message: 'User not found'
+                message: 'Session not found'
             });
         }
 
+        await tokenService.revokeSession(session, 'revoked by user');
+
+        res.json({
+            success: true,
+            message: 'Session revoked'
+        });
+
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error revoking session',
+            error: error.message
+        });
+    }
+});
+
+// Get Current User Route (session or bearer token)
+router.get('/me', authenticate, async (req, res) => {
+    try {
+        const user = req.user;
+
         res.json({
             success: true,
             user: {
@@ -198,7 +599,11 @@ router.get('/me', async (req, res) => {
                 name: user.name,
                 email: user.email,
                 role: user.role,
-                profilePicture: user.profilePicture
+                isVerified: user.isVerified,
+                pendingEmail: user.pendingEmail,
+                twoFactorEnabled: user.twoFactor.enabled,
+                profilePicture: user.profilePicture,
+                identities: user.identities.map(serializeIdentity)
             }
         });
 
@@ -212,6 +617,554 @@ router.get('/me', async (req, res) => {
     }
 });
 
+// Verify Email Route
+router.post('/verify-email', async (req, res) => {
+    try {
+        const { token } = req.body;
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification token is required'
+            });
+        }
+
+        const authToken = await AuthToken.consume(token, 'email_verification');
+        const user = authToken ? await User.findById(authToken.userId) : null;
+
+        // The token only counts for the address it was sent to
+        if (!user || user.email !== authToken.email) {
+            return res.status(400).json({
+                success: false,
+                message: 'This verification link is invalid or has expired'
+            });
+        }
+
+        user.isVerified = true;
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Email verified successfully'
+        });
+
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error verifying email',
+            error: error.message
+        });
+    }
+});
+
+// Resend Verification Email Route
+router.post('/resend-verification', authenticate, emailLimit, async (req, res) => {
+    try {
+        if (req.user.isVerified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is already verified'
+            });
+        }
+
+        const sent = await sendVerification(req.user);
+        if (!sent) {
+            return res.status(502).json({
+                success: false,
+                message: 'Could not send the verification email. Please try again later.'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Verification email sent to ${req.user.email}`
+        });
+
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error sending verification email',
+            error: error.message
+        });
+    }
+});
+
+// Forgot Password Route
+router.post('/forgot-password', emailLimit, async (req, res) => {
+    try {
+        const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide your email'
+            });
+        }
+
+        // Same response whether or not the account exists, so emails can't be probed
+        const user = await User.findOne({ email: email.toLowerCase() });
+        if (user && !user.isSuspended) {
+            try {
+                const token = await AuthToken.issue(user, 'password_reset', PASSWORD_RESET_TOKEN_TTL);
+                await mailer.sendPasswordResetEmail(user, token);
+            } catch (error) {
+                console.error('Error sending password reset email:', error);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account exists for this email, a password reset link has been sent'
+        });
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error requesting password reset',
+            error: error.message
+        });
+    }
+});
+
+// Reset Password Route
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide the reset token and a new password'
+            });
+        }
+
+        if (password.length < 6) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password must be at least 6 characters long'
+            });
+        }
+
+        const authToken = await AuthToken.consume(token, 'password_reset');
+        const user = authToken ? await User.findById(authToken.userId) : null;
+
+        if (!user || user.email !== authToken.email) {
+            return res.status(400).json({
+                success: false,
+                message: 'This reset link is invalid or has expired'
+            });
+        }
+
+        // Password is hashed by the pre-save hook; the emailed link also proves the address
+        user.password = password;
+        user.isVerified = true;
+        await user.save();
+
+        // Any other outstanding reset links stop working
+        await AuthToken.deleteMany({ userId: user._id, type: 'password_reset', usedAt: null });
+
+        // Whoever knew the old password is signed out everywhere
+        await tokenService.revokeAllSessions(user._id, 'password reset');
+
+        res.json({
+            success: true,
+            message: 'Password reset successfully. You can now sign in.'
+        });
+
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error resetting password',
+            error: error.message
+        });
+    }
+});
+
+// Two-Factor Status Route
+router.get('/2fa', authenticate, async (req, res) => {
+    try {
+        const user = await User.findById(req.userId).select('+twoFactor.recoveryCodes');
+
+        res.json({
+            success: true,
+            enabled: user.twoFactor.enabled,
+            enabledAt: user.twoFactor.enabledAt,
+            recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+        });
+
+    } catch (error) {
+        console.error('Two-factor status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching two-factor status',
+            error: error.message
+        });
+    }
+});
+
+// Two-Factor Setup Route - returns the secret and the otpauth:// URI to show as a QR code
+router.post('/2fa/setup', authenticate, async (req, res) => {
+    try {
+        if (req.user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const secret = twoFactor.generateSecret();
+        await User.updateOne({ _id: req.userId }, { $set: { 'twoFactor.pendingSecret': twoFactor.encryptSecret(secret) } });
+
+        res.json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            secret,
+            otpauthUrl: twoFactor.buildOtpauthUrl(secret, req.user.email)
+        });
+
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error setting up two-factor authentication',
+            error: error.message
+        });
+    }
+});
+
+// Two-Factor Confirm Route - the first code turns 2FA on and returns the recovery codes (shown once)
+router.post('/2fa/confirm', authenticate, async (req, res) => {
+    try {
+        const user = await User.findById(req.userId).select(`${TWO_FACTOR_FIELDS} +twoFactor.pendingSecret`);
+
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+        if (!user.twoFactor.pendingSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start two-factor setup first'
+            });
+        }
+
+        const step = twoFactor.verifyCode(twoFactor.decryptSecret(user.twoFactor.pendingSecret), req.body.code);
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code. Check the time on your device and try again.'
+            });
+        }
+
+        const { codes, hashes } = twoFactor.generateRecoveryCodes();
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = null;
+        user.twoFactor.recoveryCodes = hashes;
+        user.twoFactor.lastUsedStep = step;
+        user.twoFactor.enabled = true;
+        user.twoFactor.enabledAt = new Date();
+        await user.save();
+
+        console.log(`🔐 Two-factor enabled: ${user.email}`);
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+            recoveryCodes: codes
+        });
+
+    } catch (error) {
+        console.error('Two-factor confirm error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error confirming two-factor authentication',
+            error: error.message
+        });
+    }
+});
+
+// Two-Factor Disable Route - needs the password (when the account has one) and a current code
+router.post('/2fa/disable', authenticate, async (req, res) => {
+    try {
+        const { currentPassword, code, recoveryCode } = req.body;
+        const user = await User.findById(req.userId).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (user.password && !(currentPassword && await user.comparePassword(currentPassword))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Current password is incorrect'
+            });
+        }
+
+        if (!checkSecondFactor(user, { code, recoveryCode })) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        user.twoFactor.enabled = false;
+        user.twoFactor.secret = null;
+        user.twoFactor.pendingSecret = null;
+        user.twoFactor.recoveryCodes = [];
+        user.twoFactor.lastUsedStep = 0;
+        user.twoFactor.enabledAt = null;
+        await user.save();
+
+        console.log(`🔓 Two-factor disabled: ${user.email}`);
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error disabling two-factor authentication',
+            error: error.message
+        });
+    }
+});
+
+// Regenerate Recovery Codes Route - replaces every unused code
+router.post('/2fa/recovery-codes', authenticate, async (req, res) => {
+    try {
+        const user = await User.findById(req.userId).select(TWO_FACTOR_FIELDS);
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (!checkSecondFactor(user, { code: req.body.code })) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        const { codes, hashes } = twoFactor.generateRecoveryCodes();
+        user.twoFactor.recoveryCodes = hashes;
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'New recovery codes generated. The old ones no longer work.',
+            recoveryCodes: codes
+        });
+
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error generating recovery codes',
+            error: error.message
+        });
+    }
+});
+
+// OAuth Providers Route - which social sign-in buttons to show
+router.get('/oauth/providers', (req, res) => {
+    res.json({
+        success: true,
+        providers: oauthProviders.listEnabled()
+    });
+});
+
+// OAuth Start Route (?link=true links to the signed-in user, ?mode=json returns JSON instead of redirecting)
+router.get('/oauth/:provider', optionalAuth, async (req, res) => {
+    try {
+        const { provider } = req.params;
+        const link = req.query.link === 'true';
+        const mode = req.query.mode === 'json' ? 'json' : 'redirect';
+
+        if (!oauthProviders.isEnabled(provider)) {
+            return res.status(404).json({
+                success: false,
+                message: `${provider} sign-in is not available`
+            });
+        }
+
+        if (link && !req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Sign in before linking another account'
+            });
+        }
+
+        const state = crypto.randomBytes(24).toString('hex');
+        req.session.oauthState = {
+            state,
+            provider,
+            mode,
+            linkUserId: link ? req.userId.toString() : null,
+            createdAt: Date.now()
+        };
+
+        const authorizationUrl = oauthProviders.getAuthorizationUrl(provider, {
+            state,
+            redirectUri: oauthCallbackUrl(req, provider)
+        });
+
+        // Make sure the state is stored before the browser leaves
+        req.session.save((err) => {
+            if (err) {
+                console.error('OAuth session save error:', err);
+                return res.status(500).json({ success: false, message: 'Error starting sign-in' });
+            }
+            if (mode === 'json') {
+                return res.json({ success: true, authorizationUrl });
+            }
+            res.redirect(authorizationUrl);
+        });
+
+    } catch (error) {
+        console.error('OAuth start error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error starting sign-in',
+            error: error.message
+        });
+    }
+});
+
+// OAuth Callback Route - the provider redirects back here with ?code&state
+router.get('/oauth/:provider/callback', async (req, res) => {
+    const { provider } = req.params;
+    const pending = req.session.oauthState;
+    const mode = pending?.mode || 'redirect';
+    delete req.session.oauthState;
+
+    const fail = (status, message) => mode === 'json'
+        ? res.status(status).json({ success: false, message })
+        : res.redirect(frontendCallbackUrl({ error: message }));
+
+    try {
+        if (req.query.error) {
+            return fail(400, `${provider} sign-in was cancelled: ${req.query.error_description || req.query.error}`);
+        }
+
+        // The state must match the one issued to this browser, for this provider, recently
+        if (!pending || pending.state !== req.query.state || pending.provider !== provider ||
+            Date.now() - pending.createdAt > OAUTH_STATE_TTL) {
+            return fail(400, 'Sign-in request expired or is invalid. Please try again.');
+        }
+        if (!req.query.code) {
+            return fail(400, 'Authorization code is missing');
+        }
+
+        const redirectUri = oauthCallbackUrl(req, provider);
+        const accessToken = await oauthProviders.exchangeCode(provider, { code: req.query.code, redirectUri });
+        const profile = await oauthProviders.fetchProfile(provider, accessToken);
+
+        const resolved = await resolveOAuthUser(provider, profile, pending.linkUserId);
+        if (resolved.error) {
+            return fail(resolved.status, resolved.error);
+        }
+
+        const { user, outcome } = resolved;
+        if (user.isSuspended) {
+            return fail(403, 'This account has been suspended');
+        }
+
+        // Signing in (rather than linking from a signed-in account) still needs the second factor
+        if (user.twoFactor?.enabled && !pending.linkUserId) {
+            const challengeToken = tokenService.signTwoFactorChallenge(user);
+            return mode === 'json'
+                ? res.json({ success: true, outcome, twoFactorRequired: true, challengeToken })
+                : res.redirect(frontendCallbackUrl({ outcome, twoFactorRequired: 'true', challengeToken }));
+        }
+
+        user.lastLogin = Date.now();
+        await user.save();
+
+        const tokens = await tokenService.issueTokens(user, req);
+        startSession(req, user, tokens);
+        console.log(`🔗 OAuth ${outcome}: ${user.email} via ${provider}`);
+
+        if (mode === 'json') {
+            return res.json({
+                success: true,
+                outcome,
+                user: {
+                    id: user._id,
+                    name: user.name,
+                    email: user.email,
+                    role: user.role,
+                    isVerified: user.isVerified
+                },
+                token: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                expiresIn: tokens.expiresIn
+            });
+        }
+
+        res.redirect(frontendCallbackUrl({
+            outcome,
+            token: tokens.accessToken,
+            refreshToken: tokens.refreshToken,
+            expiresIn: tokens.expiresIn
+        }));
+
+    } catch (error) {
+        console.error('OAuth callback error:', error);
+        fail(502, `${provider} sign-in failed. Please try again.`);
+    }
+});
+
+// Unlink Identity Route
+router.delete('/identities/:provider', authenticate, async (req, res) => {
+    try {
+        const user = await User.findById(req.userId).select('+password');
+        const remaining = user.identities.filter(identity => identity.provider !== req.params.provider);
+
+        if (remaining.length === user.identities.length) {
+            return res.status(404).json({
+                success: false,
+                message: `No ${req.params.provider} account is linked`
+            });
+        }
+
+        // Keep at least one way to sign in
+        if (remaining.length === 0 && !user.password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Set a password before unlinking your only sign-in method'
+            });
+        }
+
+        user.identities = remaining;
+        await user.save();
+
+        res.json({
+            success: true,
+            message: `${req.params.provider} account unlinked`,
+            identities: user.identities.map(serializeIdentity)
+        });
+
+    } catch (error) {
+        console.error('Unlink identity error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error unlinking account',
+            error: error.message
+        });
+    }
+});
+
 // Middleware to protect routes
 export const requireAuth = (req, res, next) => {
     if (!req.session.userId) {
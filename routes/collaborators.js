@@ -0,0 +1,280 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Project from '../models/Project.js';
+import Workspace from '../models/Workspace.js';
+import ShareLink from '../models/ShareLink.js';
+import { authenticate, authenticateWithScope } from '../middleware/auth.js';
+import { loadProject } from '../services/projectAccess.js';
+import mailer from '../services/mailer.js';
+
+const router = express.Router();
+
+const COLLABORATOR_ROLES = ['viewer', 'editor'];
+const MAX_COLLABORATORS = 50;
+
+// Share links last 3 days unless asked otherwise, and 30 days at most
+const DEFAULT_SHARE_LINK_HOURS = 72;
+const MAX_SHARE_LINK_HOURS = 30 * 24;
+
+function serializeCollaborator(collaborator) {
+    return {
+        id: collaborator._id,
+        email: collaborator.email,
+        userId: collaborator.userId,
+        role: collaborator.role,
+        invitedAt: collaborator.invitedAt
+    };
+}
+
+function serializeShareLink(shareLink) {
+    return {
+        id: shareLink._id,
+        label: shareLink.label,
+        expiresAt: shareLink.expiresAt,
+        lastUsedAt: shareLink.lastUsedAt,
+        revokedAt: shareLink.revokedAt,
+        createdAt: shareLink.createdAt
+    };
+}
+
+function findCollaboratorById(project, collaboratorId) {
+    return mongoose.isValidObjectId(collaboratorId)
+        ? project.collaborators.find(c => c._id.toString() === collaboratorId) || null
+        : null;
+}
+
+// Shared With Me Route - projects the user was invited to individually
+router.get('/shared-with-me', authenticateWithScope('projects:read'), async (req, res) => {
+    try {
+        const matches = [{ 'collaborators.userId': req.userId }];
+        if (req.user.isVerified) matches.push({ 'collaborators.email': req.userEmail });
+
+        const projects = await Project.find({ $or: matches, status: 'active' }).sort({ updatedAt: -1 });
+
+        res.json({
+            success: true,
+            projects: projects.map(project => ({
+                projectName: project.projectName,
+                workspaceId: project.workspaceId,
+                owner: project.userEmail,
+                role: project.findCollaborator(req.user)?.role || null,
+                updatedAt: project.updatedAt
+            }))
+        });
+    } catch (error) {
+        console.error('Shared projects error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// List Collaborators Route
+router.get('/:projectName/collaborators', authenticateWithScope('projects:read'), async (req, res) => {
+    try {
+        const project = await loadProject(req, res, 'read');
+        if (!project) return;
+
+        res.json({
+            success: true,
+            projectName: project.projectName,
+            collaborators: project.collaborators.map(serializeCollaborator)
+        });
+    } catch (error) {
+        console.error('List collaborators error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Invite Collaborator Route - body { email, role }; the email doesn't need an account yet
+router.post('/:projectName/collaborators', authenticate, async (req, res) => {
+    try {
+        const project = await loadProject(req, res, 'manage');
+        if (!project) return;
+
+        const email = String(req.body.email || '').trim().toLowerCase();
+        const role = req.body.role || 'viewer';
+
+        if (!/^\S+@\S+\.\S+$/.test(email)) {
+            return res.status(400).json({ success: false, error: 'Please provide a valid email' });
+        }
+        if (!COLLABORATOR_ROLES.includes(role)) {
+            return res.status(400).json({ success: false, error: `Role must be one of: ${COLLABORATOR_ROLES.join(', ')}` });
+        }
+        if (project.collaborators.some(c => c.email === email)) {
+            return res.status(409).json({ success: false, error: `${email} is already a collaborator` });
+        }
+        if (project.collaborators.length >= MAX_COLLABORATORS) {
+            return res.status(400).json({ success: false, error: `A project can have at most ${MAX_COLLABORATORS} collaborators` });
+        }
+
+        const user = await User.findOne({ email });
+        if (user && project.workspaceId) {
+            const workspace = await Workspace.findById(project.workspaceId, 'members');
+            if (workspace?.getRole(user._id)) {
+                return res.status(409).json({ success: false, error: `${email} already has access through the workspace` });
+            }
+        }
+
+        // Unverified accounts may not own the address - they match by email once verified
+        project.collaborators.push({
+            email,
+            userId: user?.isVerified ? user._id : null,
+            role,
+            invitedBy: req.userId
+        });
+        await project.save();
+
+        try {
+            await mailer.sendProjectInvitationEmail(req.user, email, {
+                projectName: project.projectName,
+                role,
+                hasAccount: Boolean(user)
+            });
+        } catch (mailError) {
+            console.error('Failed to send invitation email:', mailError.message);
+        }
+
+        console.log(`🤝 ${email} invited to ${project.projectName} as ${role} by ${req.userEmail}`);
+        res.status(201).json({
+            success: true,
+            message: `${email} was invited as ${role}`,
+            collaborators: project.collaborators.map(serializeCollaborator)
+        });
+    } catch (error) {
+        console.error('Invite collaborator error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Change Collaborator Role Route - body { role }
+router.patch('/:projectName/collaborators/:collaboratorId', authenticate, async (req, res) => {
+    try {
+        const project = await loadProject(req, res, 'manage');
+        if (!project) return;
+
+        const { role } = req.body;
+        if (!COLLABORATOR_ROLES.includes(role)) {
+            return res.status(400).json({ success: false, error: `Role must be one of: ${COLLABORATOR_ROLES.join(', ')}` });
+        }
+
+        const collaborator = findCollaboratorById(project, req.params.collaboratorId);
+        if (!collaborator) {
+            return res.status(404).json({ success: false, error: 'Collaborator not found' });
+        }
+
+        collaborator.role = role;
+        await project.save();
+
+        res.json({ success: true, collaborators: project.collaborators.map(serializeCollaborator) });
+    } catch (error) {
+        console.error('Change collaborator role error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Remove Collaborator Route - owners remove anyone, collaborators can remove themselves
+router.delete('/:projectName/collaborators/:collaboratorId', authenticate, async (req, res) => {
+    try {
+        const project = await loadProject(req, res, 'read');
+        if (!project) return;
+
+        const collaborator = findCollaboratorById(project, req.params.collaboratorId);
+        const isSelf = collaborator && collaborator === project.findCollaborator(req.user);
+
+        if (!isSelf && !(await project.canAccess(req.user, 'manage'))) {
+            return res.status(403).json({ success: false, error: 'Only project owners can remove collaborators' });
+        }
+        if (!collaborator) {
+            return res.status(404).json({ success: false, error: 'Collaborator not found' });
+        }
+
+        project.collaborators = project.collaborators.filter(c => c._id.toString() !== req.params.collaboratorId);
+        await project.save();
+
+        res.json({
+            success: true,
+            message: isSelf ? `You left "${project.projectName}"` : 'Collaborator removed',
+            collaborators: isSelf ? [] : project.collaborators.map(serializeCollaborator)
+        });
+    } catch (error) {
+        console.error('Remove collaborator error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// List Share Links Route (active links only)
+router.get('/:projectName/share-links', authenticate, async (req, res) => {
+    try {
+        const project = await loadProject(req, res, 'write');
+        if (!project) return;
+
+        const shareLinks = await ShareLink.find({
+            projectId: project._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ createdAt: -1 });
+
+        res.json({ success: true, shareLinks: shareLinks.map(serializeShareLink) });
+    } catch (error) {
+        console.error('List share links error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Create Share Link Route - body { expiresInHours, label }; the token is only returned here
+router.post('/:projectName/share-links', authenticate, async (req, res) => {
+    try {
+        const project = await loadProject(req, res, 'write');
+        if (!project) return;
+
+        const hours = req.body.expiresInHours === undefined ? DEFAULT_SHARE_LINK_HOURS : Number(req.body.expiresInHours);
+        if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_SHARE_LINK_HOURS) {
+            return res.status(400).json({
+                success: false,
+                error: `expiresInHours must be more than 0 and at most ${MAX_SHARE_LINK_HOURS}`
+            });
+        }
+
+        const label = String(req.body.label || '').trim().substring(0, 80);
+        const { shareLink, token } = await ShareLink.issue(project, req.user, { ttlMs: hours * 60 * 60 * 1000, label });
+
+        res.status(201).json({
+            success: true,
+            message: 'Share link created. Copy it now - it will not be shown again.',
+            token,
+            previewUrl: `/api/share/${token}/`,
+            filesUrl: `/api/files/${encodeURIComponent(project.projectName)}?share=${token}`,
+            shareLink: serializeShareLink(shareLink)
+        });
+    } catch (error) {
+        console.error('Create share link error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Revoke Share Link Route
+router.delete('/:projectName/share-links/:linkId', authenticate, async (req, res) => {
+    try {
+        const project = await loadProject(req, res, 'write');
+        if (!project) return;
+
+        const shareLink = mongoose.isValidObjectId(req.params.linkId)
+            ? await ShareLink.findOneAndUpdate(
+                { _id: req.params.linkId, projectId: project._id, revokedAt: null },
+                { $set: { revokedAt: new Date() } },
+                { new: true }
+            )
+            : null;
+
+        if (!shareLink) {
+            return res.status(404).json({ success: false, error: 'Share link not found' });
+        }
+
+        res.json({ success: true, message: 'Share link revoked', shareLink: serializeShareLink(shareLink) });
+    } catch (error) {
+        console.error('Revoke share link error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,65 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Deployment, { DEPLOYMENT_STATUSES } from '../models/Deployment.js';
+import { authenticateWithScope } from '../middleware/auth.js';
+import { loadProject } from '../services/projectAccess.js';
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// List Deployments Route (?status=READY&limit=20), newest first
+router.get('/:projectName/deployments', authenticateWithScope('projects:read'), async (req, res) => {
+    try {
+        const project = await loadProject(req, res, 'read');
+        if (!project) return;
+
+        if (req.query.status && !DEPLOYMENT_STATUSES.includes(req.query.status)) {
+            return res.status(400).json({
+                success: false,
+                error: `status must be one of: ${DEPLOYMENT_STATUSES.join(', ')}`
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        const query = Deployment.findByProject(project._id).limit(limit);
+        if (req.query.status) query.where('status').equals(req.query.status);
+
+        const deployments = await query;
+
+        res.json({
+            success: true,
+            projectName: project.projectName,
+            isDeployed: project.isDeployed,
+            deploymentUrl: project.deploymentUrl,
+            deployments: deployments.map(deployment => deployment.summarize())
+        });
+    } catch (error) {
+        console.error('List deployments error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Deployment Status Route
+router.get('/:projectName/deployments/:deploymentId', authenticateWithScope('projects:read'), async (req, res) => {
+    try {
+        const project = await loadProject(req, res, 'read');
+        if (!project) return;
+
+        const deployment = mongoose.isValidObjectId(req.params.deploymentId)
+            ? await Deployment.findOne({ _id: req.params.deploymentId, projectId: project._id })
+            : null;
+
+        if (!deployment) {
+            return res.status(404).json({ success: false, error: 'Deployment not found' });
+        }
+
+        res.json({ success: true, deployment: deployment.summarize() });
+    } catch (error) {
+        console.error('Get deployment error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+export default router;
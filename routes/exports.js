@@ -0,0 +1,71 @@
+import express from 'express';
+import { authenticateOrShareLink } from '../middleware/auth.js';
+import { loadProject } from '../services/projectAccess.js';
+import versionHistory from '../services/versionHistory.js';
+import projectExport from '../services/projectExport.js';
+
+const router = express.Router();
+
+function isEnabled(value) {
+    return ['1', 'true', 'yes'].includes(String(value || '').toLowerCase());
+}
+
+/**
+ * Export Project Route - streams a ZIP of the project's files
+ *
+ * Query: version (a version number; defaults to the live files),
+ * minify=true (minified HTML and CSS), readme=true (adds deploy instructions)
+ */
+router.get('/:projectName/export', authenticateOrShareLink('projects:read'), async (req, res) => {
+    try {
+        const project = await loadProject(req, res, 'read');
+        if (!project) return;
+
+        let snapshot = null;
+        if (req.query.version !== undefined) {
+            if (!/^\d+$/.test(String(req.query.version))) {
+                return res.status(400).json({ success: false, error: 'version must be a version number' });
+            }
+            snapshot = await versionHistory.getVersion(project, req.query.version);
+            if (!snapshot) {
+                return res.status(404).json({ success: false, error: `Version ${req.query.version} not found` });
+            }
+        }
+
+        const { zip, fileCount } = await projectExport.createExportArchive(project, {
+            snapshot,
+            minify: isEnabled(req.query.minify),
+            readme: isEnabled(req.query.readme)
+        });
+
+        if (fileCount === 0) {
+            return res.status(404).json({ success: false, error: 'Project has no files to export' });
+        }
+
+        const safeName = project.projectName.replace(/[^A-Za-z0-9._-]+/g, '-');
+        const fileName = `${safeName}${snapshot ? `-v${snapshot.version}` : ''}${isEnabled(req.query.minify) ? '-min' : ''}.zip`;
+
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="${fileName}"`,
+            'Cache-Control': 'no-store'
+        });
+
+        const stream = zip.generateNodeStream({
+            type: 'nodebuffer',
+            streamFiles: true,
+            compression: 'DEFLATE',
+            compressionOptions: { level: 6 }
+        });
+        stream.on('error', (error) => {
+            console.error('Export stream error:', error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Export project error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,139 @@
+import express from 'express';
+import { authenticate, authenticateWithScope } from '../middleware/auth.js';
+import { loadProject } from '../services/projectAccess.js';
+import githubSync from '../services/githubSync.js';
+
+const router = express.Router();
+
+function serializeGitHubLink(project) {
+    if (!githubSync.isLinked(project)) {
+        return { linked: false };
+    }
+
+    return {
+        linked: true,
+        repository: `${project.github.owner}/${project.github.repo}`,
+        url: project.github.htmlUrl,
+        branch: project.github.branch,
+        lastCommitSha: project.github.lastCommitSha,
+        lastPushedVersion: project.github.lastPushedVersion,
+        lastPushedAt: project.github.lastPushedAt
+    };
+}
+
+// GitHub Link Route - the repository a project is pushed to, if any
+router.get('/:projectName/github', authenticateWithScope('projects:read'), async (req, res) => {
+    try {
+        const project = await loadProject(req, res, 'read');
+        if (!project) return;
+
+        res.json({
+            success: true,
+            projectName: project.projectName,
+            configured: githubSync.isConfigured(),
+            github: serializeGitHubLink(project)
+        });
+    } catch (error) {
+        console.error('Get GitHub link error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Push to GitHub Route - body { repoName, private, repo }
+ *
+ * The first push creates a repository (repoName defaults to the project name,
+ * private unless private: false) or relinks, with repo: "owner/name", a repository
+ * that was created for this project before it was unlinked.
+ * Every version not on GitHub yet is then pushed as its own commit. Later
+ * builds and updates are pushed automatically.
+ */
+router.post('/:projectName/github', authenticateWithScope('projects:write'), async (req, res) => {
+    try {
+        const project = await loadProject(req, res, 'write');
+        if (!project) return;
+
+        if (!githubSync.isConfigured()) {
+            return res.status(503).json({ success: false, error: 'GitHub integration is not configured on this server' });
+        }
+
+        let created = false;
+        if (!githubSync.isLinked(project)) {
+            if (req.body.repo !== undefined && !/^[A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+$/.test(String(req.body.repo))) {
+                return res.status(400).json({ success: false, error: 'repo must look like "owner/name"' });
+            }
+
+            try {
+                await githubSync.linkRepository(project, {
+                    repo: req.body.repo || null,
+                    repoName: req.body.repoName || null,
+                    isPrivate: req.body.private !== false
+                });
+            } catch (error) {
+                if (error.status === 403) {
+                    return res.status(403).json({ success: false, error: error.message });
+                }
+                if (error.status === 409) {
+                    return res.status(409).json({ success: false, error: error.message });
+                }
+                if (error.status === 404) {
+                    return res.status(404).json({ success: false, error: 'Repository not found or the server cannot access it' });
+                }
+                if (error.status === 422) {
+                    return res.status(409).json({ success: false, error: `Could not create the repository: ${error.message}` });
+                }
+                throw error;
+            }
+            created = !req.body.repo;
+        }
+
+        const commits = await githubSync.push(project);
+
+        console.log(`🐙 ${project.projectName} pushed to GitHub by ${req.userEmail}`);
+        res.json({
+            success: true,
+            message: commits.length > 0
+                ? `Pushed ${commits.length} commit(s) to ${project.github.owner}/${project.github.repo}`
+                : 'GitHub repository is already up to date',
+            created,
+            commits,
+            github: serializeGitHubLink(project)
+        });
+    } catch (error) {
+        console.error('Push to GitHub error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Unlink GitHub Route - stops pushing; the repository itself is left alone
+router.delete('/:projectName/github', authenticate, async (req, res) => {
+    try {
+        const project = await loadProject(req, res, 'manage');
+        if (!project) return;
+
+        if (!githubSync.isLinked(project)) {
+            return res.status(404).json({ success: false, error: 'Project is not linked to a GitHub repository' });
+        }
+
+        const repository = `${project.github.owner}/${project.github.repo}`;
+        project.set('github', {
+            owner: null,
+            repo: null,
+            htmlUrl: null,
+            lastCommitSha: null,
+            lastPushedVersion: 0,
+            lastPushedAt: null
+        });
+        await project.save();
+
+        res.json({
+            success: true,
+            message: `Project unlinked from ${repository}. The repository was not deleted.`
+        });
+    } catch (error) {
+        console.error('Unlink GitHub error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,45 @@
+import express from 'express';
+import { authenticateWithScope } from '../middleware/auth.js';
+import { loadProject } from '../services/projectAccess.js';
+import conversationStore from '../services/conversationStore.js';
+
+const router = express.Router();
+
+// Get Project History Route (chat messages and the agent's conversation)
+router.get('/:projectName/history', authenticateWithScope('projects:read'), async (req, res) => {
+    try {
+        const project = await loadProject(req, res, 'read');
+        if (!project) return;
+
+        const history = await conversationStore.getProjectHistory(req.userId, project);
+
+        res.json({
+            success: true,
+            projectName: project.projectName,
+            ...history
+        });
+    } catch (error) {
+        console.error('Get history error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Clear Project History Route
+router.delete('/:projectName/history', authenticateWithScope('projects:write'), async (req, res) => {
+    try {
+        const project = await loadProject(req, res, 'write');
+        if (!project) return;
+
+        await conversationStore.deleteProjectHistory(project._id, req.userId);
+
+        res.json({
+            success: true,
+            message: `History of "${project.projectName}" cleared`
+        });
+    } catch (error) {
+        console.error('Clear history error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+export default router;
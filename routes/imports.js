@@ -0,0 +1,131 @@
+import express from 'express';
+import multer from 'multer';
+import { authenticateWithScope } from '../middleware/auth.js';
+import Project from '../models/Project.js';
+import { loadWorkspace } from '../services/projectAccess.js';
+import projectImport, { IMPORT_LIMITS, ImportError } from '../services/projectImport.js';
+import { enqueueJob } from './jobs.js';
+
+const router = express.Router();
+
+// A compressed archive is never bigger than the project it holds
+const archiveUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: IMPORT_LIMITS.maxTotalBytes,
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        if (/\.zip$/i.test(file.originalname) || /zip/.test(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new ImportError('Only .zip archives can be imported'));
+        }
+    }
+});
+
+// Run multer and answer its errors (too large, wrong type) as JSON
+function receiveArchive(req, res, next) {
+    archiveUpload.single('archive')(req, res, (error) => {
+        if (!error) return next();
+        if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+                success: false,
+                error: `Archive is larger than ${IMPORT_LIMITS.maxTotalBytes / (1024 * 1024)}MB`
+            });
+        }
+        res.status(error.status || 400).json({ success: false, error: error.message });
+    });
+}
+
+function validateProjectName(res, projectName) {
+    const error = Project.nameError(projectName);
+    if (error) {
+        res.status(400).json({ success: false, error });
+        return false;
+    }
+    return true;
+}
+
+function sendImported(res, project, { skipped, ...extra }) {
+    res.status(201).json({
+        success: true,
+        message: `Project "${project.projectName}" imported successfully`,
+        projectName: project.projectName,
+        entryFile: project.entryFile,
+        fileCount: project.fileCount,
+        files: project.files.map(file => ({ filePath: file.filePath, fileSize: file.fileSize })),
+        skipped,
+        ...extra
+    });
+}
+
+// Import ZIP Route - multipart fields: archive (the .zip), projectName, workspaceId
+router.post('/zip', authenticateWithScope('projects:write'), receiveArchive, async (req, res) => {
+    try {
+        const projectName = String(req.body.projectName || '').trim();
+        if (!validateProjectName(res, projectName)) return;
+
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'Please upload a .zip archive in the "archive" field' });
+        }
+
+        const workspace = await loadWorkspace(req, res, 'write');
+        if (!workspace) return;
+
+        console.log(`📦 Importing "${projectName}" from ZIP (${req.file.size} bytes) for user: ${req.userEmail}`);
+        const { files, skipped } = await projectImport.readZipArchive(req.file.buffer);
+
+        const project = await projectImport.createProjectFromFiles({
+            workspace,
+            projectName,
+            user: req.user,
+            files,
+            description: `Imported from ${req.file.originalname}`,
+            source: 'import',
+            prompt: `Import ${req.file.originalname}`
+        });
+
+        sendImported(res, project, { skipped });
+    } catch (error) {
+        if (error instanceof ImportError) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        console.error('Import ZIP error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Import Git Route - body { projectName, repoUrl, ref, workspaceId }; ref is a branch or tag.
+// Cloning runs as an import job - the reply is the job to poll at /api/jobs/:jobId
+router.post('/git', authenticateWithScope('projects:write'), async (req, res) => {
+    try {
+        const projectName = String(req.body.projectName || '').trim();
+        if (!validateProjectName(res, projectName)) return;
+
+        const { repoUrl, ref } = req.body;
+        if (!repoUrl) {
+            return res.status(400).json({ success: false, error: 'Repository URL is required' });
+        }
+        const url = projectImport.validateRepoUrl(repoUrl);
+        projectImport.validateGitRef(ref);
+
+        const workspace = await loadWorkspace(req, res, 'write');
+        if (!workspace) return;
+
+        if (await Project.exists({ workspaceId: workspace._id, projectName })) {
+            return res.status(409).json({ success: false, error: `Project "${projectName}" already exists. Please use a different name.` });
+        }
+
+        console.log(`📦 Queueing import of "${projectName}" from git ${url} for user: ${req.userEmail}`);
+        await enqueueJob(req, res, 'import', { workspaceId: workspace._id, projectName }, { repoUrl: url, ref: ref || null });
+    } catch (error) {
+        if (error instanceof ImportError) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        console.error('Import git error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+export default router;
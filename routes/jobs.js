@@ -0,0 +1,232 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import { authenticateWithScope } from '../middleware/auth.js';
+import { findProjectForUser, loadWorkspace } from '../services/projectAccess.js';
+import jobQueue from '../services/jobQueue.js';
+
+const router = express.Router();
+
+// Reply 202 with the queued job so the client can poll /api/jobs/:jobId
+export async function enqueueJob(req, res, type, { workspaceId, projectName }, payload) {
+    // Only one job of each kind may be pending per project
+    const pendingJob = await Job.findOne({
+        workspaceId,
+        projectName,
+        type,
+        status: { $in: ['queued', 'running'] }
+    });
+
+    if (pendingJob) {
+        return res.status(409).json({
+            success: false,
+            error: `A ${type} job for "${projectName}" is already ${pendingJob.status}`,
+            jobId: pendingJob._id
+        });
+    }
+
+    const job = await jobQueue.enqueue({
+        type,
+        userId: req.userId,
+        userEmail: req.userEmail,
+        workspaceId,
+        projectName,
+        payload
+    });
+
+    res.status(202).json({
+        success: true,
+        jobId: job._id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job._id}`,
+        logsUrl: `/api/jobs/${job._id}/logs`
+    });
+}
+
+// Checks a retried job has to pass again, by job type (see registerRetryChecks)
+const retryChecks = new Map();
+
+/**
+ * Register what retrying a job type requires - the same as the route that
+ * queued it: { scope, access: { workspace | project: permission }, middleware }.
+ * Middleware are that route's rate limits, quota and verification checks.
+ */
+export function registerRetryChecks(type, { scope = 'build', access, middleware = [] }) {
+    retryChecks.set(type, { scope, access, middleware });
+}
+
+// Run route middleware inside a handler; false when one of them answered
+// the request instead of calling next()
+async function passesMiddleware(middleware, req, res) {
+    for (const fn of middleware) {
+        let passed = false;
+        await fn(req, res, () => { passed = true; });
+        if (!passed) return false;
+    }
+    return true;
+}
+
+// Check that the user may still queue this job, or send the refusal
+async function checkRetryAllowed(req, res, job) {
+    const checks = retryChecks.get(job.type);
+    if (!checks) {
+        res.status(409).json({ success: false, error: `${job.type} jobs cannot be retried` });
+        return false;
+    }
+
+    if (req.apiKey && !req.apiKey.hasScope(checks.scope)) {
+        res.status(403).json({
+            success: false,
+            error: 'Insufficient scope',
+            message: `This API key does not have the ${checks.scope} scope.`
+        });
+        return false;
+    }
+
+    // Access may have changed since the job was queued
+    if (checks.access.workspace) {
+        if (!(await loadWorkspace(req, res, checks.access.workspace, job.workspaceId))) return false;
+    } else {
+        const access = await findProjectForUser(req.user, job.projectName, {
+            workspaceId: job.workspaceId,
+            permission: checks.access.project
+        });
+        if (access.error) {
+            res.status(access.status).json({ success: false, error: access.error });
+            return false;
+        }
+    }
+
+    return passesMiddleware(checks.middleware, req, res);
+}
+
+// Load the requested job for the current user, or send a 404
+async function findUserJob(req, res, projection = null) {
+    const { jobId } = req.params;
+    const job = mongoose.isValidObjectId(jobId)
+        ? await Job.findOne({ _id: jobId, userId: req.userId }, projection)
+        : null;
+
+    if (!job) {
+        res.status(404).json({
+            success: false,
+            error: 'Job not found'
+        });
+        return null;
+    }
+
+    return job;
+}
+
+function serializeJob(job) {
+    return {
+        id: job._id,
+        type: job.type,
+        status: job.status,
+        projectName: job.projectName,
+        result: job.result,
+        error: job.error,
+        attempts: job.attempts,
+        cancelRequested: job.cancelRequested,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    };
+}
+
+// List Jobs Route (?status=running&projectName=...)
+router.get('/', authenticateWithScope('projects:read'), async (req, res) => {
+    try {
+        const query = Job.findByUser(req.userId).limit(50);
+        if (req.query.status) query.where('status').equals(req.query.status);
+        if (req.query.projectName) query.where('projectName').equals(req.query.projectName);
+
+        const jobs = await query;
+        res.json({ success: true, jobs: jobs.map(serializeJob) });
+    } catch (error) {
+        console.error('List jobs error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Job Status Route
+router.get('/:jobId', authenticateWithScope('projects:read'), async (req, res) => {
+    try {
+        const job = await findUserJob(req, res, '-logs');
+        if (!job) return;
+
+        res.json({ success: true, job: serializeJob(job) });
+    } catch (error) {
+        console.error('Get job error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Job Logs Route (?since=<ISO date> returns only newer entries)
+router.get('/:jobId/logs', authenticateWithScope('projects:read'), async (req, res) => {
+    try {
+        const job = await findUserJob(req, res, 'status logs');
+        if (!job) return;
+
+        const since = req.query.since ? new Date(req.query.since) : null;
+        const logs = since && !isNaN(since)
+            ? job.logs.filter(entry => entry.at > since)
+            : job.logs;
+
+        res.json({ success: true, status: job.status, logs });
+    } catch (error) {
+        console.error('Get job logs error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Cancel Job Route
+router.post('/:jobId/cancel', authenticateWithScope('build'), async (req, res) => {
+    try {
+        const job = await findUserJob(req, res, '-logs');
+        if (!job) return;
+
+        if (job.isFinished()) {
+            return res.status(409).json({
+                success: false,
+                error: `Job has already ${job.status}`
+            });
+        }
+
+        await jobQueue.cancel(job);
+        res.json({ success: true, message: 'Cancellation requested', job: serializeJob(job) });
+    } catch (error) {
+        console.error('Cancel job error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Retry Job Route
+router.post('/:jobId/retry', authenticateWithScope('build'), async (req, res) => {
+    try {
+        const job = await findUserJob(req, res, '-logs');
+        if (!job) return;
+
+        if (!['failed', 'cancelled'].includes(job.status)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Only failed or cancelled jobs can be retried'
+            });
+        }
+
+        if (!(await checkRetryAllowed(req, res, job))) return;
+
+        if (!(await jobQueue.retry(job))) {
+            return res.status(409).json({
+                success: false,
+                error: 'Only failed or cancelled jobs can be retried'
+            });
+        }
+        res.status(202).json({ success: true, message: 'Job queued again', job: serializeJob(job) });
+    } catch (error) {
+        console.error('Retry job error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,35 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import usageMeter from '../services/usageMeter.js';
+
+const router = express.Router();
+
+// Usage Route (?days=30&projectName=...) - quota status and token consumption over time
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+
+        const [quota, report] = await Promise.all([
+            usageMeter.getQuotaStatus(req.user),
+            usageMeter.getReport(req.userId, { days, projectName: req.query.projectName || null })
+        ]);
+
+        res.json({
+            success: true,
+            plan: quota.plan,
+            quota: {
+                unlimited: quota.unlimited,
+                daily: quota.daily,
+                monthly: quota.monthly,
+                exceeded: Boolean(quota.exceeded)
+            },
+            days,
+            ...report
+        });
+    } catch (error) {
+        console.error('Usage error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,144 @@
+import express from 'express';
+import { authenticateWithScope } from '../middleware/auth.js';
+import { loadProject } from '../services/projectAccess.js';
+import versionHistory from '../services/versionHistory.js';
+import githubSync from '../services/githubSync.js';
+
+const router = express.Router();
+
+function isVersionNumber(value) {
+    return /^\d+$/.test(String(value));
+}
+
+function rejectVersion(res, name = 'version') {
+    return res.status(400).json({ success: false, error: `${name} must be a version number` });
+}
+
+function serializeVersion(snapshot) {
+    return {
+        version: snapshot.version,
+        source: snapshot.source,
+        prompt: snapshot.prompt,
+        author: snapshot.author,
+        restoredFrom: snapshot.restoredFrom,
+        fileCount: snapshot.files.length,
+        files: snapshot.files,
+        createdAt: snapshot.createdAt
+    };
+}
+
+// List Versions Route
+router.get('/:projectName/versions', authenticateWithScope('projects:read'), async (req, res) => {
+    try {
+        const project = await loadProject(req, res, 'read');
+        if (!project) return;
+
+        const versions = await versionHistory.listVersions(project);
+
+        res.json({
+            success: true,
+            projectName: project.projectName,
+            versions: versions.map(serializeVersion)
+        });
+    } catch (error) {
+        console.error('List versions error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Diff Versions Route (?from=1&to=2, `to` defaults to the latest version)
+router.get('/:projectName/versions/diff', authenticateWithScope('projects:read'), async (req, res) => {
+    try {
+        const project = await loadProject(req, res, 'read');
+        if (!project) return;
+
+        const { from, to } = req.query;
+        if (!from) {
+            return res.status(400).json({
+                success: false,
+                error: 'The "from" version is required'
+            });
+        }
+        if (!isVersionNumber(from)) return rejectVersion(res, 'from');
+        if (to && !isVersionNumber(to)) return rejectVersion(res, 'to');
+
+        const fromSnapshot = await versionHistory.getVersion(project, from);
+        const toSnapshot = to
+            ? await versionHistory.getVersion(project, to)
+            : (await versionHistory.listVersions(project))[0];
+
+        if (!fromSnapshot || !toSnapshot) {
+            return res.status(404).json({
+                success: false,
+                error: 'Version not found'
+            });
+        }
+
+        const diff = await versionHistory.diffVersions(project, fromSnapshot, toSnapshot);
+
+        res.json({ success: true, projectName: project.projectName, ...diff });
+    } catch (error) {
+        console.error('Diff versions error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Get Version Route
+router.get('/:projectName/versions/:version', authenticateWithScope('projects:read'), async (req, res) => {
+    try {
+        const project = await loadProject(req, res, 'read');
+        if (!project) return;
+        if (!isVersionNumber(req.params.version)) return rejectVersion(res);
+
+        const snapshot = await versionHistory.getVersion(project, req.params.version);
+        if (!snapshot) {
+            return res.status(404).json({
+                success: false,
+                error: `Version ${req.params.version} not found`
+            });
+        }
+
+        res.json({ success: true, projectName: project.projectName, version: serializeVersion(snapshot) });
+    } catch (error) {
+        console.error('Get version error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Restore Version Route
+router.post('/:projectName/versions/:version/restore', authenticateWithScope('projects:write'), async (req, res) => {
+    try {
+        const project = await loadProject(req, res, 'write');
+        if (!project) return;
+        if (!isVersionNumber(req.params.version)) return rejectVersion(res);
+
+        const snapshot = await versionHistory.getVersion(project, req.params.version);
+        if (!snapshot) {
+            return res.status(404).json({
+                success: false,
+                error: `Version ${req.params.version} not found`
+            });
+        }
+
+        const restored = await versionHistory.restoreVersion(project, snapshot, {
+            userId: req.userId,
+            email: req.userEmail
+        });
+
+        project.fileCount = restored.files.length;
+        project.updatedAt = Date.now();
+        await project.save();
+        await githubSync.pushIfLinked(project);
+
+        res.json({
+            success: true,
+            message: `Project "${project.projectName}" restored to version ${snapshot.version}`,
+            version: serializeVersion(restored)
+        });
+    } catch (error) {
+        console.error('Restore version error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,276 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Project from '../models/Project.js';
+import Workspace, { WORKSPACE_ROLES } from '../models/Workspace.js';
+import { authenticate, authenticateWithScope } from '../middleware/auth.js';
+import { loadWorkspace } from '../services/projectAccess.js';
+import { deleteWorkspaceCompletely } from '../services/projectCleanup.js';
+
+const router = express.Router();
+
+// Workspaces a user may create besides their personal one
+const MAX_WORKSPACES_PER_USER = 20;
+
+function serializeWorkspace(workspace, role) {
+    return {
+        id: workspace._id,
+        name: workspace.name,
+        isPersonal: workspace.isPersonal,
+        role,
+        memberCount: workspace.members.length,
+        createdAt: workspace.createdAt
+    };
+}
+
+// Members with their name and email
+async function serializeMembers(workspace) {
+    const users = await User.find({ _id: { $in: workspace.members.map(m => m.userId) } }, 'name email');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    return workspace.members.map(member => ({
+        userId: member.userId,
+        name: usersById.get(member.userId.toString())?.name || null,
+        email: usersById.get(member.userId.toString())?.email || null,
+        role: member.role,
+        addedAt: member.addedAt
+    }));
+}
+
+// Sharing is for team workspaces; the personal one stays private
+function rejectPersonal(res, workspace) {
+    if (!workspace.isPersonal) return false;
+    res.status(400).json({
+        success: false,
+        error: 'Your personal workspace cannot be shared. Create a team workspace instead.'
+    });
+    return true;
+}
+
+// List Workspaces Route
+router.get('/', authenticateWithScope('projects:read'), async (req, res) => {
+    try {
+        await Workspace.ensurePersonal(req.user);
+        const workspaces = await Workspace.findForUser(req.userId);
+
+        const projectCounts = await Project.aggregate([
+            { $match: { workspaceId: { $in: workspaces.map(w => w._id) }, status: 'active' } },
+            { $group: { _id: '$workspaceId', count: { $sum: 1 } } }
+        ]);
+        const countsById = new Map(projectCounts.map(entry => [entry._id.toString(), entry.count]));
+
+        res.json({
+            success: true,
+            workspaces: workspaces.map(workspace => ({
+                ...serializeWorkspace(workspace, workspace.getRole(req.userId)),
+                projectCount: countsById.get(workspace._id.toString()) || 0
+            }))
+        });
+    } catch (error) {
+        console.error('List workspaces error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Create Workspace Route - the creator becomes its owner
+router.post('/', authenticate, async (req, res) => {
+    try {
+        const name = String(req.body.name || '').trim();
+        if (!name) {
+            return res.status(400).json({ success: false, error: 'Workspace name is required' });
+        }
+        if (name.length > 80) {
+            return res.status(400).json({ success: false, error: 'Workspace name cannot exceed 80 characters' });
+        }
+
+        const created = await Workspace.countDocuments({ createdBy: req.userId, isPersonal: false });
+        if (created >= MAX_WORKSPACES_PER_USER) {
+            return res.status(400).json({
+                success: false,
+                error: `You can create at most ${MAX_WORKSPACES_PER_USER} workspaces`
+            });
+        }
+
+        const workspace = await Workspace.create({
+            name,
+            createdBy: req.userId,
+            members: [{ userId: req.userId, role: 'owner' }]
+        });
+
+        console.log(`👥 Workspace created: ${workspace.name} by ${req.userEmail}`);
+        res.status(201).json({
+            success: true,
+            workspace: serializeWorkspace(workspace, 'owner')
+        });
+    } catch (error) {
+        console.error('Create workspace error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Get Workspace Route (with members)
+router.get('/:workspaceId', authenticateWithScope('projects:read'), async (req, res) => {
+    try {
+        const workspace = await loadWorkspace(req, res, 'read', req.params.workspaceId);
+        if (!workspace) return;
+
+        res.json({
+            success: true,
+            workspace: serializeWorkspace(workspace, req.workspaceRole),
+            members: await serializeMembers(workspace)
+        });
+    } catch (error) {
+        console.error('Get workspace error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Rename Workspace Route
+router.patch('/:workspaceId', authenticate, async (req, res) => {
+    try {
+        const workspace = await loadWorkspace(req, res, 'manage', req.params.workspaceId);
+        if (!workspace) return;
+
+        const name = String(req.body.name || '').trim();
+        if (!name || name.length > 80) {
+            return res.status(400).json({ success: false, error: 'Workspace name must be 1 to 80 characters' });
+        }
+
+        workspace.name = name;
+        await workspace.save();
+
+        res.json({ success: true, workspace: serializeWorkspace(workspace, req.workspaceRole) });
+    } catch (error) {
+        console.error('Rename workspace error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Delete Workspace Route - removes every project in it
+router.delete('/:workspaceId', authenticate, async (req, res) => {
+    try {
+        const workspace = await loadWorkspace(req, res, 'manage', req.params.workspaceId);
+        if (!workspace) return;
+
+        if (workspace.isPersonal) {
+            return res.status(400).json({ success: false, error: 'Your personal workspace cannot be deleted' });
+        }
+
+        const { deletedProjects } = await deleteWorkspaceCompletely(workspace);
+        console.log(`🗑️ Workspace deleted: ${workspace.name} by ${req.userEmail}`);
+
+        res.json({
+            success: true,
+            message: `Workspace "${workspace.name}" deleted`,
+            deletedProjects
+        });
+    } catch (error) {
+        console.error('Delete workspace error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Add Member Route - body { email, role }; the user needs a verified account
+router.post('/:workspaceId/members', authenticate, async (req, res) => {
+    try {
+        const workspace = await loadWorkspace(req, res, 'manage', req.params.workspaceId);
+        if (!workspace || rejectPersonal(res, workspace)) return;
+
+        const email = String(req.body.email || '').trim().toLowerCase();
+        const role = req.body.role || 'editor';
+
+        if (!WORKSPACE_ROLES.includes(role)) {
+            return res.status(400).json({ success: false, error: `Role must be one of: ${WORKSPACE_ROLES.join(', ')}` });
+        }
+
+        const user = email ? await User.findOne({ email }) : null;
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'No account found with that email' });
+        }
+        // Anyone can register an address - only its proven owner may be added
+        if (!user.isVerified) {
+            return res.status(409).json({ success: false, error: `${user.email} has not verified their email address yet` });
+        }
+        if (workspace.getRole(user._id)) {
+            return res.status(409).json({ success: false, error: `${user.email} is already a member` });
+        }
+
+        workspace.members.push({ userId: user._id, role });
+        await workspace.save();
+
+        console.log(`👥 ${user.email} added to ${workspace.name} as ${role} by ${req.userEmail}`);
+        res.status(201).json({ success: true, members: await serializeMembers(workspace) });
+    } catch (error) {
+        console.error('Add member error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Change Member Role Route - body { role }
+router.patch('/:workspaceId/members/:userId', authenticate, async (req, res) => {
+    try {
+        const workspace = await loadWorkspace(req, res, 'manage', req.params.workspaceId);
+        if (!workspace || rejectPersonal(res, workspace)) return;
+
+        const { role } = req.body;
+        if (!WORKSPACE_ROLES.includes(role)) {
+            return res.status(400).json({ success: false, error: `Role must be one of: ${WORKSPACE_ROLES.join(', ')}` });
+        }
+
+        const member = mongoose.isValidObjectId(req.params.userId)
+            ? workspace.members.find(m => m.userId.toString() === req.params.userId)
+            : null;
+        if (!member) {
+            return res.status(404).json({ success: false, error: 'Member not found' });
+        }
+
+        if (member.role === 'owner' && role !== 'owner' && workspace.countOwners() === 1) {
+            return res.status(400).json({ success: false, error: 'A workspace needs at least one owner' });
+        }
+
+        member.role = role;
+        await workspace.save();
+
+        res.json({ success: true, members: await serializeMembers(workspace) });
+    } catch (error) {
+        console.error('Change member role error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Remove Member Route - owners remove anyone, members can remove themselves (leave)
+router.delete('/:workspaceId/members/:userId', authenticate, async (req, res) => {
+    try {
+        const leaving = req.params.userId === req.userId.toString();
+        const workspace = await loadWorkspace(req, res, leaving ? 'read' : 'manage', req.params.workspaceId);
+        if (!workspace || rejectPersonal(res, workspace)) return;
+
+        const member = mongoose.isValidObjectId(req.params.userId)
+            ? workspace.members.find(m => m.userId.toString() === req.params.userId)
+            : null;
+        if (!member) {
+            return res.status(404).json({ success: false, error: 'Member not found' });
+        }
+
+        if (member.role === 'owner' && workspace.countOwners() === 1) {
+            return res.status(400).json({
+                success: false,
+                error: 'A workspace needs at least one owner. Make someone else an owner or delete the workspace.'
+            });
+        }
+
+        workspace.members = workspace.members.filter(m => m.userId.toString() !== req.params.userId);
+        await workspace.save();
+
+        res.json({
+            success: true,
+            message: leaving ? `You left "${workspace.name}"` : 'Member removed',
+            members: leaving ? [] : await serializeMembers(workspace)
+        });
+    } catch (error) {
+        console.error('Remove member error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+export default router;
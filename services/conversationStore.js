@@ -0,0 +1,169 @@
+import ChatHistory from '../models/ChatHistory.js';
+import AgentHistory from '../models/AgentHistory.js';
+
+// Chat keeps only the most recent messages to prevent context overflow
+const MAX_CHAT_MESSAGES = parseInt(process.env.CHAT_HISTORY_LIMIT, 10) || 20;
+
+// Agent history keeps this many Gemini entries; older ones are folded into the summary
+const MAX_AGENT_ENTRIES = parseInt(process.env.AGENT_HISTORY_LIMIT, 10) || 40;
+
+// Long text (whole files) is shortened before it is stored
+const MAX_STORED_TEXT = 2000;
+const MAX_SUMMARY_LENGTH = 4000;
+
+function truncateText(text) {
+    return text.length > MAX_STORED_TEXT
+        ? `${text.substring(0, MAX_STORED_TEXT)}… [${text.length - MAX_STORED_TEXT} more chars]`
+        : text;
+}
+
+// Shorten long strings anywhere inside a Gemini content entry
+function compactValue(value) {
+    if (typeof value === 'string') return truncateText(value);
+    if (Array.isArray(value)) return value.map(compactValue);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, compactValue(item)]));
+    }
+    return value;
+}
+
+// A plain user text entry is a safe place to start history (not mid tool call)
+function isUserText(entry) {
+    return entry.role === 'user' && entry.parts?.some(part => typeof part.text === 'string');
+}
+
+/**
+ * Conversation Store - durable chat and agent history, keyed by user and project id
+ */
+class ConversationStore {
+    /**
+     * Get a user's chat messages for a project (or general chat when project is null)
+     */
+    async getChatHistory(userId, project = null) {
+        const history = await ChatHistory.findOne({ userId, projectId: project ? project._id : null }).lean();
+        return history ? history.messages.map(({ role, content }) => ({ role, content })) : [];
+    }
+
+    /**
+     * Append chat messages, keeping only the most recent ones
+     */
+    async appendChatMessages(userId, project, messages) {
+        await ChatHistory.updateOne(
+            { userId, projectId: project ? project._id : null },
+            {
+                $set: { projectName: project ? project.projectName : null },
+                $push: {
+                    messages: {
+                        $each: messages.map(({ role, content }) => ({ role, content, createdAt: new Date() })),
+                        $slice: -MAX_CHAT_MESSAGES
+                    }
+                }
+            },
+            { upsert: true }
+        );
+    }
+
+    /**
+     * Clear chat history - for one project (null for general chat), or every conversation of the user
+     */
+    async clearChatHistory(userId, project = undefined) {
+        const filter = project === undefined ? { userId } : { userId, projectId: project ? project._id : null };
+        await ChatHistory.deleteMany(filter);
+    }
+
+    /**
+     * Get the agent's Gemini history for a project, with the summary of pruned entries first
+     */
+    async getAgentHistory(userId, project) {
+        const history = await AgentHistory.findOne({ userId, projectId: project._id }).lean();
+        if (!history) return [];
+
+        const contents = history.contents.map(entry => JSON.parse(entry));
+        if (history.summary) {
+            contents.unshift({
+                role: 'user',
+                parts: [{ text: `Summary of earlier requests for project "${project.projectName}":\n${history.summary}` }]
+            });
+        }
+        return contents;
+    }
+
+    /**
+     * Save the agent's history after a run, pruning old entries into the summary
+     */
+    async saveAgentHistory(userId, project, contents) {
+        const existing = await AgentHistory.findOne({ userId, projectId: project._id });
+
+        // The stored summary entry is re-added on load, so don't persist it twice
+        let entries = contents.filter(entry =>
+            !(entry.role === 'user' && entry.parts?.[0]?.text?.startsWith('Summary of earlier requests for project'))
+        ).map(compactValue);
+
+        let summary = existing?.summary || '';
+
+        if (entries.length > MAX_AGENT_ENTRIES) {
+            // Cut at a user text entry so a function call is never separated from its response
+            let cut = entries.length - MAX_AGENT_ENTRIES;
+            while (cut < entries.length && !isUserText(entries[cut])) cut++;
+
+            const pruned = entries.slice(0, cut);
+            entries = entries.slice(cut);
+
+            const prunedRequests = pruned
+                .filter(isUserText)
+                .map(entry => entry.parts.find(part => typeof part.text === 'string').text)
+                .filter(text => !text.startsWith('🚨') && !text.startsWith('CURRENT CSS CONTENT'))
+                .map(text => `- ${text.replace(/\s+/g, ' ').substring(0, 300)}`);
+
+            summary = [summary, ...prunedRequests].filter(Boolean).join('\n');
+            if (summary.length > MAX_SUMMARY_LENGTH) {
+                summary = summary.substring(summary.length - MAX_SUMMARY_LENGTH);
+            }
+        }
+
+        await AgentHistory.updateOne(
+            { userId, projectId: project._id },
+            {
+                $set: { projectName: project.projectName, contents: entries.map(entry => JSON.stringify(entry)), summary },
+                $inc: { runCount: 1 }
+            },
+            { upsert: true }
+        );
+    }
+
+    /**
+     * Get both histories of a project, for the history endpoint
+     */
+    async getProjectHistory(userId, project) {
+        const [chat, agent] = await Promise.all([
+            this.getChatHistory(userId, project),
+            AgentHistory.findOne({ userId, projectId: project._id }).lean()
+        ]);
+
+        return {
+            chat,
+            agent: {
+                summary: agent?.summary || '',
+                runCount: agent?.runCount || 0,
+                entries: (agent?.contents || []).map(entry => JSON.parse(entry)),
+                updatedAt: agent?.updatedAt || null
+            }
+        };
+    }
+
+    /**
+     * Remove the chat and agent history of a project - one user's, or everyone's when userId is null
+     */
+    async deleteProjectHistory(projectId, userId = null) {
+        const filter = userId ? { projectId, userId } : { projectId };
+        await Promise.all([
+            ChatHistory.deleteMany(filter),
+            AgentHistory.deleteMany(filter)
+        ]);
+    }
+}
+
+// Export singleton instance
+const conversationStore = new ConversationStore();
+
+export default conversationStore;
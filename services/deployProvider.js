@@ -0,0 +1,163 @@
+import fetch from 'node-fetch';
+
+/**
+ * Base class for deployment providers.
+ *
+ * Every provider must implement:
+ *   createDeployment({ projectName, siteName, files, git }) -> { id, siteId, url, alias }
+ *   getDeploymentStatus(deployment) -> { status, url, alias, error }
+ *
+ * URLs are returned with their https:// scheme.
+ *
+ * `files` maps project-relative paths to their content (a string, or a Buffer
+ * for binary assets), as returned by storage.readAllProjectFiles. `git` is the
+ * GitHub commit the files match ({ repoUrl, owner, repo, branch, commitSha }),
+ * or null when the project isn't pushed to GitHub.
+ *
+ * Statuses are normalized to BUILDING, READY, ERROR or CANCELED. deploy()
+ * creates the deployment and polls it until it settles, so callers get back
+ * a live URL or an error.
+ *
+ * The API base URL of each provider can be set from the environment, so a
+ * local mock server can stand in for the real API.
+ */
+class DeployProvider {
+    constructor(name, { label, apiUrl, token, tokenEnv }) {
+        this.name = name;
+        this.label = label;
+        this.apiUrl = apiUrl.replace(/\/$/, '');
+        this.token = token;
+        this.tokenEnv = tokenEnv;
+        this.pollIntervalMs = parseInt(process.env.DEPLOY_POLL_INTERVAL_MS, 10) || 3000;
+        this.timeoutMs = parseInt(process.env.DEPLOY_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+    }
+
+    isConfigured() {
+        return Boolean(this.token);
+    }
+
+    getInfo() {
+        return {
+            provider: this.name,
+            label: this.label,
+            apiUrl: this.apiUrl,
+            configured: this.isConfigured()
+        };
+    }
+
+    /**
+     * Turn a project name into a name the provider accepts for sites and aliases
+     */
+    slugify(name) {
+        return String(name)
+            .toLowerCase()
+            .replace(/[^a-z0-9-]/g, '-')
+            .replace(/--+/g, '-')
+            .replace(/^-|-$/g, '')
+            .substring(0, 50);
+    }
+
+    /**
+     * Call the provider API; resolves to the parsed JSON body, throws with the
+     * provider's error message on a non-2xx response
+     */
+    async request(method, apiPath, { body, headers = {}, raw = false } = {}) {
+        const response = await fetch(`${this.apiUrl}${apiPath}`, {
+            method,
+            headers: {
+                Authorization: `Bearer ${this.token}`,
+                ...(body !== undefined && !raw ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            },
+            body: body === undefined ? undefined : (raw ? body : JSON.stringify(body))
+        });
+
+        const text = await response.text();
+        let result = null;
+        try {
+            result = text ? JSON.parse(text) : null;
+        } catch (e) {
+            if (response.ok) {
+                throw new Error(`Invalid response from ${this.label} API: ${text.substring(0, 200)}`);
+            }
+        }
+
+        if (!response.ok) {
+            const message = result?.error?.message || result?.message || result?.error || text.substring(0, 200) || response.statusText;
+            const error = new Error(`${this.label} API error (${response.status}): ${message}`);
+            error.status = response.status;
+            error.code = result?.error?.code || result?.code || null;
+            throw error;
+        }
+
+        return result;
+    }
+
+    /**
+     * Create a deployment and wait until it is READY (or fails).
+     * onProgress(event, data) is called on every status change.
+     * Resolves to { provider, deploymentId, siteId, url, alias, status }.
+     */
+    async deploy({ projectName, siteName = null, files, git = null }, { onProgress = null } = {}) {
+        if (!this.isConfigured()) {
+            throw new Error(`${this.tokenEnv} environment variable is required to deploy to ${this.label}`);
+        }
+        if (Object.keys(files).length === 0) {
+            throw new Error(`No files found in project ${projectName}`);
+        }
+
+        const deployment = await this.createDeployment({ projectName, siteName, files, git });
+        console.log(`📤 ${this.label} deployment created: ${deployment.id}`);
+        onProgress?.('deploy_created', { provider: this.name, deploymentId: deployment.id });
+
+        const startedAt = Date.now();
+        let lastStatus = null;
+
+        while (true) {
+            const state = await this.getDeploymentStatus(deployment);
+
+            if (state.status !== lastStatus) {
+                lastStatus = state.status;
+                console.log(`⏳ ${this.label} deployment ${deployment.id}: ${state.status}`);
+                onProgress?.('deploy_status', { provider: this.name, deploymentId: deployment.id, status: state.status });
+            }
+
+            if (state.status === 'READY') {
+                return {
+                    provider: this.name,
+                    deploymentId: deployment.id,
+                    siteId: deployment.siteId || null,
+                    url: state.url || deployment.url,
+                    alias: await this.resolveAlias(deployment, state),
+                    status: 'READY'
+                };
+            }
+            if (state.status === 'ERROR' || state.status === 'CANCELED') {
+                throw new Error(`${this.label} deployment ${state.status === 'ERROR' ? 'failed' : 'was canceled'}${state.error ? ` - ${state.error}` : ''}`);
+            }
+            if (Date.now() - startedAt > this.timeoutMs) {
+                throw new Error(`${this.label} deployment ${deployment.id} was not ready after ${Math.round(this.timeoutMs / 1000)}s`);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+        }
+    }
+
+    /**
+     * The stable URL of a ready deployment (e.g. the site's production domain).
+     * Providers override this when the alias has to be assigned after the build.
+     */
+    async resolveAlias(deployment, state) {
+        return state.alias || deployment.alias || null;
+    }
+
+    async createDeployment() {
+        throw new Error(`${this.name} provider does not implement createDeployment`);
+    }
+
+    async getDeploymentStatus() {
+        throw new Error(`${this.name} provider does not implement getDeploymentStatus`);
+    }
+}
+
+export default DeployProvider;
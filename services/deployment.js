@@ -0,0 +1,39 @@
+import VercelDeployProvider from './vercelDeploy.js';
+import NetlifyDeployProvider from './netlifyDeploy.js';
+
+// Available deployment providers, keyed by the name /api/deploy accepts
+const providers = {
+    vercel: VercelDeployProvider,
+    netlify: NetlifyDeployProvider
+};
+
+const instances = new Map();
+
+export const DEPLOY_PROVIDERS = Object.keys(providers);
+
+// Provider used when a request doesn't name one, chosen with DEPLOY_PROVIDER (defaults to vercel)
+export function defaultDeployProvider() {
+    return process.env.DEPLOY_PROVIDER || 'vercel';
+}
+
+/**
+ * Get (or lazily create) a deployment provider by name. Providers read their
+ * tokens when created, so this is safe to import before dotenv has run.
+ */
+export function getDeployProvider(name = defaultDeployProvider()) {
+    const Provider = providers[name];
+    if (!Provider) {
+        throw new Error(`Unknown deployment provider "${name}". Available providers: ${DEPLOY_PROVIDERS.join(', ')}`);
+    }
+
+    if (!instances.has(name)) {
+        instances.set(name, new Provider());
+    }
+    return instances.get(name);
+}
+
+export default {
+    DEPLOY_PROVIDERS,
+    defaultDeployProvider,
+    getDeployProvider
+};
@@ -0,0 +1,155 @@
+/**
+ * Targeted text edits for the agent's editFile tool.
+ *
+ * Both edit styles are all-or-nothing: when any edit conflicts, the original
+ * content is returned unchanged together with the list of conflicts, so the
+ * model can correct its edits and try again.
+ */
+
+function countOccurrences(content, search) {
+    let count = 0;
+    let index = content.indexOf(search);
+    while (index !== -1) {
+        count++;
+        index = content.indexOf(search, index + search.length);
+    }
+    return count;
+}
+
+/**
+ * Apply search/replace blocks: [{ search, replace, replaceAll }]
+ * Each search must match exactly once unless replaceAll is set.
+ */
+export function applySearchReplace(content, edits) {
+    let result = content;
+    const applied = [];
+    const conflicts = [];
+
+    edits.forEach((edit, index) => {
+        const { search, replace = '', replaceAll = false } = edit || {};
+
+        if (typeof search !== 'string' || search === '') {
+            conflicts.push({ edit: index, reason: 'search text is empty' });
+            return;
+        }
+
+        const matches = countOccurrences(result, search);
+        if (matches === 0) {
+            conflicts.push({
+                edit: index,
+                reason: 'search text not found - copy it exactly from the current file, including whitespace',
+                search: search.substring(0, 200)
+            });
+            return;
+        }
+        if (matches > 1 && !replaceAll) {
+            conflicts.push({
+                edit: index,
+                reason: `search text matches ${matches} places - include more surrounding lines or set replaceAll`,
+                search: search.substring(0, 200)
+            });
+            return;
+        }
+
+        result = replaceAll ? result.split(search).join(replace) : result.replace(search, () => replace);
+        applied.push({ edit: index, replacements: replaceAll ? matches : 1 });
+    });
+
+    return conflicts.length > 0
+        ? { content, applied: [], conflicts }
+        : { content: result, applied, conflicts };
+}
+
+/**
+ * Parse a unified diff for a single file into hunks
+ */
+function parseUnifiedDiff(patch) {
+    const hunks = [];
+    let hunk = null;
+
+    // A trailing newline on the patch is not an extra context line
+    const patchLines = patch.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+
+    for (const line of patchLines) {
+        const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+        if (header) {
+            hunk = { oldStart: parseInt(header[1], 10), oldLines: [], newLines: [] };
+            hunks.push(hunk);
+        } else if (!hunk || line.startsWith('\\')) {
+            // File headers (---/+++) only come before the first hunk; inside a
+            // hunk "---" is a removed line starting with "--" (e.g. a CSS variable)
+            continue;
+        } else if (line.startsWith('-')) {
+            hunk.oldLines.push(line.substring(1));
+        } else if (line.startsWith('+')) {
+            hunk.newLines.push(line.substring(1));
+        } else {
+            // Context line (a bare empty line counts as empty context)
+            const text = line.startsWith(' ') ? line.substring(1) : line;
+            hunk.oldLines.push(text);
+            hunk.newLines.push(text);
+        }
+    }
+
+    return hunks;
+}
+
+/**
+ * Find where a hunk's old lines sit, starting at the expected line and
+ * searching outwards so small line-number drift still applies cleanly
+ */
+function locateHunk(lines, oldLines, expectedIndex, fromIndex) {
+    const matchesAt = (start) => oldLines.every((line, i) => lines[start + i] === line);
+    const maxStart = lines.length - oldLines.length;
+
+    for (let offset = 0; offset <= lines.length; offset++) {
+        for (const start of [expectedIndex + offset, expectedIndex - offset]) {
+            if (start >= fromIndex && start <= maxStart && matchesAt(start)) {
+                return start;
+            }
+        }
+    }
+    return -1;
+}
+
+/**
+ * Apply a unified diff (one file) to content
+ */
+export function applyUnifiedDiff(content, patch) {
+    const hunks = parseUnifiedDiff(patch);
+    if (hunks.length === 0) {
+        return { content, applied: [], conflicts: [{ hunk: null, reason: 'no hunks found - each hunk must start with an @@ -l,s +l,s @@ header' }] };
+    }
+
+    const lines = content.split('\n');
+    const output = [];
+    const applied = [];
+    const conflicts = [];
+    let cursor = 0;
+
+    hunks.forEach((hunk, index) => {
+        const start = hunk.oldLines.length === 0
+            ? Math.max(cursor, Math.min(hunk.oldStart, lines.length))
+            : locateHunk(lines, hunk.oldLines, hunk.oldStart - 1, cursor);
+
+        if (start === -1) {
+            conflicts.push({
+                hunk: index,
+                reason: 'context lines do not match the current file',
+                expectedAtLine: hunk.oldStart
+            });
+            return;
+        }
+
+        output.push(...lines.slice(cursor, start), ...hunk.newLines);
+        cursor = start + hunk.oldLines.length;
+        applied.push({ hunk: index, atLine: start + 1 });
+    });
+
+    if (conflicts.length > 0) {
+        return { content, applied: [], conflicts };
+    }
+
+    output.push(...lines.slice(cursor));
+    return { content: output.join('\n'), applied, conflicts };
+}
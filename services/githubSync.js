@@ -0,0 +1,368 @@
+import fetch from 'node-fetch';
+import { storageFor } from './storage.js';
+import versionHistory from './versionHistory.js';
+import Project from '../models/Project.js';
+import ProjectVersion from '../models/ProjectVersion.js';
+
+/**
+ * GitHub Sync - pushes a project's versions to a GitHub repository
+ *
+ * Every version (build, update, upload, restore) becomes one commit whose
+ * message is the prompt that produced it, so developers can pick the code up
+ * with their normal git workflow. Commits are written with the Git Data API
+ * (blobs, tree, commit, ref), so each commit holds exactly the files of its
+ * version - files removed from the project are removed from the repo too.
+ * Because a push replaces the whole tree, a project is only ever linked to a
+ * repository this service created for it (tagged with the project's topic).
+ *
+ * Environment:
+ *   GITHUB_TOKEN        token allowed to create repos and push (required)
+ *   GITHUB_REPO_OWNER   organization to create repos in (defaults to the token's user)
+ *   GITHUB_API_URL      API base URL, so a local mock server can stand in for GitHub
+ */
+class GitHubSyncService {
+    constructor() {
+        this.token = process.env.GITHUB_TOKEN || null;
+        this.repoOwner = process.env.GITHUB_REPO_OWNER || null;
+        this.apiUrl = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/$/, '');
+        this.tokenUser = null;
+
+        // Pushes of the same project run one after another so versions stay in order
+        this.pushes = new Map();
+    }
+
+    isConfigured() {
+        return Boolean(this.token);
+    }
+
+    isLinked(project) {
+        return Boolean(project.github?.owner && project.github?.repo);
+    }
+
+    /**
+     * Call the GitHub API; throws with GitHub's message on a non-2xx response
+     */
+    async request(method, apiPath, body) {
+        const response = await fetch(`${this.apiUrl}${apiPath}`, {
+            method,
+            headers: {
+                Authorization: `Bearer ${this.token}`,
+                Accept: 'application/vnd.github+json',
+                'X-GitHub-Api-Version': '2022-11-28',
+                'User-Agent': 'nexo-github-sync',
+                ...(body ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const text = await response.text();
+        let result = null;
+        try {
+            result = text ? JSON.parse(text) : null;
+        } catch (e) {
+            result = null;
+        }
+
+        if (!response.ok) {
+            const error = new Error(`GitHub API error (${response.status}): ${result?.message || text.substring(0, 200) || response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return result;
+    }
+
+    repoPath(project) {
+        return `/repos/${encodeURIComponent(project.github.owner)}/${encodeURIComponent(project.github.repo)}`;
+    }
+
+    /**
+     * GitHub repository names: letters, digits, "-", "_" and "."
+     */
+    toRepoName(name) {
+        return String(name)
+            .trim()
+            .replace(/[^A-Za-z0-9._-]+/g, '-')
+            .replace(/--+/g, '-')
+            .replace(/^[-.]+|-+$/g, '')
+            .substring(0, 100);
+    }
+
+    /**
+     * GitHub topic that marks a repository as created for this project
+     */
+    projectTopic(project) {
+        return `nexo-${project._id.toString()}`;
+    }
+
+    /**
+     * Account new repositories are created under - the organization, or the token's user
+     */
+    async getRepoOwner() {
+        if (this.repoOwner) return this.repoOwner;
+        if (!this.tokenUser) {
+            const user = await this.request('GET', '/user');
+            this.tokenUser = user.login;
+        }
+        return this.tokenUser;
+    }
+
+    /**
+     * Create a repository for the project. Repos start with a README commit
+     * (auto_init) because the Git Data API does not work on empty repos.
+     */
+    async createRepository(project, { repoName = null, isPrivate = true } = {}) {
+        const name = this.toRepoName(repoName || project.projectName);
+        if (!name) {
+            throw new Error('Repository name is invalid');
+        }
+
+        const repo = await this.request('POST', this.repoOwner ? `/orgs/${encodeURIComponent(this.repoOwner)}/repos` : '/user/repos', {
+            name,
+            description: project.description ? project.description.substring(0, 350) : `${project.projectName} - built with Nexo.ai`,
+            private: isPrivate,
+            auto_init: true
+        });
+
+        const topics = await this.request('PUT', `/repos/${encodeURIComponent(repo.owner.login)}/${encodeURIComponent(repo.name)}/topics`, {
+            names: [this.projectTopic(project)]
+        });
+        repo.topics = topics.names;
+
+        console.log(`🐙 Created GitHub repository ${repo.full_name}`);
+        return repo;
+    }
+
+    /**
+     * Link the project to a repository - a new one, or an existing "owner/name"
+     * that was created for this project earlier (e.g. before it was unlinked)
+     * and that no other project is linked to. Any other repository the shared
+     * token can reach is refused: the first push would replace its contents.
+     */
+    async linkRepository(project, { repo = null, repoName = null, isPrivate = true } = {}) {
+        const refuse = (message, status = 403) => {
+            const error = new Error(message);
+            error.status = status;
+            return error;
+        };
+
+        let repository;
+        if (repo) {
+            const [owner, name] = String(repo).split('/');
+            if (!owner || !name) {
+                throw new Error('Repository must look like "owner/name"');
+            }
+            repository = await this.request('GET', `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(name)}`);
+
+            const repoOwner = await this.getRepoOwner();
+            if (repository.owner.login.toLowerCase() !== repoOwner.toLowerCase() ||
+                !(repository.topics || []).includes(this.projectTopic(project))) {
+                throw refuse(`${repository.full_name} was not created for this project and cannot be linked`);
+            }
+            if (repository.permissions && !repository.permissions.push) {
+                throw refuse(`The server's GitHub token cannot push to ${repository.full_name}`);
+            }
+
+            const linkedElsewhere = await Project.exists({
+                _id: { $ne: project._id },
+                'github.owner': repository.owner.login,
+                'github.repo': repository.name
+            });
+            if (linkedElsewhere) {
+                throw refuse(`${repository.full_name} is already linked to another project`, 409);
+            }
+        } else {
+            repository = await this.createRepository(project, { repoName, isPrivate });
+        }
+
+        project.github = {
+            owner: repository.owner.login,
+            repo: repository.name,
+            htmlUrl: repository.html_url,
+            branch: repository.default_branch || 'main',
+            lastCommitSha: null,
+            lastPushedVersion: 0,
+            lastPushedAt: null
+        };
+        await project.save();
+
+        return repository;
+    }
+
+    /**
+     * Create a blob for every file and a tree holding exactly those files
+     */
+    async createTree(project, files, blobCache) {
+        const tree = [];
+        for (const [filePath, content] of Object.entries(files)) {
+            const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8');
+            const contentHash = versionHistory.hashContent(buffer);
+
+            if (!blobCache.has(contentHash)) {
+                const blob = await this.request('POST', `${this.repoPath(project)}/git/blobs`, {
+                    content: buffer.toString('base64'),
+                    encoding: 'base64'
+                });
+                blobCache.set(contentHash, blob.sha);
+            }
+
+            tree.push({ path: filePath, mode: '100644', type: 'blob', sha: blobCache.get(contentHash) });
+        }
+
+        const result = await this.request('POST', `${this.repoPath(project)}/git/trees`, { tree });
+        return result.sha;
+    }
+
+    /**
+     * Commit a set of files on top of the branch head and move the branch
+     */
+    async commitFiles(project, files, { message, author = null, date = new Date() }, blobCache = new Map()) {
+        const branch = project.github.branch || 'main';
+        const ref = await this.request('GET', `${this.repoPath(project)}/git/ref/heads/${encodeURIComponent(branch)}`);
+        const treeSha = await this.createTree(project, files, blobCache);
+
+        const commit = await this.request('POST', `${this.repoPath(project)}/git/commits`, {
+            message,
+            tree: treeSha,
+            parents: [ref.object.sha],
+            ...(author?.email ? {
+                author: { name: author.email.split('@')[0], email: author.email, date: new Date(date).toISOString() }
+            } : {})
+        });
+
+        await this.request('PATCH', `${this.repoPath(project)}/git/refs/heads/${encodeURIComponent(branch)}`, {
+            sha: commit.sha,
+            force: false
+        });
+
+        return commit;
+    }
+
+    /**
+     * Commit message for a version: the prompt, or what happened when there is none
+     */
+    commitMessage(snapshot) {
+        const prompt = String(snapshot.prompt || '').trim();
+        if (prompt) return prompt;
+        return snapshot.source === 'upload'
+            ? 'Upload project files'
+            : `${snapshot.source.charAt(0).toUpperCase()}${snapshot.source.slice(1)} (version ${snapshot.version})`;
+    }
+
+    /**
+     * Push every version not on GitHub yet, oldest first. Projects without any
+     * version (from before version history) push their live files once.
+     * Resolves to the list of commits created.
+     */
+    async push(project) {
+        if (!this.isConfigured()) {
+            throw new Error('GITHUB_TOKEN environment variable is required to push to GitHub');
+        }
+        if (!this.isLinked(project)) {
+            throw new Error(`Project ${project.projectName} is not linked to a GitHub repository`);
+        }
+
+        const key = project._id.toString();
+        const previous = this.pushes.get(key) || Promise.resolve();
+        const current = previous.catch(() => {}).then(() => this.pushPending(project));
+        this.pushes.set(key, current);
+
+        try {
+            return await current;
+        } finally {
+            if (this.pushes.get(key) === current) this.pushes.delete(key);
+        }
+    }
+
+    // Works on a fresh copy of the project: a push queued behind another one
+    // would otherwise see a stale lastPushedVersion and commit versions twice.
+    // The caller's document gets the updated link afterwards.
+    async pushPending(callerProject) {
+        const project = await Project.findById(callerProject._id);
+        if (!project || !this.isLinked(project)) return [];
+
+        try {
+            return await this.pushVersions(project);
+        } finally {
+            callerProject.set('github', project.toObject().github);
+        }
+    }
+
+    async pushVersions(project) {
+        const pending = await ProjectVersion.find({
+            projectId: project._id,
+            version: { $gt: project.github.lastPushedVersion || 0 }
+        }).sort({ version: 1 });
+
+        const blobCache = new Map();
+        const commits = [];
+
+        if (pending.length === 0 && !project.github.lastCommitSha) {
+            const files = await storageFor(project).readAllProjectFiles(project.projectName, project.getStorageRoot());
+            const commit = await this.commitFiles(project, files, {
+                message: `Import ${project.projectName}`,
+                author: { email: project.userEmail }
+            }, blobCache);
+            commits.push({ version: null, sha: commit.sha, message: commit.message });
+            await this.recordPush(project, { sha: commit.sha, version: 0 });
+        }
+
+        for (const snapshot of pending) {
+            const files = await versionHistory.readVersionFiles(project, snapshot);
+            const commit = await this.commitFiles(project, files, {
+                message: this.commitMessage(snapshot),
+                author: snapshot.author,
+                date: snapshot.createdAt
+            }, blobCache);
+
+            commits.push({ version: snapshot.version, sha: commit.sha, message: commit.message });
+            await this.recordPush(project, { sha: commit.sha, version: snapshot.version });
+        }
+
+        if (commits.length > 0) {
+            console.log(`🐙 Pushed ${commits.length} commit(s) of ${project.projectName} to ${project.github.owner}/${project.github.repo}`);
+        }
+        return commits;
+    }
+
+    // Saved after every commit so a failed push resumes where it stopped
+    async recordPush(project, { sha, version }) {
+        project.github.lastCommitSha = sha;
+        project.github.lastPushedVersion = version;
+        project.github.lastPushedAt = new Date();
+        await project.save();
+    }
+
+    /**
+     * Push new versions of a linked project; failures are logged, never thrown,
+     * so a GitHub outage doesn't fail the build that produced the version
+     */
+    async pushIfLinked(project) {
+        if (!this.isConfigured() || !this.isLinked(project)) return;
+
+        try {
+            await this.push(project);
+        } catch (error) {
+            console.error(`Failed to push ${project.projectName} to GitHub:`, error.message);
+        }
+    }
+
+    /**
+     * Git details of the last pushed commit, for deployment metadata
+     */
+    getCommitInfo(project) {
+        if (!this.isLinked(project) || !project.github.lastCommitSha) return null;
+        return {
+            repoUrl: project.github.htmlUrl,
+            owner: project.github.owner,
+            repo: project.github.repo,
+            branch: project.github.branch || 'main',
+            commitSha: project.github.lastCommitSha
+        };
+    }
+}
+
+// Export singleton instance
+const githubSync = new GitHubSyncService();
+
+export default githubSync;
@@ -0,0 +1,291 @@
+import os from 'os';
+import crypto from 'crypto';
+import Job from '../models/Job.js';
+
+// Keep only the most recent log entries on each job document
+const MAX_LOG_ENTRIES = 500;
+
+/**
+ * Error thrown inside a handler when its job has been cancelled
+ */
+export class JobCancelledError extends Error {
+    constructor() {
+        super('Job cancelled');
+        this.name = 'JobCancelledError';
+    }
+}
+
+/**
+ * Job Queue Service - persistent background jobs stored in MongoDB
+ *
+ * Workers claim queued jobs atomically, so several API instances can share
+ * the same queue. Running jobs send a heartbeat; a job whose heartbeat goes
+ * stale (server crash or restart) is requeued until it runs out of attempts.
+ */
+class JobQueueService {
+    constructor() {
+        this.workerId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+        this.handlers = new Map();
+        this.active = new Map(); // jobId -> { cancelled }
+        this.concurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+        this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+        this.staleAfter = parseInt(process.env.JOB_STALE_AFTER_MS, 10) || 60000;
+        this.timer = null;
+        this.polling = false;
+    }
+
+    /**
+     * Register the function that runs jobs of a given type
+     * handler(job, { log, isCancelled, throwIfCancelled }) => result
+     */
+    registerHandler(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * Create a queued job
+     */
+    async enqueue({ type, userId, userEmail, workspaceId = null, projectName, payload = {} }) {
+        const job = await Job.create({
+            type,
+            userId,
+            userEmail,
+            workspaceId,
+            projectName,
+            payload,
+            logs: [{ event: 'queued', data: { type, projectName } }]
+        });
+        console.log(`📥 Queued ${type} job ${job._id} for project: ${projectName}`);
+
+        // Pick it up right away instead of waiting for the next poll
+        setImmediate(() => this.poll());
+        return job;
+    }
+
+    /**
+     * Append an entry to a job's log
+     */
+    async log(jobId, event, data = null) {
+        try {
+            await Job.updateOne(
+                { _id: jobId },
+                { $push: { logs: { $each: [{ at: new Date(), event, data }], $slice: -MAX_LOG_ENTRIES } } }
+            );
+        } catch (error) {
+            console.error(`Failed to write log for job ${jobId}:`, error.message);
+        }
+    }
+
+    /**
+     * Request cancellation. Queued jobs are cancelled immediately,
+     * running jobs stop at their next progress checkpoint.
+     */
+    async cancel(job) {
+        // Conditional on the status, so a worker claiming the job at the same
+        // moment either gets the cancelled job or the cancel request
+        const cancelled = await Job.findOneAndUpdate(
+            { _id: job._id, status: 'queued' },
+            { $set: { status: 'cancelled', finishedAt: new Date(), cancelRequested: true } },
+            { new: true, projection: '-logs' }
+        );
+        if (cancelled) {
+            job.set({ status: cancelled.status, finishedAt: cancelled.finishedAt, cancelRequested: true });
+            await this.log(job._id, 'cancelled');
+            return job;
+        }
+
+        await Job.updateOne({ _id: job._id }, { $set: { cancelRequested: true } });
+        job.cancelRequested = true;
+        if (this.active.has(job._id.toString())) {
+            this.active.get(job._id.toString()).cancelled = true;
+        }
+        await this.log(job._id, 'cancel_requested');
+        return job;
+    }
+
+    /**
+     * Put a failed or cancelled job back on the queue. Returns null when the
+     * job was no longer failed or cancelled (e.g. retried twice at once).
+     */
+    async retry(job) {
+        const reset = {
+            status: 'queued',
+            error: null,
+            result: null,
+            attempts: 0,
+            cancelRequested: false,
+            workerId: null,
+            startedAt: null,
+            finishedAt: null
+        };
+        const retried = await Job.findOneAndUpdate(
+            { _id: job._id, status: { $in: ['failed', 'cancelled'] } },
+            { $set: reset },
+            { new: true, projection: '-logs' }
+        );
+        if (!retried) return null;
+
+        job.set(reset);
+        await this.log(job._id, 'retried');
+        setImmediate(() => this.poll());
+        return job;
+    }
+
+    /**
+     * Start polling for jobs
+     */
+    async start() {
+        if (this.timer) return;
+        await this.recoverStaleJobs();
+        this.timer = setInterval(() => this.poll(), this.pollInterval);
+        console.log(`⚙️ Job queue started (worker: ${this.workerId}, concurrency: ${this.concurrency})`);
+    }
+
+    /**
+     * Stop polling for jobs
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Requeue (or fail) running jobs whose worker stopped sending heartbeats
+     */
+    async recoverStaleJobs() {
+        const staleBefore = new Date(Date.now() - this.staleAfter);
+        const staleJobs = await Job.find({
+            status: 'running',
+            $or: [{ heartbeatAt: { $lt: staleBefore } }, { heartbeatAt: null }]
+        });
+
+        for (const job of staleJobs) {
+            const canResume = !job.cancelRequested && job.attempts < job.maxAttempts;
+            const claimed = await Job.findOneAndUpdate(
+                { _id: job._id, status: 'running', heartbeatAt: job.heartbeatAt },
+                canResume
+                    ? { $set: { status: 'queued', workerId: null } }
+                    : {
+                        $set: {
+                            status: job.cancelRequested ? 'cancelled' : 'failed',
+                            error: job.cancelRequested ? null : 'Job was interrupted by a server restart',
+                            finishedAt: new Date()
+                        }
+                    },
+                { new: true }
+            );
+
+            if (claimed) {
+                console.log(`♻️ ${canResume ? 'Resuming' : 'Marked as failed'}: interrupted job ${job._id}`);
+                await this.log(job._id, canResume ? 'resumed' : 'interrupted', { previousWorker: job.workerId });
+            }
+        }
+    }
+
+    /**
+     * Claim and run queued jobs up to the concurrency limit
+     */
+    async poll() {
+        if (this.polling) return;
+        this.polling = true;
+
+        try {
+            await this.heartbeat();
+
+            while (this.active.size < this.concurrency) {
+                const job = await Job.findOneAndUpdate(
+                    { status: 'queued', type: { $in: [...this.handlers.keys()] } },
+                    {
+                        $set: {
+                            status: 'running',
+                            workerId: this.workerId,
+                            startedAt: new Date(),
+                            heartbeatAt: new Date()
+                        },
+                        $inc: { attempts: 1 }
+                    },
+                    { sort: { createdAt: 1 }, new: true }
+                );
+
+                if (!job) break;
+                this.run(job);
+            }
+        } catch (error) {
+            console.error('Job queue poll error:', error.message);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Refresh heartbeats of running jobs and pick up cancellation requests
+     */
+    async heartbeat() {
+        if (this.active.size === 0) {
+            // Jobs from crashed workers are recovered while this worker is idle
+            return this.recoverStaleJobs();
+        }
+
+        const jobIds = [...this.active.keys()];
+        await Job.updateMany({ _id: { $in: jobIds } }, { $set: { heartbeatAt: new Date() } });
+
+        const cancelled = await Job.find({ _id: { $in: jobIds }, cancelRequested: true }).select('_id');
+        for (const { _id } of cancelled) {
+            const state = this.active.get(_id.toString());
+            if (state) state.cancelled = true;
+        }
+    }
+
+    /**
+     * Run a claimed job and record its outcome
+     */
+    async run(job) {
+        const jobId = job._id.toString();
+        const state = { cancelled: job.cancelRequested };
+        this.active.set(jobId, state);
+
+        const context = {
+            log: (event, data = null) => this.log(job._id, event, data),
+            isCancelled: () => state.cancelled,
+            throwIfCancelled: () => {
+                if (state.cancelled) throw new JobCancelledError();
+            }
+        };
+
+        console.log(`▶️ Running ${job.type} job ${jobId} (attempt ${job.attempts})`);
+        await this.log(job._id, 'started', { attempt: job.attempts, workerId: this.workerId });
+
+        try {
+            context.throwIfCancelled();
+            const result = await this.handlers.get(job.type)(job, context);
+
+            await Job.updateOne(
+                { _id: job._id },
+                { $set: { status: 'succeeded', result, finishedAt: new Date() } }
+            );
+            await this.log(job._id, 'succeeded');
+            console.log(`✅ Job ${jobId} succeeded`);
+        } catch (error) {
+            const cancelled = error instanceof JobCancelledError;
+            await Job.updateOne(
+                { _id: job._id },
+                {
+                    $set: {
+                        status: cancelled ? 'cancelled' : 'failed',
+                        error: cancelled ? null : error.message,
+                        finishedAt: new Date()
+                    }
+                }
+            );
+            await this.log(job._id, cancelled ? 'cancelled' : 'failed', cancelled ? null : { error: error.message });
+            console.error(`❌ Job ${jobId} ${cancelled ? 'cancelled' : 'failed'}:`, cancelled ? '' : error.message);
+        } finally {
+            this.active.delete(jobId);
+        }
+    }
+}
+
+// Export singleton instance
+const jobQueue = new JobQueueService();
+
+export default jobQueue;
@@ -0,0 +1,186 @@
+import fs from 'fs/promises';
+import path from 'path';
+import StorageDriver from './storageDriver.js';
+
+/**
+ * Local filesystem storage driver - for offline development and CI
+ */
+class LocalStorageService extends StorageDriver {
+    constructor() {
+        super('local');
+        this.rootDir = path.resolve(process.env.LOCAL_STORAGE_DIR || 'projects');
+        this.publicBaseUrl = (process.env.LOCAL_STORAGE_PUBLIC_URL || '/storage').replace(/\/$/, '');
+        console.log(`✅ Local Storage initialized (directory: ${this.rootDir})`);
+    }
+
+    /**
+     * Resolve a storage key to an absolute path inside the root directory,
+     * and inside the project's storage root (its workspace folder) when given
+     */
+    resolvePath(storagePath, root = null) {
+        const isInside = (target, base) => target === base || target.startsWith(base + path.sep);
+
+        const baseDir = path.resolve(this.rootDir, root || '');
+        const absolutePath = path.resolve(this.rootDir, storagePath);
+        if (!isInside(baseDir, this.rootDir) || !isInside(absolutePath, baseDir)) {
+            throw new Error(`Invalid storage path: ${storagePath}`);
+        }
+        return absolutePath;
+    }
+
+    /**
+     * Save file to local disk
+     */
+    async saveFile(projectName, fileName, content, root = null) {
+        try {
+            const filePath = this.getFilePath(projectName, fileName, root);
+            const absolutePath = this.resolvePath(filePath, root);
+
+            await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+            await fs.writeFile(absolutePath, content);
+
+            console.log(`✅ Saved locally: ${filePath}`);
+
+            return {
+                success: true,
+                url: await this.getPublicUrl(projectName, fileName, root),
+                path: filePath,
+                storage: this.provider
+            };
+        } catch (error) {
+            console.error('Error saving to local storage:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read file from local disk as raw bytes
+     */
+    async readFileBuffer(projectName, fileName, root = null) {
+        const filePath = this.getFilePath(projectName, fileName, root);
+        try {
+            return await fs.readFile(this.resolvePath(filePath, root));
+        } catch (error) {
+            throw new Error(`Local storage read error: ${error.message}`);
+        }
+    }
+
+    /**
+     * List every file in a project, recursively, as paths relative to the project
+     */
+    async listProjectFiles(projectName, root = null) {
+        const projectPath = this.resolvePath(this.getProjectPath(projectName, root), root);
+        const files = [];
+
+        const walk = async (relativeDir) => {
+            let entries;
+            try {
+                entries = await fs.readdir(path.join(projectPath, relativeDir), { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT') return;
+                throw new Error(`Local storage list error: ${error.message}`);
+            }
+
+            for (const entry of entries) {
+                const entryPath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+                if (entry.isDirectory()) {
+                    await walk(entryPath);
+                } else if (entry.isFile()) {
+                    files.push(entryPath);
+                }
+            }
+        };
+
+        await walk('');
+        return files.sort();
+    }
+
+    /**
+     * List all projects on local disk
+     */
+    async listProjects(root = null) {
+        try {
+            const listPath = this.resolvePath(root || '', root);
+            const entries = await fs.readdir(listPath, { withFileTypes: true });
+
+            return entries
+                .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+                .map(entry => entry.name)
+                .sort();
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error listing projects from local storage:', error);
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Delete a single file from local disk
+     */
+    async deleteFile(projectName, fileName, root = null) {
+        const filePath = this.getFilePath(projectName, fileName, root);
+        try {
+            await fs.unlink(this.resolvePath(filePath, root));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Local storage delete error: ${error.message}`);
+            }
+        }
+        return { success: true, path: filePath };
+    }
+
+    /**
+     * Delete project from local disk
+     */
+    async deleteProject(projectName, root = null) {
+        try {
+            const projectPath = this.resolvePath(this.getProjectPath(projectName, root), root);
+
+            if (!(await this.projectExists(projectName, root))) {
+                return { success: true, message: 'Project not found or already deleted' };
+            }
+
+            await fs.rm(projectPath, { recursive: true, force: true });
+
+            return { success: true, message: 'Project deleted successfully from local storage' };
+        } catch (error) {
+            console.error('Error deleting from local storage:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get public URL for a file (served by the API under /storage)
+     */
+    async getPublicUrl(projectName, fileName, root = null) {
+        const filePath = this.getFilePath(projectName, fileName, root);
+        return `${this.publicBaseUrl}/${filePath.split('/').map(encodeURIComponent).join('/')}`;
+    }
+
+    /**
+     * Check if project exists
+     */
+    async projectExists(projectName, root = null) {
+        try {
+            const projectPath = this.resolvePath(this.getProjectPath(projectName, root), root);
+            const entries = await fs.readdir(projectPath);
+            return entries.length > 0;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Get storage info
+     */
+    getInfo() {
+        return {
+            mode: this.provider,
+            directory: this.rootDir,
+            url: this.publicBaseUrl,
+        };
+    }
+}
+
+export default LocalStorageService;
@@ -0,0 +1,114 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * Mailer - sends account emails through a pluggable transport
+ *
+ * MAIL_TRANSPORT selects it:
+ *   file (default) - writes each message as an .eml file to MAIL_FILE_DIR, for development
+ *   smtp           - sends through SMTP_HOST/SMTP_PORT (a local SMTP stand-in such as MailHog works too)
+ */
+class Mailer {
+    constructor(transport = process.env.MAIL_TRANSPORT || 'file') {
+        this.transport = transport;
+        this.from = process.env.MAIL_FROM || 'Nexo.AI <no-reply@nexo.ai>';
+        this.appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+        if (transport === 'smtp') {
+            if (!process.env.SMTP_HOST) {
+                throw new Error('SMTP_HOST must be set when MAIL_TRANSPORT is smtp');
+            }
+            this.transporter = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT, 10) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                    : undefined
+            });
+        } else if (transport === 'file') {
+            this.outputDir = path.resolve(process.env.MAIL_FILE_DIR || 'mail');
+            this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+        } else {
+            throw new Error(`Unknown mail transport "${transport}". Available: file, smtp`);
+        }
+    }
+
+    async sendMail({ to, subject, text, html }) {
+        const info = await this.transporter.sendMail({ from: this.from, to, subject, text, html });
+
+        if (this.transport === 'file') {
+            await fs.mkdir(this.outputDir, { recursive: true });
+            const fileName = `${Date.now()}-${to.replace(/[^a-z0-9@.-]/gi, '_')}.eml`;
+            await fs.writeFile(path.join(this.outputDir, fileName), info.message);
+            console.log(`📧 Email to ${to} written to ${path.join(this.outputDir, fileName)}`);
+        } else {
+            console.log(`📧 Email sent to ${to}: ${subject}`);
+        }
+
+        return info;
+    }
+
+    async sendVerificationEmail(user, token) {
+        const link = `${this.appUrl}/verify-email?token=${token}`;
+        return this.sendMail({
+            to: user.email,
+            subject: 'Verify your Nexo.AI email address',
+            text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours. If you didn't create an account, you can ignore this email.`,
+            html: `<p>Hi ${escapeHtml(user.name)},</p><p>Confirm your email address by opening this link:</p><p><a href="${link}">${link}</a></p><p>The link expires in 24 hours. If you didn't create an account, you can ignore this email.</p>`
+        });
+    }
+
+    async sendEmailChangeEmail(user, newEmail, token) {
+        const link = `${this.appUrl}/confirm-email?token=${token}`;
+        return this.sendMail({
+            to: newEmail,
+            subject: 'Confirm your new Nexo.AI email address',
+            text: `Hi ${user.name},\n\nConfirm that ${newEmail} should become the email address of your account:\n${link}\n\nThe link expires in 24 hours. Until then you keep signing in with ${user.email}.`,
+            html: `<p>Hi ${escapeHtml(user.name)},</p><p>Confirm that ${escapeHtml(newEmail)} should become the email address of your account:</p><p><a href="${link}">${link}</a></p><p>The link expires in 24 hours. Until then you keep signing in with ${escapeHtml(user.email)}.</p>`
+        });
+    }
+
+    async sendPasswordResetEmail(user, token) {
+        const link = `${this.appUrl}/reset-password?token=${token}`;
+        return this.sendMail({
+            to: user.email,
+            subject: 'Reset your Nexo.AI password',
+            text: `Hi ${user.name},\n\nSomeone asked to reset the password of your account. Choose a new password here:\n${link}\n\nThe link expires in 1 hour and works once. If it wasn't you, you can ignore this email.`,
+            html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone asked to reset the password of your account. Choose a new password here:</p><p><a href="${link}">${link}</a></p><p>The link expires in 1 hour and works once. If it wasn't you, you can ignore this email.</p>`
+        });
+    }
+
+    async sendReauthenticationEmail(user, token) {
+        const link = `${this.appUrl}/confirm-identity?token=${token}`;
+        return this.sendMail({
+            to: user.email,
+            subject: 'Confirm a change to your Nexo.AI account',
+            text: `Hi ${user.name},\n\nSomeone signed in to your account asked to change its email, password or delete it. Confirm it's you here:\n${link}\n\nThe link expires in 15 minutes and works once. If it wasn't you, don't open it and sign out of your other devices.`,
+            html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone signed in to your account asked to change its email, password or delete it. Confirm it's you here:</p><p><a href="${link}">${link}</a></p><p>The link expires in 15 minutes and works once. If it wasn't you, don't open it and sign out of your other devices.</p>`
+        });
+    }
+
+    async sendProjectInvitationEmail(inviter, email, { projectName, role, hasAccount }) {
+        const link = hasAccount
+            ? `${this.appUrl}/shared`
+            : `${this.appUrl}/signup?email=${encodeURIComponent(email)}`;
+        const action = hasAccount ? 'Open it here' : 'Create an account with this email address to open it';
+        return this.sendMail({
+            to: email,
+            subject: `${inviter.name} shared "${projectName}" with you on Nexo.AI`,
+            text: `Hi,\n\n${inviter.name} (${inviter.email}) invited you to the project "${projectName}" as ${role}.\n${action}:\n${link}`,
+            html: `<p>Hi,</p><p>${escapeHtml(inviter.name)} (${escapeHtml(inviter.email)}) invited you to the project "${escapeHtml(projectName)}" as ${role}.</p><p>${action}:</p><p><a href="${link}">${link}</a></p>`
+        });
+    }
+}
+
+// Export singleton instance
+const mailer = new Mailer();
+
+export default mailer;
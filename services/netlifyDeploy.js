@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import DeployProvider from './deployProvider.js';
+
+/**
+ * Netlify deployment provider
+ *
+ * Each project gets a Netlify site named after it. Deploys use the file
+ * digest API: we send the SHA1 of every file, Netlify answers with the ones
+ * it doesn't have yet, and only those are uploaded.
+ *
+ * Environment: NETLIFY_TOKEN, NETLIFY_ACCOUNT_SLUG (optional team), NETLIFY_API_URL
+ */
+class NetlifyDeployProvider extends DeployProvider {
+    constructor() {
+        super('netlify', {
+            label: 'Netlify',
+            apiUrl: process.env.NETLIFY_API_URL || 'https://api.netlify.com/api/v1',
+            token: process.env.NETLIFY_TOKEN,
+            tokenEnv: 'NETLIFY_TOKEN'
+        });
+        this.accountSlug = process.env.NETLIFY_ACCOUNT_SLUG || null;
+    }
+
+    /**
+     * The site for a project, created on the first deploy
+     */
+    async findOrCreateSite(slug) {
+        const sites = await this.request('GET', `/sites?name=${encodeURIComponent(slug)}&filter=all`);
+        const existing = (sites || []).find(site => site.name === slug);
+        if (existing) {
+            console.log(`✅ Using existing Netlify site: ${existing.name}`);
+            return existing;
+        }
+
+        const sitesPath = this.accountSlug ? `/${encodeURIComponent(this.accountSlug)}/sites` : '/sites';
+        try {
+            const site = await this.request('POST', sitesPath, { body: { name: slug } });
+            console.log(`✅ Created new Netlify site: ${site.name}`);
+            return site;
+        } catch (error) {
+            // Site names are global on Netlify - someone else may own this one
+            if (error.status !== 422) throw error;
+            const site = await this.request('POST', sitesPath, {
+                body: { name: `${slug.substring(0, 43)}-${crypto.randomBytes(3).toString('hex')}` }
+            });
+            console.log(`✅ "${slug}" is taken on Netlify, created site: ${site.name}`);
+            return site;
+        }
+    }
+
+    /**
+     * Netlify file paths start with a slash and use forward slashes
+     */
+    toDeployPath(fileName) {
+        return `/${String(fileName).replace(/\\/g, '/').replace(/^\/+/, '')}`;
+    }
+
+    async createDeployment({ projectName, siteName = null, files }) {
+        const site = await this.findOrCreateSite(this.slugify(siteName || projectName));
+
+        const contents = new Map();
+        const digest = {};
+        for (const [fileName, content] of Object.entries(files)) {
+            const deployPath = this.toDeployPath(fileName);
+            const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8');
+            contents.set(deployPath, buffer);
+            digest[deployPath] = crypto.createHash('sha1').update(buffer).digest('hex');
+        }
+
+        const deploy = await this.request('POST', `/sites/${encodeURIComponent(site.id)}/deploys`, {
+            body: { files: digest, draft: false }
+        });
+
+        // Upload only the files Netlify asked for
+        const required = new Set(deploy.required || []);
+        const uploads = [...contents.keys()].filter(deployPath => required.has(digest[deployPath]));
+        for (const deployPath of uploads) {
+            const encodedPath = deployPath.split('/').map(encodeURIComponent).join('/');
+            await this.request('PUT', `/deploys/${encodeURIComponent(deploy.id)}/files${encodedPath}`, {
+                body: contents.get(deployPath),
+                headers: { 'Content-Type': 'application/octet-stream' },
+                raw: true
+            });
+        }
+        console.log(`📤 Uploaded ${uploads.length} of ${contents.size} files to Netlify (others unchanged)`);
+
+        return {
+            id: deploy.id,
+            siteId: site.id,
+            url: deploy.deploy_ssl_url || site.ssl_url || site.url,
+            alias: site.ssl_url || site.url || null
+        };
+    }
+
+    async getDeploymentStatus(deployment) {
+        const deploy = await this.request('GET', `/deploys/${encodeURIComponent(deployment.id)}`);
+        const status = deploy.state === 'ready'
+            ? 'READY'
+            : deploy.state === 'error' ? 'ERROR' : 'BUILDING';
+
+        return {
+            status,
+            url: deploy.deploy_ssl_url || deploy.deploy_url || null,
+            alias: deploy.ssl_url || deploy.url || null,
+            error: deploy.error_message || null
+        };
+    }
+}
+
+export default NetlifyDeployProvider;
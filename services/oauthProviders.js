@@ -0,0 +1,168 @@
+import fetch from 'node-fetch';
+
+/**
+ * OAuth Providers - authorization-code flow for social sign-in
+ *
+ * Every URL can be overridden from the environment, so a local mock OAuth
+ * server can stand in for GitHub or Google:
+ *   GITHUB_OAUTH_CLIENT_ID, GITHUB_OAUTH_CLIENT_SECRET,
+ *   GITHUB_OAUTH_AUTHORIZE_URL, GITHUB_OAUTH_TOKEN_URL, GITHUB_OAUTH_API_URL
+ *   GOOGLE_OAUTH_CLIENT_ID, GOOGLE_OAUTH_CLIENT_SECRET,
+ *   GOOGLE_OAUTH_AUTHORIZE_URL, GOOGLE_OAUTH_TOKEN_URL, GOOGLE_OAUTH_USERINFO_URL
+ */
+const PROVIDERS = {
+    github: {
+        authorizeUrl: process.env.GITHUB_OAUTH_AUTHORIZE_URL || 'https://github.com/login/oauth/authorize',
+        tokenUrl: process.env.GITHUB_OAUTH_TOKEN_URL || 'https://github.com/login/oauth/access_token',
+        apiUrl: (process.env.GITHUB_OAUTH_API_URL || 'https://api.github.com').replace(/\/$/, ''),
+        clientId: process.env.GITHUB_OAUTH_CLIENT_ID,
+        clientSecret: process.env.GITHUB_OAUTH_CLIENT_SECRET,
+        scope: 'read:user user:email'
+    },
+    google: {
+        authorizeUrl: process.env.GOOGLE_OAUTH_AUTHORIZE_URL || 'https://accounts.google.com/o/oauth2/v2/auth',
+        tokenUrl: process.env.GOOGLE_OAUTH_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+        userInfoUrl: process.env.GOOGLE_OAUTH_USERINFO_URL || 'https://openidconnect.googleapis.com/v1/userinfo',
+        clientId: process.env.GOOGLE_OAUTH_CLIENT_ID,
+        clientSecret: process.env.GOOGLE_OAUTH_CLIENT_SECRET,
+        scope: 'openid email profile'
+    }
+};
+
+class OAuthProviderService {
+    /**
+     * Names of the providers that have credentials configured
+     */
+    listEnabled() {
+        return Object.keys(PROVIDERS).filter(name => this.isEnabled(name));
+    }
+
+    isEnabled(provider) {
+        const config = PROVIDERS[provider];
+        return Boolean(config?.clientId && config?.clientSecret);
+    }
+
+    getConfig(provider) {
+        if (!PROVIDERS[provider]) {
+            throw new Error(`Unknown OAuth provider "${provider}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+        }
+        if (!this.isEnabled(provider)) {
+            throw new Error(`${provider} sign-in is not configured`);
+        }
+        return PROVIDERS[provider];
+    }
+
+    /**
+     * URL of the provider's consent page
+     */
+    getAuthorizationUrl(provider, { state, redirectUri }) {
+        const config = this.getConfig(provider);
+        const url = new URL(config.authorizeUrl);
+
+        url.searchParams.set('client_id', config.clientId);
+        url.searchParams.set('redirect_uri', redirectUri);
+        url.searchParams.set('scope', config.scope);
+        url.searchParams.set('state', state);
+        url.searchParams.set('response_type', 'code');
+        if (provider === 'google') {
+            url.searchParams.set('prompt', 'select_account');
+        }
+
+        return url.toString();
+    }
+
+    /**
+     * Exchange the authorization code for an access token
+     */
+    async exchangeCode(provider, { code, redirectUri }) {
+        const config = this.getConfig(provider);
+
+        const response = await fetch(config.tokenUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Accept': 'application/json'
+            },
+            body: new URLSearchParams({
+                client_id: config.clientId,
+                client_secret: config.clientSecret,
+                code,
+                redirect_uri: redirectUri,
+                grant_type: 'authorization_code'
+            }).toString()
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.access_token) {
+            throw new Error(`${provider} token exchange failed: ${data.error_description || data.error || response.status}`);
+        }
+
+        return data.access_token;
+    }
+
+    /**
+     * Load the signed-in account: { providerId, email, emailVerified, name, username, avatarUrl }
+     */
+    async fetchProfile(provider, accessToken) {
+        return provider === 'github'
+            ? this.fetchGitHubProfile(accessToken)
+            : this.fetchGoogleProfile(accessToken);
+    }
+
+    async fetchGitHubProfile(accessToken) {
+        const { apiUrl } = this.getConfig('github');
+        const headers = { 'Authorization': `Bearer ${accessToken}`, 'Accept': 'application/vnd.github+json' };
+
+        const userResponse = await fetch(`${apiUrl}/user`, { headers });
+        if (!userResponse.ok) {
+            throw new Error(`GitHub profile request failed: ${userResponse.status}`);
+        }
+        const profile = await userResponse.json();
+
+        // The public profile email may be hidden; the emails endpoint says which one is verified
+        let email = profile.email;
+        let emailVerified = false;
+        const emailsResponse = await fetch(`${apiUrl}/user/emails`, { headers });
+        if (emailsResponse.ok) {
+            const emails = await emailsResponse.json();
+            const primary = emails.find(entry => entry.primary) || emails.find(entry => entry.verified);
+            if (primary) {
+                email = primary.email;
+                emailVerified = Boolean(primary.verified);
+            }
+        }
+
+        return {
+            providerId: String(profile.id),
+            email: email ? email.toLowerCase() : null,
+            emailVerified,
+            name: profile.name || profile.login,
+            username: profile.login,
+            avatarUrl: profile.avatar_url || null
+        };
+    }
+
+    async fetchGoogleProfile(accessToken) {
+        const { userInfoUrl } = this.getConfig('google');
+
+        const response = await fetch(userInfoUrl, { headers: { 'Authorization': `Bearer ${accessToken}` } });
+        if (!response.ok) {
+            throw new Error(`Google profile request failed: ${response.status}`);
+        }
+        const profile = await response.json();
+
+        return {
+            providerId: String(profile.sub),
+            email: profile.email ? profile.email.toLowerCase() : null,
+            emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+            name: profile.name || profile.email,
+            username: profile.email,
+            avatarUrl: profile.picture || null
+        };
+    }
+}
+
+// Export singleton instance
+const oauthProviders = new OAuthProviderService();
+
+export default oauthProviders;
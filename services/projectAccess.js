@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+import Workspace, { ROLE_PERMISSIONS, roleAllows } from '../models/Workspace.js';
+import Project from '../models/Project.js';
+
+/**
+ * Project Access - who may do what with a workspace's projects
+ *
+ * Every project route goes through loadProject (or loadWorkspace when it
+ * creates a project). The workspace comes from ?workspaceId= or the body's
+ * workspaceId and defaults to the user's personal workspace. Access to a
+ * project comes from workspace membership or from being invited to that
+ * project alone (see Project#canAccess).
+ */
+
+export { ROLE_PERMISSIONS, roleAllows };
+
+// The workspace id a request asks for, if any
+export function requestedWorkspaceId(req) {
+    return req.query.workspaceId || req.body?.workspaceId || null;
+}
+
+/**
+ * The workspace a user works in and their role there: { workspace, role },
+ * or null when it doesn't exist or the user isn't a member
+ */
+export async function resolveWorkspace(user, workspaceId = null) {
+    if (!workspaceId) {
+        const workspace = await Workspace.ensurePersonal(user);
+        return { workspace, role: 'owner' };
+    }
+
+    const workspace = mongoose.isValidObjectId(workspaceId) ? await Workspace.findById(workspaceId) : null;
+    const role = workspace?.getRole(user._id);
+    return role ? { workspace, role } : null;
+}
+
+const PROJECT_NOT_FOUND = 'Project not found or you do not have permission to access it';
+
+/**
+ * Find a project for a user and check one permission.
+ * Returns { project }, or { status, error } when refused.
+ */
+export async function findProjectForUser(user, projectName, { workspaceId = null, permission = 'read' } = {}) {
+    let targetWorkspaceId;
+    if (workspaceId) {
+        if (!mongoose.isValidObjectId(workspaceId)) {
+            return { status: 404, error: PROJECT_NOT_FOUND };
+        }
+        targetWorkspaceId = workspaceId;
+    } else {
+        targetWorkspaceId = (await Workspace.ensurePersonal(user))._id;
+    }
+
+    const project = projectName
+        ? await Project.findOne({ workspaceId: targetWorkspaceId, projectName })
+        : null;
+    if (!project) {
+        return { status: 404, error: PROJECT_NOT_FOUND };
+    }
+
+    if (!(await project.canAccess(user, permission))) {
+        // Only people with some access learn that the project exists
+        const role = await project.getRoleFor(user);
+        return role
+            ? { status: 403, error: `Your ${role} role on this project does not allow this action` }
+            : { status: 404, error: PROJECT_NOT_FOUND };
+    }
+
+    return { project };
+}
+
+// A share link only reads, and only the project it was made for
+async function findSharedProject(shareLink, projectName, permission) {
+    if (permission !== 'read') {
+        return { status: 403, error: 'Share links are read-only' };
+    }
+
+    const project = await Project.findById(shareLink.projectId);
+    if (!project || project.projectName !== projectName) {
+        return { status: 404, error: PROJECT_NOT_FOUND };
+    }
+
+    return { project };
+}
+
+/**
+ * Route helper: load a project (req.params.projectName by default) with a
+ * permission, or send the 403/404 and return null. Routes behind
+ * authenticateOrShareLink may be reached with a share link instead of a user.
+ */
+export async function loadProject(req, res, permission, projectName = req.params.projectName) {
+    const access = req.shareLink
+        ? await findSharedProject(req.shareLink, projectName, permission)
+        : await findProjectForUser(req.user, projectName, {
+            workspaceId: requestedWorkspaceId(req),
+            permission
+        });
+
+    if (access.error) {
+        res.status(access.status).json({ success: false, error: access.error });
+        return null;
+    }
+
+    return access.project;
+}
+
+/**
+ * Route helper: load the requested workspace with a permission, or send the
+ * 403/404 and return null. Sets req.workspace and req.workspaceRole.
+ */
+export async function loadWorkspace(req, res, permission, workspaceId = requestedWorkspaceId(req)) {
+    const access = await resolveWorkspace(req.user, workspaceId);
+
+    if (!access) {
+        res.status(404).json({ success: false, error: 'Workspace not found or you are not a member of it' });
+        return null;
+    }
+    if (!roleAllows(access.role, permission)) {
+        res.status(403).json({ success: false, error: `Your ${access.role} role in this workspace does not allow this action` });
+        return null;
+    }
+
+    req.workspace = access.workspace;
+    req.workspaceRole = access.role;
+    return access.workspace;
+}
+
+export default {
+    ROLE_PERMISSIONS,
+    roleAllows,
+    requestedWorkspaceId,
+    resolveWorkspace,
+    findProjectForUser,
+    loadProject,
+    loadWorkspace
+};
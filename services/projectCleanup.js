@@ -0,0 +1,98 @@
+import storage, { storageFor } from './storage.js';
+import versionHistory from './versionHistory.js';
+import conversationStore from './conversationStore.js';
+import jobQueue from './jobQueue.js';
+import Job from '../models/Job.js';
+import Project from '../models/Project.js';
+import Workspace from '../models/Workspace.js';
+import ShareLink from '../models/ShareLink.js';
+import Deployment from '../models/Deployment.js';
+
+/**
+ * Delete a project everywhere: pending jobs, storage files, version history,
+ * chat and agent history, share links, deployment records, and finally the
+ * database record. Sites already live at a provider are left running.
+ */
+export async function deleteProjectCompletely(project) {
+    // Stop pending work first so a running build doesn't write the files back
+    const pendingJobs = await Job.find({
+        projectName: project.projectName,
+        status: { $in: ['queued', 'running'] },
+        $or: [
+            { workspaceId: project.workspaceId },
+            { userId: project.userId, workspaceId: null }
+        ]
+    }, '-logs');
+    for (const job of pendingJobs) {
+        await jobQueue.cancel(job);
+    }
+
+    // Files go before any record, so a storage failure leaves the project in
+    // place and the delete can simply be retried
+    const result = await storageFor(project).deleteProject(project.projectName, project.getStorageRoot());
+    if (!result.success) {
+        throw new Error(result.message || 'Failed to delete project');
+    }
+
+    await versionHistory.deleteHistory(project);
+    await conversationStore.deleteProjectHistory(project._id);
+    await ShareLink.deleteMany({ projectId: project._id });
+    await Deployment.deleteMany({ projectId: project._id });
+    await Project.deleteOne({ _id: project._id });
+
+    return { projectName: project.projectName, cancelledJobs: pendingJobs.length };
+}
+
+/**
+ * Delete a workspace with all its projects and anything left in its storage folder
+ */
+export async function deleteWorkspaceCompletely(workspace) {
+    const projects = await Project.find({ workspaceId: workspace._id });
+    for (const project of projects) {
+        await deleteProjectCompletely(project);
+    }
+
+    const root = Workspace.storageRootFor(workspace._id);
+    const leftovers = [...await storage.listProjects(root), '.snapshots'];
+    for (const folder of leftovers) {
+        await storage.deleteProject(folder, root);
+    }
+
+    await Workspace.deleteOne({ _id: workspace._id });
+    return { deletedProjects: projects.length };
+}
+
+/**
+ * Remove a user's projects when the account is deleted: workspaces where they
+ * are the only owner go with them, other workspaces just lose the member.
+ * Their own storage folder (projects from before workspaces, profile
+ * pictures, leftovers from failed builds) is removed as well.
+ */
+export async function deleteUserProjects(user) {
+    let deletedProjects = 0;
+
+    for (const workspace of await Workspace.findForUser(user._id)) {
+        const isOwner = workspace.getRole(user._id) === 'owner';
+        if (workspace.isPersonal || (isOwner && workspace.countOwners() === 1)) {
+            deletedProjects += (await deleteWorkspaceCompletely(workspace)).deletedProjects;
+        } else {
+            await Workspace.updateOne({ _id: workspace._id }, { $pull: { members: { userId: user._id } } });
+        }
+    }
+
+    const legacyProjects = await Project.find({ userId: user._id, workspaceId: null });
+    for (const project of legacyProjects) {
+        await deleteProjectCompletely(project);
+    }
+    deletedProjects += legacyProjects.length;
+
+    const root = `users/${user._id}`;
+    const leftovers = [...await storage.listProjects(root), '.snapshots', '.profile'];
+    for (const folder of leftovers) {
+        await storage.deleteProject(folder, root);
+    }
+
+    return { deletedProjects };
+}
+
+export default deleteProjectCompletely;
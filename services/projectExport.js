@@ -0,0 +1,168 @@
+import JSZip from 'jszip';
+import { storageFor } from './storage.js';
+import versionHistory from './versionHistory.js';
+
+/**
+ * Project Export - a project's files (live or one version) as a ZIP archive
+ *
+ * The minified build only touches HTML and CSS with whitespace and comment
+ * removal that can't change how a page renders. JavaScript is exported as is:
+ * safely minifying it needs a real parser.
+ */
+
+// Elements whose content must keep its whitespace exactly
+const PRESERVED_HTML_BLOCKS = /<(pre|textarea|script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+
+// Quoted strings and url(...) in CSS, which must keep their exact text, and comments
+const CSS_TOKENS = /("(?:\\[\s\S]|[^"\\])*"|'(?:\\[\s\S]|[^'\\])*'|url\(\s*[^)]*\))|\/\*[\s\S]*?\*\//gi;
+
+/**
+ * Strip comments and collapse whitespace in a stylesheet, leaving quoted
+ * strings (e.g. content: "a  b") and url(...) untouched
+ */
+export function minifyCss(css) {
+    const preserved = [];
+
+    return css
+        .replace(CSS_TOKENS, (match, kept) => {
+            if (!kept) return '';
+            preserved.push(kept);
+            return `\u0000${preserved.length - 1}\u0000`;
+        })
+        .replace(/\s+/g, ' ')
+        .replace(/\s*([{};,>])\s*/g, '$1')
+        .replace(/;}/g, '}')
+        .trim()
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => preserved[Number(index)]);
+}
+
+/**
+ * Strip comments (not IE conditional ones) and collapse whitespace runs to a
+ * single space, leaving <pre>, <textarea> and <script> alone. Inline <style>
+ * blocks are minified as CSS.
+ */
+export function minifyHtml(html) {
+    const preserved = [];
+    const placeholder = index => `\u0000${index}\u0000`;
+
+    const withoutBlocks = html.replace(PRESERVED_HTML_BLOCKS, (block, tag) => {
+        if (tag.toLowerCase() === 'style') {
+            const openTag = block.match(/^<style\b[^>]*>/i)[0];
+            const css = block.slice(openTag.length, block.search(/<\/style\s*>$/i));
+            block = `${openTag}${minifyCss(css)}</style>`;
+        }
+        preserved.push(block);
+        return placeholder(preserved.length - 1);
+    });
+
+    return withoutBlocks
+        .replace(/<!--(?!\[if)[\s\S]*?-->/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/>\s+</g, '> <')
+        .trim()
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => preserved[Number(index)]);
+}
+
+/**
+ * Deploy instructions for common static hosts
+ */
+export function buildDeployReadme(project, { version = null, entryFile = 'index.html' } = {}) {
+    const lines = [
+        `# ${project.projectName}`,
+        '',
+        project.description ? `${project.description}\n` : null,
+        `Exported from Nexo.ai on ${new Date().toISOString().split('T')[0]}${version ? ` (version ${version})` : ''}.`,
+        '',
+        'This is a static site - no build step is needed. Every host below serves',
+        `the folder as is, with \`${entryFile}\` as the start page.`,
+        project.isDeployed && project.deploymentUrl ? `\nLive site: ${project.deploymentUrl}` : null,
+        project.github?.htmlUrl ? `\nSource repository: ${project.github.htmlUrl}` : null,
+        '',
+        '## Preview locally',
+        '',
+        '```bash',
+        'npx serve .',
+        '```',
+        '',
+        '## Netlify',
+        '',
+        'Drag the unzipped folder onto https://app.netlify.com/drop, or with the CLI:',
+        '',
+        '```bash',
+        'npx netlify-cli deploy --dir . --prod',
+        '```',
+        '',
+        '## Vercel',
+        '',
+        '```bash',
+        'npx vercel --prod',
+        '```',
+        '',
+        '## Cloudflare Pages',
+        '',
+        '```bash',
+        `npx wrangler pages deploy . --project-name ${project.projectName.toLowerCase().replace(/[^a-z0-9-]/g, '-')}`,
+        '```',
+        '',
+        '## GitHub Pages',
+        '',
+        '1. Push these files to a repository',
+        '2. Open Settings → Pages and pick "Deploy from a branch"',
+        '3. Choose the branch and the `/ (root)` folder',
+        '',
+        '## Any other web server',
+        '',
+        'Upload the files to the server\'s web root (for example with `scp` or SFTP).',
+        ''
+    ];
+
+    if (entryFile !== 'index.html') {
+        lines.push(
+            '## Start page',
+            '',
+            `Most hosts open \`index.html\` by default. This site starts at \`${entryFile}\`, so`,
+            'add a redirect from `/` to it, or rename it to `index.html`.',
+            ''
+        );
+    }
+
+    return lines.filter(line => line !== null).join('\n');
+}
+
+/**
+ * Build the export archive. Returns { zip, fileCount, readmeFile } - stream it
+ * with zip.generateNodeStream(). `snapshot` is a ProjectVersion to export
+ * instead of the live files.
+ */
+export async function createExportArchive(project, { snapshot = null, minify = false, readme = false } = {}) {
+    const files = snapshot
+        ? await versionHistory.readVersionFiles(project, snapshot)
+        : await storageFor(project).readAllProjectFiles(project.projectName, project.getStorageRoot());
+
+    const zip = new JSZip();
+    for (const [filePath, content] of Object.entries(files)) {
+        let output = content;
+        if (minify && typeof content === 'string') {
+            if (/\.html?$/i.test(filePath)) output = minifyHtml(content);
+            else if (/\.css$/i.test(filePath)) output = minifyCss(content);
+        }
+        zip.file(filePath, output);
+    }
+
+    // Never overwrite the project's own README
+    let readmeFile = null;
+    if (readme) {
+        readmeFile = files['README.md'] === undefined ? 'README.md' : 'DEPLOY.md';
+        const entryFile = files[project.entryFile] !== undefined ? project.entryFile : 'index.html';
+        zip.file(readmeFile, buildDeployReadme(project, { version: snapshot?.version || null, entryFile }));
+    }
+
+    return { zip, fileCount: Object.keys(files).length, readmeFile };
+}
+
+export default {
+    minifyCss,
+    minifyHtml,
+    buildDeployReadme,
+    createExportArchive
+};
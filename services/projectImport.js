@@ -0,0 +1,384 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import JSZip from 'jszip';
+import storage from './storage.js';
+import versionHistory from './versionHistory.js';
+import Project from '../models/Project.js';
+import Workspace from '../models/Workspace.js';
+
+const execFileAsync = promisify(execFile);
+const MB = 1024 * 1024;
+
+// Limits for a single imported project
+export const IMPORT_LIMITS = {
+    maxFiles: parseInt(process.env.IMPORT_MAX_FILES, 10) || 500,
+    maxFileBytes: (parseInt(process.env.IMPORT_MAX_FILE_MB, 10) || 10) * MB,
+    maxTotalBytes: (parseInt(process.env.IMPORT_MAX_TOTAL_MB, 10) || 50) * MB,
+    // Everything a clone writes to disk (history pack and all files, not only web files)
+    maxCloneBytes: (parseInt(process.env.GIT_IMPORT_MAX_CLONE_MB, 10) || 200) * MB,
+    gitTimeoutMs: parseInt(process.env.GIT_IMPORT_TIMEOUT_MS, 10) || 60 * 1000
+};
+
+// Git hosts repositories may be cloned from (GIT_IMPORT_ALLOWED_HOSTS, comma separated).
+// Only public hosts are listed, so an import can't reach the server's own network.
+const ALLOWED_GIT_HOSTS = (process.env.GIT_IMPORT_ALLOWED_HOSTS || 'github.com,gitlab.com,bitbucket.org,codeberg.org')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+// Same web file types the multipart upload accepts; anything else is skipped
+const IMPORTABLE_EXTENSIONS = /\.(html|htm|css|js|mjs|json|jpg|jpeg|png|gif|svg|webp|avif|ico|txt|md|xml|webmanifest|woff|woff2|ttf|otf|eot)$/i;
+
+// Folders and files that never belong in a project
+const IGNORED_SEGMENTS = ['.git', '__MACOSX', 'node_modules', '.DS_Store', 'Thumbs.db'];
+
+/**
+ * Error for an import the user has to fix (bad archive, limits, missing HTML).
+ * `status` is the HTTP status the route should answer with.
+ */
+export class ImportError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ImportError';
+        this.status = status;
+    }
+}
+
+/**
+ * Read candidate files into { path: Buffer }, enforcing the limits.
+ * Each entry is { path, size, read } - size may be null when unknown, and
+ * read(maxBytes) resolves to null for content larger than maxBytes.
+ */
+async function collectFiles(entries) {
+    const files = {};
+    const skipped = [];
+    let totalBytes = 0;
+
+    for (const entry of entries) {
+        let filePath;
+        try {
+            filePath = storage.normalizeFilePath(entry.path);
+        } catch (error) {
+            throw new ImportError(`Unsafe path in import: ${entry.path}`);
+        }
+
+        if (filePath.split('/').some(segment => IGNORED_SEGMENTS.includes(segment))) continue;
+        if (!IMPORTABLE_EXTENSIONS.test(filePath)) {
+            skipped.push(filePath);
+            continue;
+        }
+
+        if (Object.keys(files).length >= IMPORT_LIMITS.maxFiles) {
+            throw new ImportError(`Too many files - a project can have at most ${IMPORT_LIMITS.maxFiles}`, 413);
+        }
+        if (entry.size !== null && entry.size > IMPORT_LIMITS.maxFileBytes) {
+            throw new ImportError(`${filePath} is larger than ${IMPORT_LIMITS.maxFileBytes / MB}MB`, 413);
+        }
+
+        const buffer = await entry.read(IMPORT_LIMITS.maxFileBytes);
+        if (!buffer || buffer.length > IMPORT_LIMITS.maxFileBytes) {
+            throw new ImportError(`${filePath} is larger than ${IMPORT_LIMITS.maxFileBytes / MB}MB`, 413);
+        }
+
+        totalBytes += buffer.length;
+        if (totalBytes > IMPORT_LIMITS.maxTotalBytes) {
+            throw new ImportError(`Project is larger than ${IMPORT_LIMITS.maxTotalBytes / MB}MB`, 413);
+        }
+
+        files[filePath] = buffer;
+    }
+
+    return { files, skipped };
+}
+
+/**
+ * Archives and repos often wrap the site in one top-level folder - drop it
+ */
+export function stripCommonRoot(files) {
+    const paths = Object.keys(files);
+    const rootFolders = new Set(paths.map(p => p.split('/')[0]));
+    if (paths.length === 0 || rootFolders.size !== 1 || !paths.every(p => p.includes('/'))) {
+        return files;
+    }
+
+    return Object.fromEntries(Object.entries(files).map(([p, content]) => [p.split('/').slice(1).join('/'), content]));
+}
+
+/**
+ * The page a project opens on: index.html at the root, else the only (or an
+ * index) HTML file at the root, else the least nested index.html or HTML file.
+ * Returns null when there is no HTML at all.
+ */
+export function detectEntryFile(paths) {
+    const htmlFiles = paths.filter(p => /\.html?$/i.test(p));
+    if (htmlFiles.length === 0) return null;
+
+    const depth = p => p.split('/').length;
+    const isIndex = p => /^index\.html?$/i.test(p.split('/').pop());
+    const byDepth = (a, b) => depth(a) - depth(b) || a.localeCompare(b);
+
+    const rootFiles = htmlFiles.filter(p => depth(p) === 1);
+    if (rootFiles.includes('index.html')) return 'index.html';
+    if (rootFiles.some(isIndex)) return rootFiles.find(isIndex);
+    if (rootFiles.length === 1) return rootFiles[0];
+
+    const nestedIndex = htmlFiles.filter(isIndex).sort(byDepth)[0];
+    return nestedIndex || htmlFiles.sort(byDepth)[0];
+}
+
+/**
+ * Inflate one ZIP entry, stopping as soon as it passes maxBytes (resolves to
+ * null then). The sizes an archive declares can lie, so only the inflated
+ * bytes count - a zip bomb never gets inflated past the limit.
+ */
+function readZipEntry(entry, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const stream = entry.internalStream('uint8array');
+
+        stream
+            .on('data', (chunk) => {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    stream.pause();
+                    resolve(null);
+                    return;
+                }
+                chunks.push(Buffer.from(chunk));
+            })
+            .on('error', reject)
+            .on('end', () => resolve(Buffer.concat(chunks)))
+            .resume();
+    });
+}
+
+/**
+ * Read the files of a ZIP archive: { files, skipped }
+ */
+export async function readZipArchive(buffer) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+        throw new ImportError('The uploaded file is not a valid ZIP archive');
+    }
+
+    const entries = Object.values(zip.files)
+        .filter(entry => !entry.dir)
+        .map(entry => ({
+            path: entry.name,
+            size: null,
+            read: maxBytes => readZipEntry(entry, maxBytes)
+        }));
+
+    const { files, skipped } = await collectFiles(entries);
+    return { files: stripCommonRoot(files), skipped };
+}
+
+/**
+ * Check a repository URL before handing it to git. https:// URLs work for the
+ * hosts in ALLOWED_GIT_HOSTS, on the default port and without credentials;
+ * file:// URLs and local paths (e.g. a bare repo) only with GIT_IMPORT_ALLOW_LOCAL=true,
+ * since they read from the server's own disk.
+ */
+export function validateRepoUrl(repoUrl) {
+    const url = String(repoUrl || '').trim();
+    const allowLocal = process.env.GIT_IMPORT_ALLOW_LOCAL === 'true';
+
+    if (allowLocal && (/^file:\/\/\/[^\s]+$/i.test(url) || path.isAbsolute(url))) return url;
+
+    let parsed = null;
+    try {
+        parsed = /^https:\/\/[^\s]+$/i.test(url) ? new URL(url) : null;
+    } catch (error) {
+        // Reported below like any other unusable URL
+    }
+    if (!parsed) {
+        throw new ImportError(allowLocal
+            ? 'Repository URL must be an https://, file:// URL or an absolute path'
+            : 'Repository URL must start with https://');
+    }
+
+    if (!ALLOWED_GIT_HOSTS.includes(parsed.hostname.toLowerCase()) || parsed.port || parsed.username || parsed.password) {
+        throw new ImportError(`Repositories can only be imported from ${ALLOWED_GIT_HOSTS.join(', ')}`);
+    }
+    return parsed.href;
+}
+
+// Check an optional branch or tag name before it is passed to git
+export function validateGitRef(ref) {
+    if (ref && !/^[A-Za-z0-9][A-Za-z0-9._/-]{0,199}$/.test(ref)) {
+        throw new ImportError('Invalid branch or tag name');
+    }
+}
+
+// Recursively list the regular files under a folder (symlinks are never followed)
+async function walkFolder(rootDir, relativeDir = '') {
+    const entries = [];
+    for (const dirent of await fs.readdir(path.join(rootDir, relativeDir), { withFileTypes: true })) {
+        const relativePath = relativeDir ? `${relativeDir}/${dirent.name}` : dirent.name;
+        if (IGNORED_SEGMENTS.includes(dirent.name)) continue;
+
+        if (dirent.isDirectory()) {
+            entries.push(...await walkFolder(rootDir, relativePath));
+        } else if (dirent.isFile()) {
+            const absolutePath = path.join(rootDir, relativePath);
+            const { size } = await fs.stat(absolutePath);
+            entries.push({ path: relativePath, size, read: () => fs.readFile(absolutePath) });
+        }
+    }
+    return entries;
+}
+
+// Total size of the files under a folder, for watching a clone in progress
+async function folderSize(dir) {
+    let total = 0;
+    for (const dirent of await fs.readdir(dir, { withFileTypes: true }).catch(() => [])) {
+        const entryPath = path.join(dir, dirent.name);
+        if (dirent.isDirectory()) {
+            total += await folderSize(entryPath);
+        } else if (dirent.isFile()) {
+            total += (await fs.stat(entryPath).catch(() => ({ size: 0 }))).size;
+        }
+    }
+    return total;
+}
+
+/**
+ * Shallow-clone a git repository and read its files: { files, skipped, commitSha }.
+ * The clone folder is measured every second and git is stopped once it passes
+ * maxCloneBytes, so a huge repository can't fill the temp disk.
+ */
+export async function cloneGitRepository(repoUrl, { ref = null } = {}) {
+    const url = validateRepoUrl(repoUrl);
+    validateGitRef(ref);
+
+    const cloneDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nexo-import-'));
+    try {
+        // Redirects could lead to a host the allowlist doesn't cover
+        const args = ['-c', 'http.followRedirects=false', 'clone', '--depth', '1', '--single-branch', '--no-tags'];
+        if (ref) args.push('--branch', ref);
+        args.push('--', url, cloneDir);
+
+        const clone = execFileAsync('git', args, {
+            timeout: IMPORT_LIMITS.gitTimeoutMs,
+            env: {
+                ...process.env,
+                GIT_TERMINAL_PROMPT: '0',
+                // No ssh, ext:: or other transports, whatever the URL says
+                GIT_ALLOW_PROTOCOL: process.env.GIT_IMPORT_ALLOW_LOCAL === 'true' ? 'https:file' : 'https'
+            }
+        });
+
+        let tooLarge = false;
+        let measuring = false;
+        const sizeWatch = setInterval(async () => {
+            if (measuring) return;
+            measuring = true;
+            if (await folderSize(cloneDir) > IMPORT_LIMITS.maxCloneBytes) {
+                tooLarge = true;
+                clone.child.kill();
+            }
+            measuring = false;
+        }, 1000);
+
+        try {
+            await clone;
+        } catch (error) {
+            if (tooLarge) {
+                throw new ImportError(`Repository is larger than ${IMPORT_LIMITS.maxCloneBytes / MB}MB`, 413);
+            }
+            if (error.killed) {
+                throw new ImportError(`Cloning took longer than ${IMPORT_LIMITS.gitTimeoutMs / 1000}s`, 422);
+            }
+            const reason = String(error.stderr || error.message).trim().split('\n').pop();
+            throw new ImportError(`Could not clone repository: ${reason}`, 422);
+        } finally {
+            clearInterval(sizeWatch);
+        }
+
+        const { stdout } = await execFileAsync('git', ['-C', cloneDir, 'rev-parse', 'HEAD'], { timeout: 10 * 1000 });
+        const { files, skipped } = await collectFiles(await walkFolder(cloneDir));
+
+        return { files, skipped, commitSha: stdout.trim() };
+    } finally {
+        await fs.rm(cloneDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Save imported files as a new project in a workspace and record its first
+ * version. Fills Project.files, fileCount and entryFile from what was saved.
+ */
+export async function createProjectFromFiles({ workspace, projectName, user, files, description, source, prompt }) {
+    const nameError = Project.nameError(projectName);
+    if (nameError) {
+        throw new ImportError(nameError);
+    }
+    if (Object.keys(files).length === 0) {
+        throw new ImportError('No web files found to import');
+    }
+
+    const entryFile = detectEntryFile(Object.keys(files));
+    if (!entryFile) {
+        throw new ImportError('No HTML file found. A project needs at least one page, such as index.html.');
+    }
+
+    const existingProject = await Project.findOne({ projectName, workspaceId: workspace._id });
+    if (existingProject) {
+        throw new ImportError(`Project "${projectName}" already exists. Please use a different name.`, 409);
+    }
+
+    const storageRoot = Workspace.storageRootFor(workspace._id);
+    const savedFiles = [];
+    for (const [filePath, content] of Object.entries(files)) {
+        const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8');
+        await storage.saveFile(projectName, filePath, storage.isTextFile(filePath) ? buffer.toString('utf-8') : buffer, storageRoot);
+        savedFiles.push({
+            fileName: filePath.split('/').pop(),
+            filePath,
+            fileSize: buffer.length,
+            contentType: storage.getContentType(filePath)
+        });
+    }
+
+    const project = new Project({
+        projectName,
+        workspaceId: workspace._id,
+        userId: user._id,
+        userEmail: user.email,
+        storageRoot,
+        description,
+        files: savedFiles,
+        fileCount: savedFiles.length,
+        entryFile,
+        storageProvider: storage.provider,
+        status: 'active'
+    });
+    await project.save();
+
+    await versionHistory.recordSnapshot(project, {
+        source,
+        prompt,
+        author: { userId: user._id, email: user.email }
+    });
+
+    console.log(`✅ Project "${projectName}" created from ${source} (${savedFiles.length} files, entry: ${entryFile})`);
+    return project;
+}
+
+export default {
+    IMPORT_LIMITS,
+    ImportError,
+    stripCommonRoot,
+    detectEntryFile,
+    readZipArchive,
+    validateRepoUrl,
+    validateGitRef,
+    cloneGitRepository,
+    createProjectFromFiles
+};
@@ -0,0 +1,243 @@
+import storage from './storage.js';
+import { applySearchReplace, applyUnifiedDiff } from './filePatch.js';
+
+// File types the agent may create or rename files to
+const WRITABLE_EXTENSIONS = ['.html', '.htm', '.css', '.js', '.json', '.svg', '.txt', '.md', '.xml', '.webmanifest'];
+
+// Largest file the agent may write in one call
+const MAX_WRITE_BYTES = 2 * 1024 * 1024;
+
+// Most files a single project may hold
+const MAX_PROJECT_FILES = 200;
+
+/**
+ * Project Toolset - file tools for the AI agent, scoped to a single project
+ *
+ * Every path is relative to the project root; anything that would escape it
+ * is rejected by the storage driver's path normalization.
+ */
+class ProjectToolset {
+    constructor({ projectName, storageRoot = null, storage: driver = storage }) {
+        if (!projectName) {
+            throw new Error('A project name is required to scope the file tools');
+        }
+        this.projectName = projectName;
+        this.storageRoot = storageRoot;
+        // Driver that holds the project's files, see storageFor()
+        this.storage = driver;
+    }
+
+    /**
+     * Normalize a path and check that its file type may be written
+     */
+    resolveWritablePath(filePath) {
+        const normalized = this.storage.normalizeFilePath(filePath);
+        const ext = normalized.includes('.') ? normalized.substring(normalized.lastIndexOf('.')).toLowerCase() : '';
+
+        if (!WRITABLE_EXTENSIONS.includes(ext)) {
+            throw new Error(`File type "${ext || normalized}" is not allowed. Allowed types: ${WRITABLE_EXTENSIONS.join(', ')}`);
+        }
+
+        return normalized;
+    }
+
+    async listFiles() {
+        const files = await this.storage.listProjectFiles(this.projectName, this.storageRoot);
+        return { projectName: this.projectName, files };
+    }
+
+    async readFile({ filePath }) {
+        const normalized = this.storage.normalizeFilePath(filePath);
+        const buffer = await this.storage.readFileBuffer(this.projectName, normalized, this.storageRoot);
+
+        if (!this.storage.isTextFile(normalized)) {
+            return { filePath: normalized, content: `[binary file: ${this.storage.getContentType(normalized)}, ${buffer.length} bytes]` };
+        }
+
+        return { filePath: normalized, content: buffer.toString('utf-8') };
+    }
+
+    async writeFile({ filePath, content }) {
+        const normalized = this.resolveWritablePath(filePath);
+
+        if (typeof content !== 'string') {
+            throw new Error('content must be a string');
+        }
+        if (Buffer.byteLength(content) > MAX_WRITE_BYTES) {
+            throw new Error(`File is larger than the ${MAX_WRITE_BYTES / 1024 / 1024}MB limit`);
+        }
+
+        const existing = await this.storage.listProjectFiles(this.projectName, this.storageRoot);
+        if (!existing.includes(normalized) && existing.length >= MAX_PROJECT_FILES) {
+            throw new Error(`Projects are limited to ${MAX_PROJECT_FILES} files`);
+        }
+
+        await this.storage.saveFile(this.projectName, normalized, content, this.storageRoot);
+        return { filePath: normalized, bytesWritten: Buffer.byteLength(content) };
+    }
+
+    async editFile({ filePath, edits, patch }) {
+        const normalized = this.resolveWritablePath(filePath);
+
+        if ((!Array.isArray(edits) || edits.length === 0) && !patch) {
+            throw new Error('Provide either edits (search/replace blocks) or patch (unified diff)');
+        }
+
+        let original;
+        try {
+            original = await this.storage.readFile(this.projectName, normalized, this.storageRoot);
+        } catch (error) {
+            throw new Error(`File ${normalized} does not exist - use writeFile to create it`);
+        }
+
+        const outcome = patch
+            ? applyUnifiedDiff(original, patch)
+            : applySearchReplace(original, edits);
+
+        if (outcome.conflicts.length > 0) {
+            // Nothing is written - the model gets the conflicts back and can retry
+            return {
+                filePath: normalized,
+                success: false,
+                conflicts: outcome.conflicts,
+                message: 'No changes were written. Fix the conflicting edits (use readFile to see the current content) and try again.'
+            };
+        }
+
+        if (outcome.content !== original) {
+            await this.storage.saveFile(this.projectName, normalized, outcome.content, this.storageRoot);
+        }
+
+        return {
+            filePath: normalized,
+            success: true,
+            applied: outcome.applied,
+            unchanged: outcome.content === original
+        };
+    }
+
+    async deleteFile({ filePath }) {
+        const normalized = this.storage.normalizeFilePath(filePath);
+
+        if (normalized === 'index.html') {
+            throw new Error('index.html is the entry page and cannot be deleted');
+        }
+
+        const existing = await this.storage.listProjectFiles(this.projectName, this.storageRoot);
+        if (!existing.includes(normalized)) {
+            throw new Error(`File ${normalized} does not exist`);
+        }
+
+        await this.storage.deleteFile(this.projectName, normalized, this.storageRoot);
+        return { filePath: normalized, deleted: true };
+    }
+
+    async renameFile({ fromPath, toPath, overwrite = false }) {
+        const from = this.storage.normalizeFilePath(fromPath);
+        const to = this.resolveWritablePath(toPath);
+
+        if (from === 'index.html') {
+            throw new Error('index.html is the entry page and cannot be renamed');
+        }
+
+        const existing = await this.storage.listProjectFiles(this.projectName, this.storageRoot);
+        if (!existing.includes(from)) {
+            throw new Error(`File ${from} does not exist`);
+        }
+        if (existing.includes(to) && !overwrite) {
+            throw new Error(`File ${to} already exists. Set overwrite to true to replace it`);
+        }
+
+        const content = await this.storage.readFileBuffer(this.projectName, from, this.storageRoot);
+        await this.storage.saveFile(this.projectName, to, content, this.storageRoot);
+        await this.storage.deleteFile(this.projectName, from, this.storageRoot);
+        return { fromPath: from, toPath: to };
+    }
+}
+
+// Tool declarations, keyed by the ProjectToolset method they call
+export const projectToolDeclarations = {
+    listFiles: {
+        name: "listFiles",
+        description: "List every file in the current project (paths relative to the project root)",
+        parameters: {
+            type: 'OBJECT',
+            properties: {},
+            required: []
+        }
+    },
+    readFile: {
+        name: "readFile",
+        description: "Read a single file from the current project",
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                filePath: { type: 'STRING', description: 'Path relative to the project root, e.g. "index.html" or "assets/css/theme.css"' }
+            },
+            required: ['filePath']
+        }
+    },
+    writeFile: {
+        name: "writeFile",
+        description: `Create or overwrite a file in the current project. Allowed file types: ${WRITABLE_EXTENSIONS.join(', ')}`,
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                filePath: { type: 'STRING', description: 'Path relative to the project root, e.g. "about.html"' },
+                content: { type: 'STRING', description: 'Complete file content' }
+            },
+            required: ['filePath', 'content']
+        }
+    },
+    editFile: {
+        name: "editFile",
+        description: "Make targeted changes to an existing file without resending it. Pass either edits (search/replace blocks) or patch (a unified diff). All edits apply together or not at all; conflicts are reported back.",
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                filePath: { type: 'STRING', description: 'Path relative to the project root, e.g. "style.css"' },
+                edits: {
+                    type: 'ARRAY',
+                    description: 'Search/replace blocks applied in order. Each search must match the current file exactly once unless replaceAll is true',
+                    items: {
+                        type: 'OBJECT',
+                        properties: {
+                            search: { type: 'STRING', description: 'Exact text currently in the file, with enough surrounding lines to be unique' },
+                            replace: { type: 'STRING', description: 'Text to put in its place' },
+                            replaceAll: { type: 'BOOLEAN', description: 'Replace every occurrence instead of exactly one' }
+                        },
+                        required: ['search', 'replace']
+                    }
+                },
+                patch: { type: 'STRING', description: 'Unified diff for this file (hunks starting with @@ -l,s +l,s @@)' }
+            },
+            required: ['filePath']
+        }
+    },
+    deleteFile: {
+        name: "deleteFile",
+        description: "Delete a file from the current project (index.html cannot be deleted)",
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                filePath: { type: 'STRING', description: 'Path relative to the project root' }
+            },
+            required: ['filePath']
+        }
+    },
+    renameFile: {
+        name: "renameFile",
+        description: "Rename or move a file inside the current project",
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                fromPath: { type: 'STRING', description: 'Current path relative to the project root' },
+                toPath: { type: 'STRING', description: 'New path relative to the project root' },
+                overwrite: { type: 'BOOLEAN', description: 'Replace the destination if it already exists' }
+            },
+            required: ['fromPath', 'toPath']
+        }
+    }
+};
+
+export default ProjectToolset;
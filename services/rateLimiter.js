@@ -0,0 +1,95 @@
+import RateLimitCounter from '../models/RateLimitCounter.js';
+import SigninAttempt from '../models/SigninAttempt.js';
+
+// Settings are read when needed: this module is loaded by middleware before dotenv runs
+function lockoutSettings() {
+    return {
+        // Failed sign-ins allowed before the first lockout
+        threshold: parseInt(process.env.SIGNIN_LOCKOUT_THRESHOLD, 10) || 5,
+        // First lockout length; it doubles with every further failure
+        baseSeconds: parseInt(process.env.SIGNIN_LOCKOUT_BASE_SECONDS, 10) || 60,
+        maxSeconds: parseInt(process.env.SIGNIN_LOCKOUT_MAX_SECONDS, 10) || 3600
+    };
+}
+
+// Failure history is forgotten after a day without failures
+const ATTEMPT_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rate Limiter - request counters and sign-in lockouts stored in MongoDB,
+ * so every API instance sees the same numbers
+ */
+class RateLimiterService {
+    /**
+     * Count one request for a key in the current fixed window
+     */
+    async hit(key, windowMs) {
+        const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+        const resetAt = new Date(windowStart + windowMs);
+        const update = () => RateLimitCounter.findOneAndUpdate(
+            { key: `${key}:${windowStart}` },
+            { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+            { upsert: true, new: true }
+        );
+
+        let counter;
+        try {
+            counter = await update();
+        } catch (error) {
+            // Two first requests raced to create the counter - the second one just increments
+            if (error.code !== 11000) throw error;
+            counter = await update();
+        }
+
+        return { count: counter.count, resetAt };
+    }
+
+    /**
+     * Seconds left on a sign-in lockout for this email and IP (0 when not locked)
+     */
+    async getLockout(email, ip) {
+        const attempt = await SigninAttempt.findOne({ email, ip }, 'lockedUntil');
+        if (!attempt?.lockedUntil) return 0;
+        return Math.max(0, Math.ceil((attempt.lockedUntil.getTime() - Date.now()) / 1000));
+    }
+
+    /**
+     * Record a failed sign-in; returns the lockout in seconds it caused (0 when none)
+     */
+    async recordFailure(email, ip) {
+        const { threshold, baseSeconds, maxSeconds } = lockoutSettings();
+        const now = new Date();
+
+        const attempt = await SigninAttempt.findOneAndUpdate(
+            { email, ip },
+            {
+                $inc: { failures: 1 },
+                $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + ATTEMPT_MEMORY_MS) }
+            },
+            { upsert: true, new: true }
+        );
+
+        if (attempt.failures < threshold) return 0;
+
+        // 1st lockout: base, then 2x, 4x ... up to the maximum
+        const lockSeconds = Math.min(baseSeconds * 2 ** (attempt.failures - threshold), maxSeconds);
+        await SigninAttempt.updateOne(
+            { _id: attempt._id },
+            { $set: { lockedUntil: new Date(now.getTime() + lockSeconds * 1000) } }
+        );
+
+        return lockSeconds;
+    }
+
+    /**
+     * Forget failures after a successful sign-in
+     */
+    async clearFailures(email, ip) {
+        await SigninAttempt.deleteOne({ email, ip });
+    }
+}
+
+// Export singleton instance
+const rateLimiter = new RateLimiterService();
+
+export default rateLimiter;
@@ -0,0 +1,38 @@
+import SupabaseStorageService from './supabaseStorage.js';
+import LocalStorageService from './localStorage.js';
+
+// Available storage drivers, keyed by the name stored in Project.storageProvider
+const drivers = {
+    supabase: SupabaseStorageService,
+    local: LocalStorageService
+};
+
+const instances = new Map();
+
+/**
+ * Get (or lazily create) the storage driver for a provider name
+ */
+export function getStorageDriver(provider) {
+    const Driver = drivers[provider];
+    if (!Driver) {
+        throw new Error(`Unknown storage driver "${provider}". Available drivers: ${Object.keys(drivers).join(', ')}`);
+    }
+
+    if (!instances.has(provider)) {
+        instances.set(provider, new Driver());
+    }
+    return instances.get(provider);
+}
+
+// Active driver, chosen with STORAGE_DRIVER (defaults to supabase)
+const storage = getStorageDriver(process.env.STORAGE_DRIVER || 'supabase');
+
+/**
+ * Get the driver that holds a project's files - the one it was created with,
+ * which stays in use when STORAGE_DRIVER changes later
+ */
+export function storageFor(project) {
+    return project?.storageProvider ? getStorageDriver(project.storageProvider) : storage;
+}
+
+export default storage;
@@ -0,0 +1,145 @@
+/**
+ * Base class for storage drivers.
+ *
+ * Every driver must implement:
+ *   saveFile(projectName, fileName, content, root)
+ *   readFileBuffer(projectName, fileName, root)
+ *   listProjectFiles(projectName, root)
+ *   listProjects(root)
+ *   deleteFile(projectName, fileName, root)
+ *   deleteProject(projectName, root)
+ *   projectExists(projectName, root)
+ *   getPublicUrl(projectName, fileName, root)
+ *   getInfo()
+ *
+ * `root` is the folder a project lives in - `workspaces/<workspaceId>` for
+ * workspace projects (see Project#getStorageRoot), or null for the bucket root.
+ *
+ * Path layout, content type detection and text/binary decoding are shared
+ * here so that every driver stores a project under the same relative key.
+ */
+class StorageDriver {
+    constructor(provider) {
+        this.provider = provider;
+    }
+
+    /**
+     * A project name is a single folder name - reject separators and dot
+     * segments so one project can't reach into another project or workspace
+     */
+    validateProjectName(projectName) {
+        const name = String(projectName ?? '');
+        if (!name.trim() || /[\\/\0]/.test(name) || name === '.' || name === '..') {
+            throw new Error(`Invalid project name: ${projectName}`);
+        }
+        return name;
+    }
+
+    /**
+     * Get the folder that holds a project
+     */
+    getProjectPath(projectName, root = null) {
+        const name = this.validateProjectName(projectName);
+        return root
+            ? `${root}/${name}`
+            : name;
+    }
+
+    /**
+     * Normalize a project-relative file path (e.g. "assets/img/logo.png")
+     * and reject anything that would escape the project folder
+     */
+    normalizeFilePath(fileName) {
+        const segments = String(fileName)
+            .replace(/\\/g, '/')
+            .split('/')
+            .filter(segment => segment !== '' && segment !== '.');
+
+        if (segments.length === 0 || segments.includes('..')) {
+            throw new Error(`Invalid file path: ${fileName}`);
+        }
+
+        return segments.join('/');
+    }
+
+    /**
+     * Get the storage key of a single project file
+     */
+    getFilePath(projectName, fileName, root = null) {
+        return `${this.getProjectPath(projectName, root)}/${this.normalizeFilePath(fileName)}`;
+    }
+
+    /**
+     * Read a file as UTF-8 text
+     */
+    async readFile(projectName, fileName, root = null) {
+        const buffer = await this.readFileBuffer(projectName, fileName, root);
+        return buffer.toString('utf-8');
+    }
+
+    /**
+     * Read all files from a project, keyed by their relative path.
+     * Text files are returned as strings, binary files (images, fonts) as Buffers.
+     */
+    async readAllProjectFiles(projectName, root = null) {
+        const files = {};
+        const filePaths = await this.listProjectFiles(projectName, root);
+
+        for (const fileName of filePaths) {
+            try {
+                const buffer = await this.readFileBuffer(projectName, fileName, root);
+                files[fileName] = this.isTextFile(fileName) ? buffer.toString('utf-8') : buffer;
+            } catch (error) {
+                console.log(`File ${fileName} could not be read from ${projectName}: ${error.message}`);
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * Get content type based on file extension
+     */
+    getContentType(fileName) {
+        const ext = fileName.substring(fileName.lastIndexOf('.')).toLowerCase();
+        const contentTypes = {
+            '.html': 'text/html',
+            '.css': 'text/css',
+            '.js': 'application/javascript',
+            '.json': 'application/json',
+            '.png': 'image/png',
+            '.jpg': 'image/jpeg',
+            '.jpeg': 'image/jpeg',
+            '.gif': 'image/gif',
+            '.svg': 'image/svg+xml',
+            '.ico': 'image/x-icon',
+            '.txt': 'text/plain',
+            '.md': 'text/markdown',
+            '.htm': 'text/html',
+            '.xml': 'application/xml',
+            '.webp': 'image/webp',
+            '.avif': 'image/avif',
+            '.woff': 'font/woff',
+            '.woff2': 'font/woff2',
+            '.ttf': 'font/ttf',
+            '.otf': 'font/otf',
+            '.eot': 'application/vnd.ms-fontobject',
+            '.pdf': 'application/pdf',
+            '.mp4': 'video/mp4',
+            '.webm': 'video/webm',
+            '.mp3': 'audio/mpeg',
+        };
+        return contentTypes[ext] || 'application/octet-stream';
+    }
+
+    /**
+     * Check whether a file should be handled as UTF-8 text rather than raw bytes
+     */
+    isTextFile(fileName) {
+        const contentType = this.getContentType(fileName);
+        return contentType.startsWith('text/') ||
+            ['application/javascript', 'application/json', 'application/xml', 'image/svg+xml'].includes(contentType);
+    }
+}
+
+export default StorageDriver;
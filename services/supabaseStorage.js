@@ -1,41 +1,38 @@
 import { createClient } from '@supabase/supabase-js';
-
-// Storage configuration - SUPABASE ONLY
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-const BUCKET_NAME = process.env.SUPABASE_BUCKET || 'nexo-projects';
-
-if (!supabaseUrl || !supabaseServiceKey) {
-    console.error('❌ ERROR: SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required');
-    console.error('Please set these in your .env file');
-    process.exit(1);
-}
-
-const supabase = createClient(supabaseUrl, supabaseServiceKey);
-console.log(`✅ Supabase Storage initialized (bucket: ${BUCKET_NAME})`);
+import StorageDriver from './storageDriver.js';
 
 /**
- * Supabase Storage Service - Cloud storage only
+ * Supabase Storage driver - Cloud storage
  */
-class SupabaseStorageService {
+class SupabaseStorageService extends StorageDriver {
     constructor() {
-        this.bucket = BUCKET_NAME;
+        super('supabase');
+
+        const supabaseUrl = process.env.SUPABASE_URL;
+        const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+        if (!supabaseUrl || !supabaseServiceKey) {
+            throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required for the supabase storage driver');
+        }
+
+        this.url = supabaseUrl;
+        this.bucket = process.env.SUPABASE_BUCKET || 'nexo-projects';
+        this.client = createClient(supabaseUrl, supabaseServiceKey);
+        console.log(`✅ Supabase Storage initialized (bucket: ${this.bucket})`);
     }
 
     /**
      * Save file to Supabase Storage
      */
-    async saveFile(projectName, fileName, content, userId = null) {
+    async saveFile(projectName, fileName, content, root = null) {
         try {
-            // Create user-specific folder structure if userId provided
-            const filePath = userId 
-                ? `users/${userId}/${projectName}/${fileName}`
-                : `${projectName}/${fileName}`;
+            // Files live under the project's storage root (a workspace or user folder) when given
+            const filePath = this.getFilePath(projectName, fileName, root);
             
             console.log(`📤 Uploading to Supabase: ${filePath}`);
             
             // Upload to Supabase Storage
-            const { data, error } = await supabase.storage
+            const { data, error } = await this.client.storage
                 .from(this.bucket)
                 .upload(filePath, content, {
                     contentType: this.getContentType(fileName),
@@ -48,7 +45,7 @@ class SupabaseStorageService {
             }
 
             // Get public URL
-            const { data: urlData } = supabase.storage
+            const { data: urlData } = this.client.storage
                 .from(this.bucket)
                 .getPublicUrl(filePath);
 
@@ -58,7 +55,7 @@ class SupabaseStorageService {
                 success: true,
                 url: urlData.publicUrl,
                 path: filePath,
-                storage: 'supabase'
+                storage: this.provider
             };
         } catch (error) {
             console.error('Error saving to Supabase:', error);
@@ -67,15 +64,13 @@ class SupabaseStorageService {
     }
 
     /**
-     * Read file from Supabase Storage
+     * Read file from Supabase Storage as raw bytes
      */
-    async readFile(projectName, fileName, userId = null) {
+    async readFileBuffer(projectName, fileName, root = null) {
         try {
-            const filePath = userId 
-                ? `users/${userId}/${projectName}/${fileName}`
-                : `${projectName}/${fileName}`;
+            const filePath = this.getFilePath(projectName, fileName, root);
             
-            const { data, error } = await supabase.storage
+            const { data, error } = await this.client.storage
                 .from(this.bucket)
                 .download(filePath);
 
@@ -83,9 +78,8 @@ class SupabaseStorageService {
                 throw new Error(`Supabase download error: ${error.message}`);
             }
 
-            // Convert blob to text
-            const content = await data.text();
-            return content;
+            // Convert blob to a Buffer so binary assets survive intact
+            return Buffer.from(await data.arrayBuffer());
         } catch (error) {
             console.error('Error reading from Supabase:', error);
             throw error;
@@ -95,11 +89,11 @@ class SupabaseStorageService {
     /**
      * List all projects from Supabase Storage
      */
-    async listProjects(userId = null) {
+    async listProjects(root = null) {
         try {
-            const listPath = userId ? `users/${userId}` : '';
+            const listPath = root || '';
             
-            const { data, error } = await supabase.storage
+            const { data, error } = await this.client.storage
                 .from(this.bucket)
                 .list(listPath, {
                     limit: 1000,
@@ -111,10 +105,10 @@ class SupabaseStorageService {
                 throw new Error(`Supabase list error: ${error.message}`);
             }
 
-            // Filter for folders only (projects)
+            // Filter for folders only (projects), skipping internal folders like .snapshots
             // In Supabase, folders have null id
             const projects = data
-                .filter(item => item.id === null)
+                .filter(item => item.id === null && !item.name.startsWith('.'))
                 .map(item => item.name);
 
             return projects;
@@ -125,51 +119,78 @@ class SupabaseStorageService {
     }
 
     /**
-     * Read all files from a project
+     * List every file in a project, recursively, as paths relative to the project
      */
-    async readAllProjectFiles(projectName, userId = null) {
-        const files = {};
-        const fileTypes = ['index.html', 'style.css', 'script.js', 'README.md'];
-        
-        for (const fileName of fileTypes) {
-            try {
-                const content = await this.readFile(projectName, fileName, userId);
-                files[fileName] = content;
-            } catch (error) {
-                // File doesn't exist, skip it
-                console.log(`File ${fileName} not found in ${projectName}`);
+    async listProjectFiles(projectName, root = null) {
+        const projectPath = this.getProjectPath(projectName, root);
+        const files = [];
+        const pending = [''];
+
+        while (pending.length > 0) {
+            const relativeDir = pending.shift();
+            const listPath = relativeDir ? `${projectPath}/${relativeDir}` : projectPath;
+
+            const { data, error } = await this.client.storage
+                .from(this.bucket)
+                .list(listPath, {
+                    limit: 1000,
+                    offset: 0,
+                    sortBy: { column: 'name', order: 'asc' }
+                });
+
+            if (error) {
+                throw new Error(`Supabase list error: ${error.message}`);
+            }
+
+            for (const item of data || []) {
+                const itemPath = relativeDir ? `${relativeDir}/${item.name}` : item.name;
+                // In Supabase, folders have null id
+                if (item.id === null) {
+                    pending.push(itemPath);
+                } else {
+                    files.push(itemPath);
+                }
             }
         }
-        
+
         return files;
     }
 
+    /**
+     * Delete a single file from Supabase Storage
+     */
+    async deleteFile(projectName, fileName, root = null) {
+        const filePath = this.getFilePath(projectName, fileName, root);
+
+        const { error } = await this.client.storage
+            .from(this.bucket)
+            .remove([filePath]);
+
+        if (error) {
+            throw new Error(`Supabase delete error: ${error.message}`);
+        }
+
+        return { success: true, path: filePath };
+    }
+
     /**
      * Delete project from Supabase Storage
      */
-    async deleteProject(projectName, userId = null) {
+    async deleteProject(projectName, root = null) {
         try {
-            const projectPath = userId 
-                ? `users/${userId}/${projectName}`
-                : projectName;
+            const projectPath = this.getProjectPath(projectName, root);
             
-            // List all files in project folder
-            const { data: files, error: listError } = await supabase.storage
-                .from(this.bucket)
-                .list(projectPath);
+            // List all files in the project tree
+            const files = await this.listProjectFiles(projectName, root);
 
-            if (listError) {
-                throw new Error(`Supabase list error: ${listError.message}`);
-            }
-
-            if (!files || files.length === 0) {
+            if (files.length === 0) {
                 return { success: true, message: 'Project not found or already deleted' };
             }
 
             // Delete all files in the folder
-            const filePaths = files.map(file => `${projectPath}/${file.name}`);
+            const filePaths = files.map(file => `${projectPath}/${file}`);
             
-            const { error: deleteError } = await supabase.storage
+            const { error: deleteError } = await this.client.storage
                 .from(this.bucket)
                 .remove(filePaths);
 
@@ -187,11 +208,9 @@ class SupabaseStorageService {
     /**
      * Get public URL for a file
      */
-    async getPublicUrl(projectName, fileName, userId = null) {
-        const filePath = userId 
-            ? `users/${userId}/${projectName}/${fileName}`
-            : `${projectName}/${fileName}`;
-        const { data } = supabase.storage
+    async getPublicUrl(projectName, fileName, root = null) {
+        const filePath = this.getFilePath(projectName, fileName, root);
+        const { data } = this.client.storage
             .from(this.bucket)
             .getPublicUrl(filePath);
         
@@ -201,13 +220,11 @@ class SupabaseStorageService {
     /**
      * Check if project exists
      */
-    async projectExists(projectName, userId = null) {
+    async projectExists(projectName, root = null) {
         try {
-            const projectPath = userId 
-                ? `users/${userId}/${projectName}`
-                : projectName;
+            const projectPath = this.getProjectPath(projectName, root);
             
-            const { data, error } = await supabase.storage
+            const { data, error } = await this.client.storage
                 .from(this.bucket)
                 .list(projectPath, { limit: 1 });
             
@@ -217,41 +234,16 @@ class SupabaseStorageService {
         }
     }
 
-    /**
-     * Get content type based on file extension
-     */
-    getContentType(fileName) {
-        const ext = fileName.substring(fileName.lastIndexOf('.')).toLowerCase();
-        const contentTypes = {
-            '.html': 'text/html',
-            '.css': 'text/css',
-            '.js': 'application/javascript',
-            '.json': 'application/json',
-            '.png': 'image/png',
-            '.jpg': 'image/jpeg',
-            '.jpeg': 'image/jpeg',
-            '.gif': 'image/gif',
-            '.svg': 'image/svg+xml',
-            '.ico': 'image/x-icon',
-            '.txt': 'text/plain',
-            '.md': 'text/markdown',
-        };
-        return contentTypes[ext] || 'application/octet-stream';
-    }
-
     /**
      * Get storage info
      */
     getInfo() {
         return {
-            mode: 'supabase',
+            mode: this.provider,
             bucket: this.bucket,
-            url: supabaseUrl,
+            url: this.url,
         };
     }
 }
 
-// Export singleton instance
-const storage = new SupabaseStorageService();
-
-export default storage;
+export default SupabaseStorageService;
@@ -0,0 +1,230 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import RefreshSession from '../models/RefreshSession.js';
+import RevokedToken from '../models/RevokedToken.js';
+
+// Access tokens are short-lived; refresh tokens rotate on every use.
+// Settings are read when needed: this module is loaded by the auth middleware before dotenv runs.
+function accessTokenTtlSeconds() {
+    return parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+}
+
+function refreshTokenTtlDays() {
+    return parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+}
+
+// Time to enter the second factor after the password was accepted
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+// Rotated-out refresh tokens remembered per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 20;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function getJwtSecret() {
+    const JWT_SECRET = process.env.JWT_SECRET;
+    if (!JWT_SECRET) {
+        throw new Error('JWT_SECRET not configured');
+    }
+    return JWT_SECRET;
+}
+
+function requestDevice(req) {
+    return {
+        userAgent: req.get?.('user-agent')?.substring(0, 300) || null,
+        ip: req.ip || null
+    };
+}
+
+/**
+ * Token Service - short-lived access tokens, rotating refresh tokens per device,
+ * and the revocation list checked by the authenticate middleware
+ */
+class TokenService {
+    signAccessToken(user, sessionId) {
+        return jwt.sign(
+            { userId: user._id, email: user.email, sid: sessionId.toString() },
+            getJwtSecret(),
+            { expiresIn: accessTokenTtlSeconds(), jwtid: crypto.randomUUID() }
+        );
+    }
+
+    /**
+     * Start a new device session; returns the access and refresh tokens
+     */
+    async issueTokens(user, req) {
+        const secret = crypto.randomBytes(32).toString('hex');
+        const session = await RefreshSession.create({
+            userId: user._id,
+            tokenHash: hashToken(secret),
+            expiresAt: new Date(Date.now() + refreshTokenTtlDays() * 24 * 3600 * 1000),
+            ...requestDevice(req)
+        });
+
+        return {
+            accessToken: this.signAccessToken(user, session._id),
+            refreshToken: `${session._id}.${secret}`,
+            expiresIn: accessTokenTtlSeconds(),
+            sessionId: session._id
+        };
+    }
+
+    /**
+     * Exchange a refresh token for new tokens. Returns null when the token is
+     * invalid; presenting an already rotated token revokes the whole session.
+     */
+    async rotateRefreshToken(refreshToken, req) {
+        const [sessionId, secret] = String(refreshToken).split('.');
+        if (!secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+        const oldHash = hashToken(secret);
+        const newSecret = crypto.randomBytes(32).toString('hex');
+
+        // Atomic swap so two concurrent refreshes can't both succeed
+        const session = await RefreshSession.findOneAndUpdate(
+            { _id: sessionId, tokenHash: oldHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+            {
+                $set: { tokenHash: hashToken(newSecret), lastUsedAt: new Date(), ...requestDevice(req) },
+                $push: { previousTokenHashes: { $each: [oldHash], $slice: -MAX_PREVIOUS_TOKENS } }
+            },
+            { new: true }
+        );
+
+        if (!session) {
+            const reused = await RefreshSession.findOne({ _id: sessionId, previousTokenHashes: oldHash, revokedAt: null });
+            if (reused) {
+                console.warn(`⚠️ Refresh token reuse detected for session ${sessionId}, revoking it`);
+                await this.revokeSession(reused, 'refresh token reuse');
+            }
+            return null;
+        }
+
+        const user = await User.findById(session.userId);
+        if (!user || user.isSuspended) return null;
+
+        return {
+            user,
+            tokens: {
+                accessToken: this.signAccessToken(user, session._id),
+                refreshToken: `${session._id}.${newSecret}`,
+                expiresIn: accessTokenTtlSeconds(),
+                sessionId: session._id
+            }
+        };
+    }
+
+    /**
+     * Short-lived proof that the first sign-in factor passed; only the 2FA step accepts it
+     */
+    signTwoFactorChallenge(user) {
+        return jwt.sign(
+            { userId: user._id, purpose: '2fa' },
+            getJwtSecret(),
+            { expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS }
+        );
+    }
+
+    /**
+     * Payload of a valid 2FA challenge token, or null
+     */
+    verifyTwoFactorChallenge(token) {
+        try {
+            const decoded = jwt.verify(token, getJwtSecret());
+            return decoded.purpose === '2fa' ? decoded : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Verify an access token and check it against the revocation list; returns the payload or null
+     */
+    async verifyAccessToken(token) {
+        const decoded = jwt.verify(token, getJwtSecret());
+
+        // Challenge tokens only unlock the second sign-in step
+        if (decoded.purpose) return null;
+
+        const revokedBy = [];
+        if (decoded.jti) revokedBy.push({ jti: decoded.jti });
+        if (decoded.sid) revokedBy.push({ sessionId: decoded.sid });
+
+        if (revokedBy.length > 0 && await RevokedToken.exists({ $or: revokedBy })) {
+            return null;
+        }
+
+        return decoded;
+    }
+
+    /**
+     * Revoke a single access token (by its decoded payload)
+     */
+    async revokeAccessToken(decoded, reason = 'logout') {
+        if (!decoded?.jti) return;
+        await RevokedToken.create({
+            jti: decoded.jti,
+            userId: decoded.userId,
+            reason,
+            expiresAt: new Date(decoded.exp * 1000)
+        });
+    }
+
+    /**
+     * End a device session: its refresh token stops working and so do its access tokens
+     */
+    async revokeSession(session, reason = 'logout') {
+        await RefreshSession.updateOne(
+            { _id: session._id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+        await RevokedToken.create({
+            sessionId: session._id,
+            userId: session.userId,
+            reason,
+            expiresAt: new Date(Date.now() + accessTokenTtlSeconds() * 1000)
+        });
+    }
+
+    /**
+     * Whether a device session is neither revoked nor expired (for cookie sessions)
+     */
+    async isSessionActive(sessionId) {
+        if (!/^[a-f0-9]{24}$/.test(String(sessionId))) return false;
+        return Boolean(await RefreshSession.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+    }
+
+    /**
+     * Find a user's session by id (for logout and per-device revocation)
+     */
+    findSession(userId, sessionId) {
+        return /^[a-f0-9]{24}$/.test(String(sessionId))
+            ? RefreshSession.findOne({ _id: sessionId, userId })
+            : null;
+    }
+
+    /**
+     * Log out every device: revoke all sessions and any token issued before now
+     */
+    async revokeAllSessions(userId, reason = 'logout all devices') {
+        const sessions = await RefreshSession.findActiveByUser(userId);
+        for (const session of sessions) {
+            await this.revokeSession(session, reason);
+        }
+
+        await User.updateOne({ _id: userId }, { $set: { tokensValidAfter: new Date() } });
+
+        return sessions.length;
+    }
+
+    listSessions(userId) {
+        return RefreshSession.findActiveByUser(userId);
+    }
+}
+
+// Export singleton instance
+const tokenService = new TokenService();
+
+export default tokenService;
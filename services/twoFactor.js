@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+
+/**
+ * Two-Factor - TOTP (RFC 6238) codes, encrypted secrets and recovery codes
+ *
+ * Secrets are stored AES-256-GCM encrypted with TWO_FACTOR_ENCRYPTION_KEY
+ * (falls back to JWT_SECRET), so a database leak alone doesn't expose them.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from one step before or after are accepted, for clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = 'Nexo.AI';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 secret');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// HOTP (RFC 4226) for one counter value
+function hotp(secret, counter) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+    return String(code).padStart(TOTP_DIGITS, '0');
+}
+
+function encryptionKey() {
+    const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!source) {
+        throw new Error('TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET must be set');
+    }
+    return crypto.createHash('sha256').update(source).digest();
+}
+
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(code.replace(/[^a-z0-9]/gi, '').toLowerCase()).digest('hex');
+}
+
+export function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+// otpauth:// URI - authenticator apps read it from a QR code
+export function buildOtpauthUrl(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+export function generateCode(secret, time = Date.now()) {
+    return hotp(secret, Math.floor(time / 1000 / TOTP_STEP_SECONDS));
+}
+
+/**
+ * Check a TOTP code. Returns the matched time step, or null. Steps at or
+ * before lastUsedStep are refused so a code can't be replayed.
+ */
+export function verifyCode(secret, code, lastUsedStep = 0, time = Date.now()) {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const currentStep = Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+    for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+        if (step <= lastUsedStep) continue;
+        const expected = hotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+export function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+export function decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * New one-time recovery codes: the codes to show once, and the hashes to store
+ */
+export function generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Index of the stored hash matching a recovery code, or -1
+ */
+export function findRecoveryCode(hashes, code) {
+    if (!code) return -1;
+    return hashes.indexOf(hashRecoveryCode(String(code)));
+}
+
+export default {
+    generateSecret,
+    buildOtpauthUrl,
+    generateCode,
+    verifyCode,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    findRecoveryCode
+};
@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+import AiUsage from '../models/AiUsage.js';
+
+// Token quotas per plan; each can be overridden with USAGE_QUOTA_<PLAN>_DAILY / _MONTHLY
+const DEFAULT_QUOTAS = {
+    free: { daily: 200000, monthly: 2000000 },
+    pro: { daily: 2000000, monthly: 30000000 },
+    team: { daily: 10000000, monthly: 150000000 }
+};
+
+function getQuotas(plan = 'free') {
+    const defaults = DEFAULT_QUOTAS[plan] || DEFAULT_QUOTAS.free;
+    const key = plan.toUpperCase();
+    return {
+        daily: parseInt(process.env[`USAGE_QUOTA_${key}_DAILY`], 10) || defaults.daily,
+        monthly: parseInt(process.env[`USAGE_QUOTA_${key}_MONTHLY`], 10) || defaults.monthly
+    };
+}
+
+// Quota periods are calendar days and months in UTC
+function periodBounds(now = new Date()) {
+    const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    return {
+        dayStart,
+        dayEnd: new Date(dayStart.getTime() + 24 * 3600 * 1000),
+        monthStart,
+        monthEnd: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    };
+}
+
+/**
+ * Usage Meter - records Gemini token usage per user and project, and enforces plan quotas
+ */
+class UsageMeter {
+    /**
+     * Record one generateContent call (never throws - metering must not break the AI flow)
+     */
+    record({ userId = null, projectName = null, feature, model = null, usageMetadata }) {
+        const promptTokens = usageMetadata?.promptTokenCount || 0;
+        const completionTokens = (usageMetadata?.candidatesTokenCount || 0) + (usageMetadata?.thoughtsTokenCount || 0);
+        const totalTokens = usageMetadata?.totalTokenCount || promptTokens + completionTokens;
+
+        return AiUsage.create({ userId, projectName, feature, model, promptTokens, completionTokens, totalTokens })
+            .catch(error => console.error('Failed to record AI usage:', error.message));
+    }
+
+    /**
+     * Tokens a user has spent since a date
+     */
+    async totalSince(userId, since) {
+        const [result] = await AiUsage.aggregate([
+            { $match: { userId: new mongoose.Types.ObjectId(userId.toString()), createdAt: { $gte: since } } },
+            { $group: { _id: null, totalTokens: { $sum: '$totalTokens' } } }
+        ]);
+        return result?.totalTokens || 0;
+    }
+
+    /**
+     * Quota status of a user: { plan, unlimited, daily, monthly, exceeded }
+     * Admins have no quota.
+     */
+    async getQuotaStatus(user) {
+        const plan = user.plan || 'free';
+        const quotas = getQuotas(plan);
+        const { dayStart, dayEnd, monthStart, monthEnd } = periodBounds();
+
+        const [dailyUsed, monthlyUsed] = await Promise.all([
+            this.totalSince(user._id, dayStart),
+            this.totalSince(user._id, monthStart)
+        ]);
+
+        const daily = { used: dailyUsed, limit: quotas.daily, resetAt: dayEnd };
+        const monthly = { used: monthlyUsed, limit: quotas.monthly, resetAt: monthEnd };
+        const unlimited = user.role === 'admin';
+
+        // The period that blocks for longest decides when the user can continue
+        let exceeded = null;
+        if (!unlimited && monthlyUsed >= quotas.monthly) exceeded = { period: 'monthly', ...monthly };
+        else if (!unlimited && dailyUsed >= quotas.daily) exceeded = { period: 'daily', ...daily };
+
+        return { plan, unlimited, daily, monthly, exceeded };
+    }
+
+    /**
+     * Usage report for the /api/usage endpoint: per-day series, per project and per feature
+     */
+    async getReport(userId, { days = 30, projectName = null } = {}) {
+        const since = new Date(Date.now() - days * 24 * 3600 * 1000);
+        const match = { userId: new mongoose.Types.ObjectId(userId.toString()), createdAt: { $gte: since } };
+        if (projectName) match.projectName = projectName;
+
+        const sums = {
+            calls: { $sum: 1 },
+            promptTokens: { $sum: '$promptTokens' },
+            completionTokens: { $sum: '$completionTokens' },
+            totalTokens: { $sum: '$totalTokens' }
+        };
+
+        const [daily, byProject, byFeature] = await Promise.all([
+            AiUsage.aggregate([
+                { $match: match },
+                { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, ...sums } },
+                { $sort: { _id: 1 } }
+            ]),
+            AiUsage.aggregate([
+                { $match: match },
+                { $group: { _id: '$projectName', ...sums } },
+                { $sort: { totalTokens: -1 } }
+            ]),
+            AiUsage.aggregate([
+                { $match: match },
+                { $group: { _id: '$feature', ...sums } },
+                { $sort: { totalTokens: -1 } }
+            ])
+        ]);
+
+        return {
+            since,
+            daily: daily.map(({ _id, ...totals }) => ({ date: _id, ...totals })),
+            byProject: byProject.map(({ _id, ...totals }) => ({ projectName: _id, ...totals })),
+            byFeature: byFeature.map(({ _id, ...totals }) => ({ feature: _id, ...totals }))
+        };
+    }
+}
+
+// Export singleton instance
+const usageMeter = new UsageMeter();
+
+export default usageMeter;
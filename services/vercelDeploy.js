@@ -0,0 +1,172 @@
+import DeployProvider from './deployProvider.js';
+
+// Vercel readyState values that mean the deployment is still on its way
+const PENDING_STATES = ['QUEUED', 'INITIALIZING', 'BUILDING'];
+
+/**
+ * Vercel deployment provider
+ *
+ * With VERCEL_PROJECT_ID set, every deployment goes into that one shared
+ * project and gets its own URL plus a <project>.vercel.app alias when free.
+ * Without it, each project gets a Vercel project of its own (legacy mode).
+ *
+ * Environment: VERCEL_TOKEN, VERCEL_PROJECT_ID, VERCEL_TEAM_ID, VERCEL_API_URL
+ */
+class VercelDeployProvider extends DeployProvider {
+    constructor() {
+        super('vercel', {
+            label: 'Vercel',
+            apiUrl: process.env.VERCEL_API_URL || 'https://api.vercel.com',
+            token: process.env.VERCEL_TOKEN,
+            tokenEnv: 'VERCEL_TOKEN'
+        });
+        this.sharedProjectId = process.env.VERCEL_PROJECT_ID || null;
+        this.teamId = process.env.VERCEL_TEAM_ID || null;
+    }
+
+    /**
+     * Add the team to an API path when deploying into a Vercel team
+     */
+    withTeam(apiPath) {
+        if (!this.teamId) return apiPath;
+        return `${apiPath}${apiPath.includes('?') ? '&' : '?'}teamId=${encodeURIComponent(this.teamId)}`;
+    }
+
+    /**
+     * Turn off password, SSO and IP protection so the site is public
+     */
+    async makePublic(projectIdOrName) {
+        try {
+            await this.request('PATCH', this.withTeam(`/v9/projects/${encodeURIComponent(projectIdOrName)}`), {
+                body: {
+                    passwordProtection: null,
+                    ssoProtection: null,
+                    optionsAllowlist: null
+                }
+            });
+            console.log(`✅ Vercel project ${projectIdOrName} is publicly accessible`);
+        } catch (error) {
+            console.log(`⚠️ Could not update Vercel project settings:`, error.message);
+        }
+    }
+
+    /**
+     * The Vercel project a deployment goes into, created when needed
+     */
+    async resolveProject(slug) {
+        if (this.sharedProjectId) {
+            console.log(`📦 Using shared Vercel project container: ${this.sharedProjectId}`);
+            await this.makePublic(this.sharedProjectId);
+            return this.sharedProjectId;
+        }
+
+        console.log(`⚠️ VERCEL_PROJECT_ID not set, using legacy mode (individual projects)`);
+
+        try {
+            const created = await this.request('POST', this.withTeam('/v9/projects'), {
+                body: {
+                    name: slug,
+                    framework: null,
+                    publicSource: true,
+                    passwordProtection: null,
+                    ssoProtection: null,
+                    optionsAllowlist: null
+                }
+            });
+            console.log(`✅ Created new Vercel project: ${slug}`);
+            const name = created.name || created.id;
+            await this.makePublic(name);
+            return name;
+        } catch (error) {
+            if (error.code === 'project_already_exists' || error.status === 409) {
+                console.log(`✅ Using existing Vercel project: ${slug}`);
+                await this.makePublic(slug);
+            } else {
+                console.log(`⚠️ Could not create Vercel project, using deployment-only mode:`, error.message);
+            }
+            return slug;
+        }
+    }
+
+    async createDeployment({ projectName, siteName = null, files, git = null }) {
+        const slug = this.slugify(siteName || projectName);
+        const vercelProject = await this.resolveProject(slug);
+
+        // Binary assets (images, fonts) must be base64 encoded or Vercel corrupts them
+        const vercelFiles = Object.entries(files).map(([file, content]) => Buffer.isBuffer(content)
+            ? { file, data: content.toString('base64'), encoding: 'base64' }
+            : { file, data: content });
+
+        const result = await this.request('POST', this.withTeam('/v13/deployments'), {
+            body: {
+                name: vercelProject,
+                project: vercelProject,
+                files: vercelFiles,
+                projectSettings: {
+                    framework: null,
+                    buildCommand: null,
+                    devCommand: null,
+                    installCommand: null,
+                    outputDirectory: null
+                },
+                target: 'production',
+                // Only projects pushed to GitHub have a real commit to point at
+                ...(git ? {
+                    gitMetadata: {
+                        remoteUrl: git.repoUrl,
+                        commitRef: git.branch,
+                        commitSha: git.commitSha
+                    }
+                } : {})
+            }
+        });
+
+        if (!result?.id || !result.url) {
+            throw new Error(`Vercel did not return a deployment. Response: ${JSON.stringify(result).substring(0, 200)}`);
+        }
+
+        return {
+            id: result.id,
+            siteId: result.projectId || vercelProject,
+            url: `https://${result.url}`,
+            slug,
+            vercelProject
+        };
+    }
+
+    async getDeploymentStatus(deployment) {
+        const result = await this.request('GET', this.withTeam(`/v13/deployments/${encodeURIComponent(deployment.id)}`));
+        const readyState = result.readyState || result.status;
+
+        return {
+            status: PENDING_STATES.includes(readyState) ? 'BUILDING' : readyState,
+            url: result.url ? `https://${result.url}` : null,
+            aliases: result.alias || [],
+            error: result.errorMessage || null
+        };
+    }
+
+    async resolveAlias(deployment, state) {
+        if (!this.sharedProjectId) {
+            // The shortest alias is usually the production one
+            const shortest = [...state.aliases].sort((a, b) => a.length - b.length)[0];
+            return `https://${shortest || `${deployment.vercelProject}.vercel.app`}`;
+        }
+
+        // In the shared project, try to give the deployment a readable alias (it may be taken)
+        try {
+            const result = await this.request('POST', this.withTeam(`/v2/deployments/${encodeURIComponent(deployment.id)}/aliases`), {
+                body: { alias: `${deployment.slug}.vercel.app` }
+            });
+            if (result?.alias) {
+                console.log(`✅ Assigned custom alias: ${result.alias}`);
+                return `https://${result.alias}`;
+            }
+        } catch (error) {
+            console.log(`ℹ️ Custom alias not available, using deployment URL:`, error.message);
+        }
+        return null;
+    }
+}
+
+export default VercelDeployProvider;
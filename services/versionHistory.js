@@ -0,0 +1,266 @@
+import crypto from 'crypto';
+import { storageFor } from './storage.js';
+import ProjectVersion from '../models/ProjectVersion.js';
+
+// Snapshot blobs live next to the user's projects, keyed by content hash
+const SNAPSHOT_FOLDER = '.snapshots';
+
+// Line diffs are skipped above this many line comparisons to keep requests fast
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Compute a line-level diff between two texts (longest common subsequence)
+ */
+function diffLines(oldText, newText) {
+    const a = oldText === '' ? [] : oldText.split('\n');
+    const b = newText === '' ? [] : newText.split('\n');
+
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+        return null;
+    }
+
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            changes.push({ type: ' ', line: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            changes.push({ type: '-', line: a[i++] });
+        } else {
+            changes.push({ type: '+', line: b[j++] });
+        }
+    }
+    while (i < a.length) changes.push({ type: '-', line: a[i++] });
+    while (j < b.length) changes.push({ type: '+', line: b[j++] });
+
+    return changes;
+}
+
+/**
+ * Format line changes as unified diff hunks with 3 lines of context
+ */
+function formatUnifiedDiff(changes, context = 3) {
+    const hunks = [];
+    let oldLine = 1;
+    let newLine = 1;
+    let hunk = null;
+
+    changes.forEach((change, index) => {
+        const nearChange = changes
+            .slice(Math.max(0, index - context), index + context + 1)
+            .some(c => c.type !== ' ');
+
+        if (nearChange) {
+            if (!hunk) {
+                hunk = { oldStart: oldLine, newStart: newLine, oldLines: 0, newLines: 0, lines: [] };
+            }
+            hunk.lines.push(change.type + change.line);
+            if (change.type !== '+') hunk.oldLines++;
+            if (change.type !== '-') hunk.newLines++;
+        } else if (hunk) {
+            hunks.push(hunk);
+            hunk = null;
+        }
+
+        if (change.type !== '+') oldLine++;
+        if (change.type !== '-') newLine++;
+    });
+    if (hunk) hunks.push(hunk);
+
+    return hunks
+        .map(h => `@@ -${h.oldStart},${h.oldLines} +${h.newStart},${h.newLines} @@\n${h.lines.join('\n')}`)
+        .join('\n');
+}
+
+/**
+ * Version History Service - immutable snapshots of a project's files
+ */
+class VersionHistoryService {
+    hashContent(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    /**
+     * Record a snapshot of the project's current files
+     */
+    async recordSnapshot(project, { source, prompt = '', author = {}, restoredFrom = null }) {
+        const root = project.getStorageRoot();
+        const store = storageFor(project);
+        const projectFiles = await store.readAllProjectFiles(project.projectName, root);
+
+        const files = [];
+        for (const [filePath, content] of Object.entries(projectFiles)) {
+            const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8');
+            const hash = this.hashContent(buffer);
+
+            await store.saveFile(SNAPSHOT_FOLDER, `${project.projectName}/${hash}`, buffer, root);
+            files.push({
+                filePath,
+                hash,
+                fileSize: buffer.length,
+                contentType: store.getContentType(filePath)
+            });
+        }
+
+        const latest = await ProjectVersion.findOne({ projectId: project._id }).sort({ version: -1 });
+
+        const snapshot = await ProjectVersion.create({
+            projectId: project._id,
+            projectName: project.projectName,
+            version: latest ? latest.version + 1 : 1,
+            source,
+            prompt,
+            author: {
+                userId: author.userId || project.userId,
+                email: author.email || project.userEmail
+            },
+            restoredFrom,
+            files
+        });
+
+        console.log(`📸 Recorded version ${snapshot.version} of ${project.projectName} (${source})`);
+        return snapshot;
+    }
+
+    /**
+     * List a project's versions, newest first
+     */
+    async listVersions(project) {
+        return ProjectVersion.findByProject(project._id);
+    }
+
+    /**
+     * Get a single version of a project (null for anything but a version number)
+     */
+    async getVersion(project, version) {
+        if (!/^\d+$/.test(String(version))) return null;
+        return ProjectVersion.findOne({ projectId: project._id, version: Number(version) });
+    }
+
+    /**
+     * Read the contents of every file in a version
+     */
+    async readVersionFiles(project, snapshot) {
+        const root = project.getStorageRoot();
+        const store = storageFor(project);
+        const files = {};
+
+        for (const file of snapshot.files) {
+            const buffer = await store.readFileBuffer(SNAPSHOT_FOLDER, `${project.projectName}/${file.hash}`, root);
+            files[file.filePath] = store.isTextFile(file.filePath) ? buffer.toString('utf-8') : buffer;
+        }
+
+        return files;
+    }
+
+    /**
+     * Compare two versions file by file
+     */
+    async diffVersions(project, fromSnapshot, toSnapshot) {
+        const fromFiles = new Map(fromSnapshot.files.map(f => [f.filePath, f]));
+        const toFiles = new Map(toSnapshot.files.map(f => [f.filePath, f]));
+        const allPaths = [...new Set([...fromFiles.keys(), ...toFiles.keys()])].sort();
+        const root = project.getStorageRoot();
+        const store = storageFor(project);
+
+        const readText = async (file) => {
+            const buffer = await store.readFileBuffer(SNAPSHOT_FOLDER, `${project.projectName}/${file.hash}`, root);
+            return buffer.toString('utf-8');
+        };
+
+        const files = [];
+        for (const filePath of allPaths) {
+            const before = fromFiles.get(filePath);
+            const after = toFiles.get(filePath);
+
+            let status;
+            if (!before) status = 'added';
+            else if (!after) status = 'removed';
+            else if (before.hash === after.hash) status = 'unchanged';
+            else status = 'modified';
+
+            const entry = { filePath, status };
+
+            if (status !== 'unchanged' && store.isTextFile(filePath)) {
+                const changes = diffLines(
+                    before ? await readText(before) : '',
+                    after ? await readText(after) : ''
+                );
+                if (changes) {
+                    entry.additions = changes.filter(c => c.type === '+').length;
+                    entry.deletions = changes.filter(c => c.type === '-').length;
+                    entry.diff = formatUnifiedDiff(changes);
+                } else {
+                    entry.diff = null;
+                    entry.message = 'File too large to diff';
+                }
+            }
+
+            files.push(entry);
+        }
+
+        return {
+            from: fromSnapshot.version,
+            to: toSnapshot.version,
+            files
+        };
+    }
+
+    /**
+     * Restore a version into the live project and record the restore as a new version
+     */
+    async restoreVersion(project, snapshot, author = {}) {
+        const root = project.getStorageRoot();
+        const store = storageFor(project);
+        const versionFiles = await this.readVersionFiles(project, snapshot);
+        const liveFiles = await store.listProjectFiles(project.projectName, root);
+
+        for (const [filePath, content] of Object.entries(versionFiles)) {
+            await store.saveFile(project.projectName, filePath, content, root);
+        }
+
+        // Files created after the snapshot are removed so the project matches it exactly
+        for (const filePath of liveFiles) {
+            if (!(filePath in versionFiles)) {
+                await store.deleteFile(project.projectName, filePath, root);
+            }
+        }
+
+        return this.recordSnapshot(project, {
+            source: 'restore',
+            prompt: `Restored version ${snapshot.version}`,
+            author,
+            restoredFrom: snapshot.version
+        });
+    }
+
+    /**
+     * Remove all versions and snapshot blobs of a project. The blobs go first,
+     * so a storage failure leaves the versions in place for another attempt.
+     */
+    async deleteHistory(project) {
+        // Blobs are stored as <root>/.snapshots/<projectName>/<hash>
+        const result = await storageFor(project).deleteProject(project.projectName, `${project.getStorageRoot()}/${SNAPSHOT_FOLDER}`);
+        if (!result.success) {
+            throw new Error(result.message || 'Failed to delete version snapshots');
+        }
+        await ProjectVersion.deleteMany({ projectId: project._id });
+    }
+}
+
+// Export singleton instance
+const versionHistory = new VersionHistoryService();
+
+export default versionHistory;